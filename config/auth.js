@@ -0,0 +1,17 @@
+// JWT settings, read once from the environment.
+// A fallback secret is only allowed outside production so local setups keep working.
+const DEV_SECRET = 'recipe-organizer-dev-secret';
+
+if (!process.env.JWT_SECRET) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  console.warn('⚠️  JWT_SECRET not set, using insecure development secret');
+}
+
+module.exports = {
+  jwtSecret: process.env.JWT_SECRET || DEV_SECRET,
+  accessTokenExpiresIn: process.env.JWT_EXPIRE || '15m',
+  refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+  bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS) || 10
+};
@@ -0,0 +1,25 @@
+const path = require('path');
+
+// File storage settings. STORAGE_DRIVER picks the backend: "local" (default) or "s3".
+// The S3 backend works with any S3-compatible service (e.g. MinIO) via S3_ENDPOINT.
+module.exports = {
+  driver: process.env.STORAGE_DRIVER || 'local',
+  maxFileSize: parseInt(process.env.UPLOAD_MAX_SIZE) || 5 * 1024 * 1024,
+  maxImagesPerRecipe: parseInt(process.env.MAX_IMAGES_PER_RECIPE) || 20,
+  local: {
+    dir: process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'),
+    publicPath: '/uploads'
+  },
+  s3: {
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    // Path-style URLs are what local stand-ins like MinIO expect
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+      ? process.env.S3_FORCE_PATH_STYLE === 'true'
+      : Boolean(process.env.S3_ENDPOINT),
+    publicUrl: process.env.S3_PUBLIC_URL
+  }
+};
@@ -0,0 +1,185 @@
+const User = require('../models/user');
+const { validationResult } = require('express-validator');
+
+// Issue a fresh access/refresh token pair and persist the refresh token hash
+const sendTokens = async (user, statusCode, message, res) => {
+  const refreshToken = user.issueRefreshToken();
+  await user.save();
+
+  res.status(statusCode).json({
+    success: true,
+    message,
+    data: {
+      user,
+      accessToken: user.generateAccessToken(),
+      refreshToken
+    }
+  });
+};
+
+const sendValidationErrors = (errors, res) => res.status(400).json({
+  success: false,
+  message: 'Validation failed',
+  errors: errors.array().map(error => ({
+    field: error.path,
+    message: error.msg
+  }))
+});
+
+// @desc    Register a new user
+// @route   POST /api/auth/register
+// @access  Public
+exports.register = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationErrors(errors, res);
+    }
+
+    const { name, email, password } = req.body;
+
+    const existing = await User.findOne({ email });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'An account with this email already exists'
+      });
+    }
+
+    const user = new User({ name, email, password });
+    await sendTokens(user, 201, 'User registered successfully', res);
+  } catch (error) {
+    console.error('Register error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'An account with this email already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'User validation failed',
+        errors: validationErrors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register user',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Log in and receive tokens
+// @route   POST /api/auth/login
+// @access  Public
+exports.login = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationErrors(errors, res);
+    }
+
+    const { email, password } = req.body;
+    const user = await User.findOne({ email }).select('+password +refreshTokens');
+
+    if (!user || !(await user.matchPassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password'
+      });
+    }
+
+    await sendTokens(user, 200, 'Logged in successfully', res);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log in',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refreshToken = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationErrors(errors, res);
+    }
+
+    const user = await User.findByRefreshToken(req.body.refreshToken);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    // Rotate: the presented token can only be used once
+    user.revokeRefreshToken(req.body.refreshToken);
+    await sendTokens(user, 200, 'Token refreshed successfully', res);
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh token',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Log out by revoking a refresh token
+// @route   POST /api/auth/logout
+// @access  Public
+exports.logout = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationErrors(errors, res);
+    }
+
+    const user = await User.findByRefreshToken(req.body.refreshToken);
+
+    if (user) {
+      user.revokeRefreshToken(req.body.refreshToken);
+      await user.save();
+    }
+
+    // Respond the same either way so tokens can't be probed
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get the current user
+// @route   GET /api/auth/me
+// @access  Private
+exports.getMe = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: req.user
+  });
+};
@@ -0,0 +1,378 @@
+const Recipe = require('../models/recipe');
+const { rejectInvalid, checkRecipe } = require('../middleware/validation');
+const { normalizeIngredients } = require('../utils/ingredientParser');
+const { parseCsvRecords } = require('../utils/csv');
+const { buildSearchQuery, expandSearchTags } = require('../utils/recipeQuery');
+const { searchTermsOf } = require('../utils/searchTerms');
+const Tag = require('../models/tag');
+const { TRACKED_FIELDS, snapshotOf, recordRevisions } = require('../utils/recipeHistory');
+
+const MAX_BULK_ROWS = 5000;
+const INSERT_BATCH_SIZE = 500;
+// cookingTime is still read from older CSV exports and stored as totalTime
+const RECIPE_FIELDS = [
+  'title', 'ingredients', 'instructions', 'prepTime', 'cookTime', 'restTime', 'totalTime', 'cookingTime',
+  'servings', 'difficulty', 'tags'
+];
+
+const handleError = (res, error, context, message) => {
+  console.error(`${context} error:`, error);
+
+  if (error.statusCode === 400) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// CSV cells are all strings: split the list columns (as written by the CSV export) and drop blanks
+const fromCsvRecord = (record) => {
+  const recipe = {
+    ...record,
+    ingredients: (record.ingredients || '').split(/;|\n/).map(line => line.trim()).filter(Boolean),
+    tags: (record.tags || '').split(',').map(tag => tag.trim()).filter(Boolean)
+  };
+
+  ['prepTime', 'cookTime', 'restTime', 'totalTime', 'cookingTime', 'servings', 'difficulty'].forEach(field => {
+    if (typeof recipe[field] === 'string' && !recipe[field].trim()) delete recipe[field];
+  });
+
+  return recipe;
+};
+
+// Read the rows of a bulk import from a CSV upload, a text/csv body or { recipes: [...] }
+const readRows = (req) => {
+  let rows;
+
+  if (req.file) {
+    rows = parseCsvRecords(req.file.buffer.toString('utf8')).map(fromCsvRecord);
+  } else if (typeof req.body === 'string') {
+    rows = parseCsvRecords(req.body).map(fromCsvRecord);
+  } else if (req.body && Array.isArray(req.body.recipes)) {
+    rows = req.body.recipes;
+  } else {
+    throw badRequest('Send a CSV file in the "file" field, a text/csv body, or JSON { "recipes": [...] }');
+  }
+
+  if (!rows.length) {
+    throw badRequest('No recipes found to import');
+  }
+  if (rows.length > MAX_BULK_ROWS) {
+    throw badRequest(`A bulk import can contain at most ${MAX_BULK_ROWS} recipes`);
+  }
+
+  return rows;
+};
+
+// Keep only the fields a client may set; anything else (owner, createdAt, _id) is ignored
+const pickRecipeFields = (row) => RECIPE_FIELDS.reduce((recipe, field) => {
+  if (row[field] !== undefined && row[field] !== null) recipe[field] = row[field];
+  return recipe;
+}, {});
+
+// Validate one row with the POST /api/recipes rules, then the schema; returns { doc } or { errors }
+const prepareRow = async (row, owner) => {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return { errors: [{ field: null, message: 'Row must be a recipe object', value: row }] };
+  }
+
+  const recipe = pickRecipeFields(row);
+  const errors = await checkRecipe(recipe);
+  if (errors.length) return { errors };
+
+  recipe.ingredients = normalizeIngredients(recipe.ingredients);
+  if (recipe.tags) {
+    recipe.tags = recipe.tags
+      .filter(tag => typeof tag === 'string' && tag.trim().length > 0)
+      .map(tag => tag.trim().toLowerCase());
+  }
+
+  const doc = new Recipe({ ...recipe, owner });
+  const schemaError = doc.validateSync();
+  if (schemaError) {
+    return {
+      errors: Object.values(schemaError.errors).map(err => ({
+        field: err.path,
+        message: err.message,
+        value: err.value
+      }))
+    };
+  }
+
+  return { doc };
+};
+
+// Insert in batches without stopping at the first failure; returns a map of failed batch index -> message
+const insertBatch = async (docs) => {
+  const failures = new Map();
+
+  try {
+    await Recipe.insertMany(docs, { ordered: false });
+  } catch (error) {
+    if (!error.writeErrors) throw error;
+    error.writeErrors.forEach(writeError => {
+      failures.set(writeError.index, writeError.errmsg || writeError.err.errmsg || 'Insert failed');
+    });
+  }
+
+  return failures;
+};
+
+// Turn a bulk filter body into a Mongo query limited to what the user may change
+const buildBulkQuery = async (filter, user) => {
+  const { query } = buildSearchQuery(await expandSearchTags(filter));
+
+  if (filter.ids) {
+    query._id = { $in: filter.ids };
+  }
+
+  // Admins act on every recipe; everyone else only on their own
+  if (user.role !== 'admin') {
+    query.owner = user._id;
+  }
+
+  return query;
+};
+
+// Load the recipes a bulk filter matches, refusing batches that are too large
+const findBulkTargets = async (filter, user, fields) => {
+  const query = await buildBulkQuery(filter, user);
+  const total = await Recipe.countDocuments(query);
+
+  if (total > MAX_BULK_ROWS) {
+    throw badRequest(`The filter matches ${total} recipes; narrow it to at most ${MAX_BULK_ROWS}`);
+  }
+
+  return Recipe.find(query).select(fields).sort({ createdAt: 1 });
+};
+
+// IDs that were asked for explicitly but not matched are reported as failures
+const missingIdResults = (filter, recipes) => {
+  if (!filter.ids) return [];
+
+  const found = new Set(recipes.map(recipe => recipe._id.toString()));
+  return [...new Set(filter.ids)]
+    .filter(id => !found.has(id))
+    .map(id => ({
+      id,
+      status: 'failed',
+      errors: [{ field: 'id', message: 'Recipe not found or not owned by you', value: id }]
+    }));
+};
+
+const summarise = (results, dryRun) => {
+  const failed = results.filter(result => result.status === 'failed').length;
+  return {
+    total: results.length,
+    succeeded: results.length - failed,
+    failed,
+    dryRun
+  };
+};
+
+// @desc    Create many recipes from JSON { recipes: [...] } or a CSV upload
+// @route   POST /api/recipes/bulk?dryRun=true
+// @access  Private
+exports.bulkCreateRecipes = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const dryRun = req.query.dryRun === true;
+    const rows = readRows(req);
+
+    // Rows are numbered from 1; for CSV, row 1 is the first line after the header
+    const results = [];
+    const pending = [];
+    for (let index = 0; index < rows.length; index++) {
+      const { doc, errors } = await prepareRow(rows[index], req.user._id);
+      const result = {
+        row: index + 1,
+        title: rows[index] && typeof rows[index].title === 'string' ? rows[index].title : null
+      };
+
+      if (errors) {
+        results.push({ ...result, status: 'failed', errors });
+      } else {
+        results.push(dryRun ? { ...result, status: 'valid' } : { ...result, status: 'created', id: doc._id });
+        pending.push({ doc, result: results[results.length - 1] });
+      }
+    }
+
+    if (!dryRun) {
+      for (let start = 0; start < pending.length; start += INSERT_BATCH_SIZE) {
+        const batch = pending.slice(start, start + INSERT_BATCH_SIZE);
+        const failures = await insertBatch(batch.map(entry => entry.doc));
+
+        failures.forEach((message, index) => {
+          const { result } = batch[index];
+          result.status = 'failed';
+          result.errors = [{ field: null, message, value: null }];
+          delete result.id;
+        });
+
+        await recordRevisions(
+          batch.filter((entry, index) => !failures.has(index)).map(entry => ({ recipe: entry.doc })),
+          { user: req.user, action: 'create' }
+        );
+      }
+    }
+
+    const summary = summarise(results, dryRun);
+    let status = 200;
+    if (!dryRun) status = summary.succeeded ? 201 : 400;
+
+    res.status(status).json({
+      success: summary.failed === 0,
+      message: dryRun
+        ? `Dry run: ${summary.succeeded} of ${summary.total} recipes are valid`
+        : `Imported ${summary.succeeded} of ${summary.total} recipes`,
+      summary,
+      data: results
+    });
+  } catch (error) {
+    handleError(res, error, 'Bulk create recipes', 'Failed to import recipes');
+  }
+};
+
+// @desc    Add/remove tags or set difficulty on every recipe matching a filter
+// @route   PATCH /api/recipes/bulk?dryRun=true
+// @access  Private (own recipes; admins all)
+exports.bulkUpdateRecipes = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const dryRun = req.query.dryRun === true;
+    const { filter } = req.body;
+    const { difficulty } = req.body.update;
+    // Aliases become the tags they stand for; removing by alias removes both spellings
+    const addTags = await Tag.resolve(req.body.update.addTags || []);
+    const removeTags = [...new Set([
+      ...(req.body.update.removeTags || []),
+      ...await Tag.resolve(req.body.update.removeTags || [])
+    ])];
+
+    // Load the tracked fields too so each change is kept as a revision
+    const recipes = await findBulkTargets(filter, req.user, [...TRACKED_FIELDS, 'owner', 'createdAt'].join(' '));
+
+    // Work out per recipe whether anything would actually change
+    const results = recipes.map(recipe => {
+      const tags = recipe.tags || [];
+      const changed = addTags.some(tag => !tags.includes(tag)) ||
+        removeTags.some(tag => tags.includes(tag)) ||
+        (difficulty !== undefined && recipe.difficulty !== difficulty);
+
+      let status = 'unchanged';
+      if (changed) status = dryRun ? 'would-update' : 'updated';
+
+      return { id: recipe._id, title: recipe.title, status };
+    });
+
+    const changedIds = results
+      .filter(result => result.status !== 'unchanged')
+      .map(result => result.id);
+
+    if (!dryRun && changedIds.length) {
+      // $addToSet and $pull can't touch the same path in one update, so run them in sequence
+      const where = { _id: { $in: changedIds } };
+      const operations = [];
+      if (removeTags.length) {
+        operations.push({ updateMany: { filter: where, update: { $pull: { tags: { $in: removeTags } } } } });
+      }
+      if (addTags.length) {
+        operations.push({ updateMany: { filter: where, update: { $addToSet: { tags: { $each: addTags } } } } });
+      }
+      operations.push({
+        updateMany: {
+          filter: where,
+          update: {
+            $set: { updatedAt: Date.now(), ...(difficulty ? { difficulty } : {}) },
+            // Bump the version so ETags handed out before this update go stale
+            $inc: { __v: 1 }
+          }
+        }
+      });
+
+      await Recipe.bulkWrite(operations, { ordered: true });
+
+      const previous = new Map(recipes.map(recipe => [recipe._id.toString(), snapshotOf(recipe)]));
+      const updated = await Recipe.find(where).select([...TRACKED_FIELDS, 'owner', 'createdAt'].join(' '));
+
+      // The update skipped the save hooks, so refresh the words search uses
+      await Recipe.bulkWrite(updated.map(recipe => ({
+        updateOne: { filter: { _id: recipe._id }, update: { $set: { searchTerms: searchTermsOf(recipe) } } }
+      })));
+      await recordRevisions(
+        updated.map(recipe => ({ recipe, previous: previous.get(recipe._id.toString()) })),
+        { user: req.user, action: 'update' }
+      );
+    }
+
+    results.push(...missingIdResults(filter, recipes));
+    const summary = { ...summarise(results, dryRun), changed: changedIds.length };
+
+    res.status(200).json({
+      success: summary.failed === 0,
+      message: dryRun
+        ? `Dry run: ${changedIds.length} of ${recipes.length} matching recipes would change`
+        : `Updated ${changedIds.length} of ${recipes.length} matching recipes`,
+      summary,
+      data: results
+    });
+  } catch (error) {
+    handleError(res, error, 'Bulk update recipes', 'Failed to update recipes');
+  }
+};
+
+// @desc    Move every recipe matching a filter to the trash
+// @route   DELETE /api/recipes/bulk?dryRun=true
+// @access  Private (own recipes; admins all)
+exports.bulkDeleteRecipes = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const dryRun = req.query.dryRun === true;
+    const { filter } = req.body;
+
+    const recipes = await findBulkTargets(filter, req.user, 'title');
+
+    // Same as a single delete: references stay until the recipes are purged from the trash
+    if (!dryRun && recipes.length) {
+      const ids = recipes.map(recipe => recipe._id);
+      const deletedAt = new Date();
+      await Recipe.updateMany({ _id: { $in: ids } }, { $set: { deletedAt, deletedBy: req.user._id } });
+      await Recipe.markForksOf(ids, deletedAt);
+    }
+
+    const results = recipes.map(recipe => ({
+      id: recipe._id,
+      title: recipe.title,
+      status: dryRun ? 'would-delete' : 'deleted'
+    }));
+    results.push(...missingIdResults(filter, recipes));
+    const summary = summarise(results, dryRun);
+
+    res.status(200).json({
+      success: summary.failed === 0,
+      message: dryRun
+        ? `Dry run: ${recipes.length} recipes would be moved to the trash`
+        : `Moved ${recipes.length} recipes to the trash`,
+      summary,
+      data: results
+    });
+  } catch (error) {
+    handleError(res, error, 'Bulk delete recipes', 'Failed to delete recipes');
+  }
+};
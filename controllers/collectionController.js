@@ -0,0 +1,303 @@
+const Collection = require('../models/collection');
+const Recipe = require('../models/recipe');
+const { rejectInvalid } = require('../middleware/validation');
+const { isOwner } = require('../middleware/auth');
+const { withVisibility, visibleTo } = require('../utils/recipeAccess');
+
+const handleError = (res, error, context, message) => {
+  console.error(`${context} error:`, error);
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ID format'
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'You already have a collection with this name'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const validationErrors = Object.values(error.errors).map(err => ({
+      field: err.path,
+      message: err.message,
+      value: err.value
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Collection validation failed',
+      errors: validationErrors
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+// Load a collection the current user owns, or send 404/403 and return null
+const findOwnedCollection = async (req, res) => {
+  const collection = await Collection.findById(req.params.id).select('-__v');
+
+  if (!collection) {
+    res.status(404).json({
+      success: false,
+      message: 'Collection not found'
+    });
+    return null;
+  }
+
+  if (!isOwner(collection, req.user)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to modify this collection'
+    });
+    return null;
+  }
+
+  return collection;
+};
+
+// @desc    Get the current user's collections
+// @route   GET /api/collections
+// @access  Private
+exports.getCollections = async (req, res) => {
+  try {
+    const collections = await Collection.find({ owner: req.user._id })
+      .sort({ updatedAt: -1 })
+      .select('-__v');
+
+    res.status(200).json({
+      success: true,
+      count: collections.length,
+      data: collections.map(collection => ({
+        ...collection.toObject(),
+        recipeCount: collection.recipes.length
+      }))
+    });
+  } catch (error) {
+    handleError(res, error, 'Get collections', 'Failed to fetch collections');
+  }
+};
+
+// @desc    Get a single collection with its recipes in order
+// @route   GET /api/collections/:id
+// @access  Public if the collection is public, otherwise owner only
+exports.getCollection = async (req, res) => {
+  try {
+    // Recipes the viewer may not see are left out
+    const collection = await Collection.findById(req.params.id)
+      .populate({
+        path: 'recipes',
+        select: 'title prepTime cookTime totalTime servings difficulty tags',
+        match: visibleTo(req.user)
+      })
+      .select('-__v');
+
+    // Private collections are reported as missing to everyone but the owner
+    if (!collection || (!collection.isPublic && !isOwner(collection, req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: collection
+    });
+  } catch (error) {
+    handleError(res, error, 'Get collection', 'Failed to fetch collection');
+  }
+};
+
+// @desc    Create a collection
+// @route   POST /api/collections
+// @access  Private
+exports.createCollection = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const { name, description, isPublic } = req.body;
+    const collection = await Collection.create({
+      name,
+      description,
+      isPublic,
+      owner: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Collection created successfully',
+      data: collection
+    });
+  } catch (error) {
+    handleError(res, error, 'Create collection', 'Failed to create collection');
+  }
+};
+
+// @desc    Update a collection's name, description or visibility
+// @route   PUT /api/collections/:id
+// @access  Private (owner only)
+exports.updateCollection = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const collection = await findOwnedCollection(req, res);
+    if (!collection) return;
+
+    ['name', 'description', 'isPublic'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        collection[field] = req.body[field];
+      }
+    });
+    await collection.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Collection updated successfully',
+      data: collection
+    });
+  } catch (error) {
+    handleError(res, error, 'Update collection', 'Failed to update collection');
+  }
+};
+
+// @desc    Delete a collection (recipes themselves are kept)
+// @route   DELETE /api/collections/:id
+// @access  Private (owner only)
+exports.deleteCollection = async (req, res) => {
+  try {
+    const collection = await findOwnedCollection(req, res);
+    if (!collection) return;
+
+    await collection.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Collection deleted successfully',
+      data: {
+        id: collection._id,
+        name: collection.name
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Delete collection', 'Failed to delete collection');
+  }
+};
+
+// @desc    Add a recipe to a collection (appends unless position is given)
+// @route   POST /api/collections/:id/recipes
+// @access  Private (owner only)
+exports.addRecipeToCollection = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const collection = await findOwnedCollection(req, res);
+    if (!collection) return;
+
+    const { recipeId, position } = req.body;
+
+    const recipeExists = await Recipe.exists(withVisibility({ _id: recipeId }, req.user));
+    if (!recipeExists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipe not found'
+      });
+    }
+
+    if (collection.recipes.some(id => id.toString() === recipeId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Recipe is already in this collection'
+      });
+    }
+
+    const index = position === undefined
+      ? collection.recipes.length
+      : Math.min(position, collection.recipes.length);
+    collection.recipes.splice(index, 0, recipeId);
+    await collection.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Recipe added to collection',
+      data: collection
+    });
+  } catch (error) {
+    handleError(res, error, 'Add recipe to collection', 'Failed to add recipe to collection');
+  }
+};
+
+// @desc    Remove a recipe from a collection
+// @route   DELETE /api/collections/:id/recipes/:recipeId
+// @access  Private (owner only)
+exports.removeRecipeFromCollection = async (req, res) => {
+  try {
+    const collection = await findOwnedCollection(req, res);
+    if (!collection) return;
+
+    const before = collection.recipes.length;
+    collection.recipes = collection.recipes.filter(id => id.toString() !== req.params.recipeId);
+
+    if (collection.recipes.length === before) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipe is not in this collection'
+      });
+    }
+
+    await collection.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Recipe removed from collection',
+      data: collection
+    });
+  } catch (error) {
+    handleError(res, error, 'Remove recipe from collection', 'Failed to remove recipe from collection');
+  }
+};
+
+// @desc    Reorder the recipes in a collection
+// @route   PUT /api/collections/:id/recipes
+// @access  Private (owner only)
+exports.reorderCollectionRecipes = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const collection = await findOwnedCollection(req, res);
+    if (!collection) return;
+
+    // The new order must contain exactly the recipes already in the collection
+    const current = collection.recipes.map(id => id.toString()).sort();
+    const requested = [...req.body.recipeIds].sort();
+    const samePermutation = current.length === requested.length &&
+      current.every((id, index) => id === requested[index]);
+
+    if (!samePermutation) {
+      return res.status(400).json({
+        success: false,
+        message: 'recipeIds must list every recipe in the collection exactly once'
+      });
+    }
+
+    collection.recipes = req.body.recipeIds;
+    await collection.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Collection reordered successfully',
+      data: collection
+    });
+  } catch (error) {
+    handleError(res, error, 'Reorder collection', 'Failed to reorder collection');
+  }
+};
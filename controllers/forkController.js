@@ -0,0 +1,184 @@
+const Recipe = require('../models/recipe');
+const { rejectInvalid } = require('../middleware/validation');
+const { setETag } = require('../middleware/concurrency');
+const { snapshotOf, diffSnapshots, recordRevisions } = require('../utils/recipeHistory');
+const { withVisibility } = require('../utils/recipeAccess');
+
+const handleError = (res, error, context, message) => {
+  console.error(`${context} error:`, error);
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ID format'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const validationErrors = Object.values(error.errors).map(err => ({
+      field: err.path,
+      message: err.message,
+      value: err.value
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Recipe validation failed',
+      errors: validationErrors
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+const notFound = (res, message) => res.status(404).json({
+  success: false,
+  message
+});
+
+const presentFork = (recipe) => ({
+  _id: recipe._id,
+  title: recipe.title,
+  owner: recipe.owner,
+  averageRating: recipe.averageRating,
+  ratingCount: recipe.ratingCount,
+  forkedAt: recipe.forkedFrom.forkedAt,
+  createdAt: recipe.createdAt
+});
+
+// @desc    Copy a recipe the user may see into a new one owned by them
+// @route   POST /api/recipes/:id/fork
+// @access  Private
+exports.forkRecipe = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const source = await Recipe.findOne(withVisibility({ _id: req.params.id }, req.user));
+    if (!source) return notFound(res, 'Recipe not found');
+
+    // Only the content carries over; images, reviews and cook logs stay with
+    // the source and the fork gets its own history from here on. Forks of
+    // recipes that aren't public start out private
+    const recipe = await Recipe.create({
+      ...snapshotOf(source),
+      title: req.body.title || source.title,
+      owner: req.user._id,
+      visibility: source.visibility === 'public' ? 'public' : 'private',
+      forkedFrom: {
+        recipe: source._id,
+        title: source.title,
+        owner: source.owner,
+        forkedAt: new Date()
+      }
+    });
+    await recordRevisions([{ recipe }], { user: req.user, action: 'create' });
+
+    setETag(res, recipe);
+    res.status(201).json({
+      success: true,
+      message: `Forked "${source.title}"`,
+      data: recipe
+    });
+  } catch (error) {
+    handleError(res, error, 'Fork recipe', 'Failed to fork recipe');
+  }
+};
+
+// @desc    List the recipes forked from a recipe that the user may see, newest first
+// @route   GET /api/recipes/:id/forks
+// @access  Public (private and unlisted recipes: owner and shared users only)
+exports.getForks = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    // Forks outlive their source, so they are listed even when it's gone
+    const filter = withVisibility({ 'forkedFrom.recipe': req.params.id }, req.user);
+    const [source, forks, total] = await Promise.all([
+      Recipe.findOne(withVisibility({ _id: req.params.id }, req.user)).select('title owner'),
+      Recipe.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('title owner averageRating ratingCount forkedFrom createdAt')
+        .populate('owner', 'name'),
+      Recipe.countDocuments(filter)
+    ]);
+
+    // A source the user may not see is reported as missing, like a deleted one without forks
+    if (!source && (!total || await Recipe.exists({ _id: req.params.id }))) {
+      return notFound(res, 'Recipe not found');
+    }
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      count: forks.length,
+      source: source
+        ? { _id: source._id, title: source.title, owner: source.owner, deleted: false }
+        : { _id: req.params.id, deleted: true },
+      pagination: {
+        currentPage: page,
+        totalPages,
+        limit,
+        total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      },
+      data: forks.map(presentFork)
+    });
+  } catch (error) {
+    handleError(res, error, 'Get forks', 'Failed to fetch forks');
+  }
+};
+
+// @desc    What a fork changed compared with the recipe it was forked from
+// @route   GET /api/recipes/:id/fork/diff
+// @access  Public (private and unlisted recipes: owner and shared users only)
+exports.getForkDiff = async (req, res) => {
+  try {
+    const recipe = await Recipe.findOne(withVisibility({ _id: req.params.id }, req.user));
+    if (!recipe) return notFound(res, 'Recipe not found');
+
+    const { forkedFrom } = recipe;
+    if (!forkedFrom || !forkedFrom.recipe) {
+      return res.status(400).json({
+        success: false,
+        message: 'This recipe is not a fork'
+      });
+    }
+
+    // A source in the trash counts as deleted too; one the user can't see
+    // is reported as missing rather than as private
+    const source = await Recipe.findOne(withVisibility({ _id: forkedFrom.recipe }, req.user));
+    if (!source && !forkedFrom.sourceDeletedAt) {
+      return notFound(res, `The source recipe "${forkedFrom.title}" was not found`);
+    }
+    if (!source) {
+      return res.status(410).json({
+        success: false,
+        message: `The source recipe "${forkedFrom.title}" has been deleted`,
+        forkedFrom
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        source: { _id: source._id, title: source.title, owner: source.owner },
+        fork: { _id: recipe._id, title: recipe.title, owner: recipe.owner },
+        forkedAt: forkedFrom.forkedAt,
+        ...diffSnapshots(snapshotOf(source), snapshotOf(recipe))
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get fork diff', 'Failed to compare fork with its source');
+  }
+};
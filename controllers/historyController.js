@@ -0,0 +1,316 @@
+const Recipe = require('../models/recipe');
+const RecipeRevision = require('../models/recipeRevision');
+const { rejectInvalid } = require('../middleware/validation');
+const { isOwner } = require('../middleware/auth');
+const { withVisibility, canEdit } = require('../utils/recipeAccess');
+const { setETag, rejectVersionConflict } = require('../middleware/concurrency');
+const { TRACKED_FIELDS, snapshotOf, diffSnapshots, recordRevisions } = require('../utils/recipeHistory');
+const { removeRecipeReferences } = require('../utils/recipeReferences');
+
+const handleError = (res, error, context, message) => {
+  console.error(`${context} error:`, error);
+
+  // Someone else saved the recipe between our load and save
+  if (rejectVersionConflict(error, res)) return;
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ID format'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const validationErrors = Object.values(error.errors).map(err => ({
+      field: err.path,
+      message: err.message,
+      value: err.value
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Recipe validation failed',
+      errors: validationErrors
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+// Load a recipe the current user may change, or send 404/403 and return
+// null. History is shown to owners and editors, the trash to owners only;
+// recipes the user can't see at all are reported as missing.
+const findOwnedRecipe = async (req, res, { inTrash = false } = {}) => {
+  const recipe = await Recipe.findOne(withVisibility({
+    _id: req.params.id,
+    deletedAt: inTrash ? { $ne: null } : null
+  }, req.user)).select('+sharedWith');
+
+  if (!recipe) {
+    res.status(404).json({
+      success: false,
+      message: inTrash ? 'Recipe not found in the trash' : 'Recipe not found'
+    });
+    return null;
+  }
+
+  if (inTrash ? !isOwner(recipe, req.user) : !canEdit(recipe, req.user)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this recipe'
+    });
+    return null;
+  }
+
+  return recipe;
+};
+
+const findRevision = async (recipe, rev, res) => {
+  const revision = await RecipeRevision.findOne({ recipe: recipe._id, rev }).populate('editedBy', 'name');
+
+  if (!revision) {
+    res.status(404).json({
+      success: false,
+      message: `Revision ${rev} not found`
+    });
+  }
+
+  return revision;
+};
+
+const presentRevision = (revision) => ({
+  rev: revision.rev,
+  action: revision.action,
+  changedFields: revision.changedFields,
+  restoredFrom: revision.restoredFrom,
+  editedBy: revision.editedBy,
+  createdAt: revision.createdAt
+});
+
+const presentTrashed = (recipe) => ({
+  _id: recipe._id,
+  title: recipe.title,
+  deletedAt: recipe.deletedAt,
+  purgeAfter: Recipe.purgeDateFor(recipe.deletedAt)
+});
+
+// @desc    List the revisions of a recipe, newest first
+// @route   GET /api/recipes/:id/history
+// @access  Private (owner or editor)
+exports.getRecipeHistory = async (req, res) => {
+  try {
+    const recipe = await findOwnedRecipe(req, res);
+    if (!recipe) return;
+
+    const revisions = await RecipeRevision.find({ recipe: recipe._id })
+      .sort({ rev: -1 })
+      .select('-snapshot')
+      .populate('editedBy', 'name');
+
+    res.status(200).json({
+      success: true,
+      count: revisions.length,
+      data: revisions.map(presentRevision)
+    });
+  } catch (error) {
+    handleError(res, error, 'Get recipe history', 'Failed to fetch recipe history');
+  }
+};
+
+// @desc    Get the recipe content saved in one revision
+// @route   GET /api/recipes/:id/history/:rev
+// @access  Private (owner or editor)
+exports.getRevision = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const recipe = await findOwnedRecipe(req, res);
+    if (!recipe) return;
+
+    const revision = await findRevision(recipe, req.params.rev, res);
+    if (!revision) return;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...presentRevision(revision),
+        recipe: revision.snapshot
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get revision', 'Failed to fetch revision');
+  }
+};
+
+// @desc    What changed in a revision: against the one before it, or ?against=N
+// @route   GET /api/recipes/:id/history/:rev/diff
+// @access  Private (owner or editor)
+exports.getRevisionDiff = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const recipe = await findOwnedRecipe(req, res);
+    if (!recipe) return;
+
+    const revision = await findRevision(recipe, req.params.rev, res);
+    if (!revision) return;
+
+    // The first revision is compared with an empty recipe
+    const againstRev = req.query.against !== undefined ? req.query.against : revision.rev - 1;
+    let base = null;
+    if (againstRev > 0) {
+      base = await findRevision(recipe, againstRev, res);
+      if (!base) return;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from: base ? presentRevision(base) : null,
+        to: presentRevision(revision),
+        ...diffSnapshots(base ? base.snapshot : {}, revision.snapshot)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get revision diff', 'Failed to compare revisions');
+  }
+};
+
+// @desc    Bring back the content of an earlier revision (saved as a new revision)
+// @route   POST /api/recipes/:id/history/:rev/restore
+// @access  Private (owner or editor)
+exports.restoreRevision = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const recipe = await findOwnedRecipe(req, res);
+    if (!recipe) return;
+
+    const revision = await findRevision(recipe, req.params.rev, res);
+    if (!revision) return;
+
+    // Fields that weren't set in the revision are cleared; revisions from
+    // before times were split kept the overall time as cookingTime
+    const previous = snapshotOf(recipe);
+    const snapshot = { ...revision.snapshot };
+    if (snapshot.totalTime === undefined && snapshot.cookingTime !== undefined) {
+      snapshot.totalTime = snapshot.cookingTime;
+    }
+    TRACKED_FIELDS.forEach(field => {
+      recipe.set(field, snapshot[field] === undefined ? undefined : snapshot[field]);
+    });
+    await recipe.save();
+
+    const [saved] = await recordRevisions([{ recipe, previous }], {
+      user: req.user,
+      action: 'restore',
+      restoredFrom: revision.rev
+    });
+
+    setETag(res, recipe);
+    res.status(200).json({
+      success: true,
+      message: saved
+        ? `Restored revision ${revision.rev} as revision ${saved.rev}`
+        : `Revision ${revision.rev} matches the current recipe; nothing changed`,
+      data: recipe
+    });
+  } catch (error) {
+    handleError(res, error, 'Restore revision', 'Failed to restore revision');
+  }
+};
+
+// @desc    List your recipes in the trash
+// @route   GET /api/recipes/trash
+// @access  Private
+exports.getTrash = async (req, res) => {
+  try {
+    const recipes = await Recipe.find({ owner: req.user._id, deletedAt: { $ne: null } })
+      .sort({ deletedAt: -1 })
+      .select('title deletedAt');
+
+    res.status(200).json({
+      success: true,
+      count: recipes.length,
+      retentionDays: Recipe.TRASH_RETENTION_DAYS,
+      data: recipes.map(presentTrashed)
+    });
+  } catch (error) {
+    handleError(res, error, 'Get trash', 'Failed to fetch trash');
+  }
+};
+
+// @desc    Take a recipe back out of the trash
+// @route   POST /api/recipes/:id/undelete
+// @access  Private (owner only)
+exports.undeleteRecipe = async (req, res) => {
+  try {
+    const recipe = await findOwnedRecipe(req, res, { inTrash: true });
+    if (!recipe) return;
+
+    await Recipe.updateOne({ _id: recipe._id }, { $set: { deletedAt: null }, $unset: { deletedBy: 1 } });
+    await Recipe.markForksOf([recipe._id], null);
+    recipe.deletedAt = null;
+    recipe.deletedBy = undefined;
+
+    res.status(200).json({
+      success: true,
+      message: 'Recipe restored from the trash',
+      data: recipe
+    });
+  } catch (error) {
+    handleError(res, error, 'Undelete recipe', 'Failed to restore recipe');
+  }
+};
+
+// @desc    Delete a recipe in the trash for good
+// @route   DELETE /api/recipes/trash/:id
+// @access  Private (owner only)
+exports.purgeRecipe = async (req, res) => {
+  try {
+    const recipe = await findOwnedRecipe(req, res, { inTrash: true });
+    if (!recipe) return;
+
+    await recipe.deleteOne();
+
+    // Drop it from collections and meal plans; reviews, history and image files go with it
+    await removeRecipeReferences([recipe]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Recipe deleted permanently',
+      data: {
+        id: recipe._id,
+        title: recipe.title
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Purge recipe', 'Failed to delete recipe');
+  }
+};
+
+// @desc    Delete everything in your trash for good
+// @route   DELETE /api/recipes/trash
+// @access  Private
+exports.emptyTrash = async (req, res) => {
+  try {
+    const recipes = await Recipe.find({ owner: req.user._id, deletedAt: { $ne: null } }).select('title images');
+
+    if (recipes.length) {
+      await Recipe.deleteMany({ _id: { $in: recipes.map(recipe => recipe._id) }, deletedAt: { $ne: null } });
+      await removeRecipeReferences(recipes);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Deleted ${recipes.length} recipes permanently`,
+      count: recipes.length
+    });
+  } catch (error) {
+    handleError(res, error, 'Empty trash', 'Failed to empty trash');
+  }
+};
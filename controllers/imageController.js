@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const Recipe = require('../models/recipe');
+const storageConfig = require('../config/storage');
+const { rejectInvalid } = require('../middleware/validation');
+const { withVisibility, canEdit } = require('../utils/recipeAccess');
+const { rejectVersionConflict } = require('../middleware/concurrency');
+const { getStorage, removeImageFiles } = require('../utils/storage');
+const { processImage, ALLOWED_TYPES } = require('../utils/imageProcessor');
+
+const handleError = (res, error, context, message) => {
+  console.error(`${context} error:`, error);
+
+  // Someone else saved the recipe between our load and save
+  if (rejectVersionConflict(error, res)) return;
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ID format'
+    });
+  }
+
+  if (error.statusCode === 400) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+// Load a recipe the current user owns or edits, or send 404/403 and return
+// null. Recipes the user can't see at all are reported as missing
+const findOwnedRecipe = async (req, res) => {
+  const recipe = await Recipe.findOne(withVisibility({ _id: req.params.id }, req.user)).select('+sharedWith');
+
+  if (!recipe) {
+    res.status(404).json({
+      success: false,
+      message: 'Recipe not found'
+    });
+    return null;
+  }
+
+  if (!canEdit(recipe, req.user)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to change images on this recipe'
+    });
+    return null;
+  }
+
+  return recipe;
+};
+
+const imagePayload = (recipe) => ({
+  images: recipe.images,
+  coverImage: recipe.coverImage
+});
+
+// Process and store one upload; returns the image subdocument data
+const storeImage = async (recipeId, file) => {
+  const storage = getStorage();
+  const processed = await processImage(file.buffer);
+  const baseKey = `recipes/${recipeId}/${crypto.randomUUID()}`;
+
+  const original = await storage.save(`${baseKey}.${ALLOWED_TYPES[file.mimetype]}`, file.buffer, file.mimetype);
+  try {
+    const thumbnail = await storage.save(`${baseKey}-thumb.jpg`, processed.thumbnail.buffer, processed.thumbnail.contentType);
+
+    return {
+      key: original.key,
+      url: original.url,
+      thumbnailKey: thumbnail.key,
+      thumbnailUrl: thumbnail.url,
+      contentType: file.mimetype,
+      size: file.size,
+      width: processed.width,
+      height: processed.height
+    };
+  } catch (error) {
+    await removeImageFiles([{ key: original.key }]);
+    throw error;
+  }
+};
+
+// @desc    Upload images for a recipe (multipart field "images")
+// @route   POST /api/recipes/:id/images
+// @access  Private (owner or editor)
+exports.uploadRecipeImages = async (req, res) => {
+  const stored = [];
+
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No images uploaded; send files in the "images" field'
+      });
+    }
+
+    const recipe = await findOwnedRecipe(req, res);
+    if (!recipe) return;
+
+    if (recipe.images.length + req.files.length > storageConfig.maxImagesPerRecipe) {
+      return res.status(400).json({
+        success: false,
+        message: `A recipe can have at most ${storageConfig.maxImagesPerRecipe} images`
+      });
+    }
+
+    for (const file of req.files) {
+      stored.push(await storeImage(recipe._id, file));
+    }
+
+    const { caption, step, cover } = req.body;
+    stored.forEach(image => {
+      recipe.images.push({ ...image, caption, step });
+    });
+
+    const firstNew = recipe.images[recipe.images.length - stored.length];
+    if (cover || !recipe.coverImage) {
+      recipe.coverImage = firstNew._id;
+    }
+
+    await recipe.save();
+
+    res.status(201).json({
+      success: true,
+      message: `${stored.length} image(s) uploaded successfully`,
+      data: imagePayload(recipe)
+    });
+  } catch (error) {
+    // Don't leave orphaned files behind when the request fails part-way
+    await removeImageFiles(stored);
+    handleError(res, error, 'Upload recipe images', 'Failed to upload images');
+  }
+};
+
+// @desc    Update an image's caption or step, or make it the cover
+// @route   PATCH /api/recipes/:id/images/:imageId
+// @access  Private (owner or editor)
+exports.updateRecipeImage = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const recipe = await findOwnedRecipe(req, res);
+    if (!recipe) return;
+
+    const image = recipe.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+
+    if (req.body.caption !== undefined) image.caption = req.body.caption;
+    // null detaches the image from its step
+    if (req.body.step !== undefined) image.step = req.body.step === null ? undefined : req.body.step;
+    if (req.body.cover === true) recipe.coverImage = image._id;
+
+    await recipe.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Image updated successfully',
+      data: imagePayload(recipe)
+    });
+  } catch (error) {
+    handleError(res, error, 'Update recipe image', 'Failed to update image');
+  }
+};
+
+// @desc    Delete an image and its stored files
+// @route   DELETE /api/recipes/:id/images/:imageId
+// @access  Private (owner or editor)
+exports.deleteRecipeImage = async (req, res) => {
+  try {
+    const recipe = await findOwnedRecipe(req, res);
+    if (!recipe) return;
+
+    const image = recipe.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+
+    const removed = image.toObject();
+    recipe.images.pull(image._id);
+
+    // Fall back to the first remaining image as cover
+    if (recipe.coverImage && recipe.coverImage.equals(removed._id)) {
+      recipe.coverImage = recipe.images.length ? recipe.images[0]._id : undefined;
+    }
+
+    await recipe.save();
+    await removeImageFiles([removed]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Image deleted successfully',
+      data: imagePayload(recipe)
+    });
+  } catch (error) {
+    handleError(res, error, 'Delete recipe image', 'Failed to delete image');
+  }
+};
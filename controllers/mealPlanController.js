@@ -0,0 +1,348 @@
+const MealPlan = require('../models/mealPlan');
+const Recipe = require('../models/recipe');
+const { rejectInvalid } = require('../middleware/validation');
+const { withVisibility, visibleTo } = require('../utils/recipeAccess');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 62;
+const { MEAL_SLOTS } = MealPlan;
+
+// Normalise any date input to UTC midnight of that day
+const toDay = (value) => {
+  const date = new Date(value);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+// Read ?start=&end= (end defaults to defaultDays from start); returns null after responding on error
+const readRange = (req, res, defaultDays = 7) => {
+  const start = toDay(req.query.start);
+  const end = req.query.end ? toDay(req.query.end) : addDays(start, defaultDays - 1);
+  const days = Math.round((end - start) / DAY_MS) + 1;
+
+  if (days < 1 || days > MAX_RANGE_DAYS) {
+    res.status(400).json({
+      success: false,
+      message: `End date must be on or after start date and within ${MAX_RANGE_DAYS} days`
+    });
+    return null;
+  }
+
+  return { start, end, days };
+};
+
+const handleError = (res, error, context, message) => {
+  console.error(`${context} error:`, error);
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ID format'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const validationErrors = Object.values(error.errors).map(err => ({
+      field: err.path,
+      message: err.message,
+      value: err.value
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Meal plan validation failed',
+      errors: validationErrors
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+// Recipes made private or unshared since they were planned show as missing,
+// like deleted ones
+const plannedRecipes = (user) => ({
+  path: 'meals.recipe',
+  select: 'title prepTime cookTime totalTime servings difficulty',
+  match: visibleTo(user)
+});
+
+// Shape one calendar day, including the time summary built from each recipe's totalTime
+const summariseDay = (date, plan) => {
+  const meals = (plan ? plan.meals : [])
+    .map(meal => {
+      const recipe = meal.recipe;
+      return {
+        id: meal._id,
+        slot: meal.slot,
+        recipe,
+        servings: meal.servings || (recipe && recipe.servings) || null,
+        notes: meal.notes
+      };
+    })
+    .sort((a, b) => MEAL_SLOTS.indexOf(a.slot) - MEAL_SLOTS.indexOf(b.slot));
+
+  const timed = meals.filter(meal => meal.recipe && meal.recipe.totalTime);
+
+  return {
+    date: formatDay(date),
+    meals,
+    summary: {
+      mealCount: meals.length,
+      totalTime: timed.reduce((sum, meal) => sum + meal.recipe.totalTime, 0),
+      totalServings: meals.reduce((sum, meal) => sum + (meal.servings || 0), 0),
+      // Recipes with no totalTime can't be counted, so flag how many were skipped
+      mealsWithoutTime: meals.length - timed.length
+    }
+  };
+};
+
+// @desc    Get the meal plan for a date range (defaults to one week)
+// @route   GET /api/meal-plans?start=YYYY-MM-DD&end=YYYY-MM-DD
+// @access  Private
+exports.getMealPlans = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const range = readRange(req, res);
+    if (!range) return;
+
+    const plans = await MealPlan.find({
+      owner: req.user._id,
+      date: { $gte: range.start, $lte: range.end }
+    })
+      .populate(plannedRecipes(req.user))
+      .select('-__v');
+
+    const byDay = plans.reduce((acc, plan) => {
+      acc[formatDay(plan.date)] = plan;
+      return acc;
+    }, {});
+
+    const days = [];
+    for (let i = 0; i < range.days; i++) {
+      const date = addDays(range.start, i);
+      days.push(summariseDay(date, byDay[formatDay(date)]));
+    }
+
+    res.status(200).json({
+      success: true,
+      range: {
+        start: formatDay(range.start),
+        end: formatDay(range.end)
+      },
+      summary: {
+        mealCount: days.reduce((sum, day) => sum + day.summary.mealCount, 0),
+        totalTime: days.reduce((sum, day) => sum + day.summary.totalTime, 0)
+      },
+      data: days
+    });
+  } catch (error) {
+    handleError(res, error, 'Get meal plans', 'Failed to fetch meal plans');
+  }
+};
+
+// @desc    Add a recipe to a date and meal slot
+// @route   POST /api/meal-plans
+// @access  Private
+exports.addMeal = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const { date, slot, recipeId, servings, notes } = req.body;
+
+    const recipeExists = await Recipe.exists(withVisibility({ _id: recipeId }, req.user));
+    if (!recipeExists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipe not found'
+      });
+    }
+
+    const day = toDay(date);
+    const plan = await MealPlan.findOneAndUpdate(
+      { owner: req.user._id, date: day },
+      {
+        $push: { meals: { slot, recipe: recipeId, servings, notes } },
+        $set: { updatedAt: Date.now() },
+        $setOnInsert: { owner: req.user._id, date: day }
+      },
+      {
+        new: true,
+        upsert: true,
+        runValidators: true
+      }
+    ).populate(plannedRecipes(req.user));
+
+    res.status(201).json({
+      success: true,
+      message: 'Meal added to plan',
+      data: summariseDay(day, plan)
+    });
+  } catch (error) {
+    handleError(res, error, 'Add meal', 'Failed to add meal to plan');
+  }
+};
+
+// @desc    Copy seven days of meals starting at fromDate onto the week starting at toDate
+// @route   POST /api/meal-plans/copy-week
+// @access  Private
+exports.copyWeek = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const from = toDay(req.body.fromDate);
+    const to = toDay(req.body.toDate);
+    const overwrite = req.body.overwrite === true;
+
+    if (from.getTime() === to.getTime()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Source and target weeks must be different'
+      });
+    }
+
+    const sourcePlans = await MealPlan.find({
+      owner: req.user._id,
+      date: { $gte: from, $lte: addDays(from, 6) }
+    });
+
+    const operations = [];
+    sourcePlans.forEach(plan => {
+      const offset = Math.round((plan.date - from) / DAY_MS);
+      const target = addDays(to, offset);
+      const meals = plan.meals.map(({ slot, recipe, servings, notes }) => ({ slot, recipe, servings, notes }));
+
+      operations.push({
+        updateOne: {
+          filter: { owner: req.user._id, date: target },
+          update: {
+            // Overwrite replaces the target day; otherwise copied meals are appended
+            ...(overwrite ? { $set: { meals } } : { $push: { meals: { $each: meals } } }),
+            $currentDate: { updatedAt: true },
+            $setOnInsert: { owner: req.user._id, date: target, createdAt: new Date() }
+          },
+          upsert: true
+        }
+      });
+    });
+
+    if (overwrite) {
+      // Days in the target week with nothing to copy are cleared too
+      const copiedDays = sourcePlans.map(plan => addDays(to, Math.round((plan.date - from) / DAY_MS)));
+      await MealPlan.deleteMany({
+        owner: req.user._id,
+        date: { $gte: to, $lte: addDays(to, 6), $nin: copiedDays }
+      });
+    }
+
+    if (operations.length) {
+      await MealPlan.bulkWrite(operations);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Week copied successfully',
+      data: {
+        from: formatDay(from),
+        to: formatDay(to),
+        daysCopied: sourcePlans.length,
+        mealsCopied: sourcePlans.reduce((sum, plan) => sum + plan.meals.length, 0),
+        overwrite
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Copy week', 'Failed to copy week');
+  }
+};
+
+// @desc    Clear meals in a date range, optionally only some slots
+// @route   DELETE /api/meal-plans?start=YYYY-MM-DD&end=YYYY-MM-DD&slot=dinner,lunch
+// @access  Private
+exports.clearMeals = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    // A clear without an end date only touches the start day
+    const range = readRange(req, res, 1);
+    if (!range) return;
+
+    const filter = {
+      owner: req.user._id,
+      date: { $gte: range.start, $lte: range.end }
+    };
+
+    let cleared;
+    if (req.query.slot) {
+      const slots = req.query.slot.split(',').map(slot => slot.trim());
+      const result = await MealPlan.updateMany(filter, {
+        $pull: { meals: { slot: { $in: slots } } },
+        $set: { updatedAt: Date.now() }
+      });
+      cleared = result.modifiedCount;
+
+      // Don't leave empty days behind
+      await MealPlan.deleteMany({ ...filter, meals: { $size: 0 } });
+    } else {
+      const result = await MealPlan.deleteMany(filter);
+      cleared = result.deletedCount;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Meals cleared successfully',
+      data: {
+        start: formatDay(range.start),
+        end: formatDay(range.end),
+        slots: req.query.slot ? req.query.slot.split(',').map(slot => slot.trim()) : MEAL_SLOTS,
+        daysAffected: cleared
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Clear meals', 'Failed to clear meals');
+  }
+};
+
+// @desc    Remove a single meal from the plan
+// @route   DELETE /api/meal-plans/meals/:mealId
+// @access  Private
+exports.removeMeal = async (req, res) => {
+  try {
+    const plan = await MealPlan.findOneAndUpdate(
+      { owner: req.user._id, 'meals._id': req.params.mealId },
+      {
+        $pull: { meals: { _id: req.params.mealId } },
+        $set: { updatedAt: Date.now() }
+      },
+      { new: true }
+    );
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meal not found'
+      });
+    }
+
+    if (!plan.meals.length) {
+      await plan.deleteOne();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Meal removed from plan',
+      data: {
+        id: req.params.mealId,
+        date: formatDay(plan.date)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Remove meal', 'Failed to remove meal');
+  }
+};
@@ -0,0 +1,325 @@
+const Pantry = require('../models/pantry');
+const Recipe = require('../models/recipe');
+const { rejectInvalid } = require('../middleware/validation');
+const { normalizeIngredient } = require('../utils/ingredientParser');
+const { categorize, normalizeName } = require('../utils/shoppingList');
+const { tokenize, matchRecipe, STAPLES } = require('../utils/ingredientMatcher');
+const { withVisibility } = require('../utils/recipeAccess');
+
+// Pantry items expiring within this many days are used up first when matching
+const EXPIRING_SOON_DAYS = 3;
+// Upper bound on recipes scored per match request; past it only the newest
+// candidates are ranked and the response says so
+const MAX_MATCH_CANDIDATES = 2000;
+
+const handleError = (res, error, context, message) => {
+  console.error(`${context} error:`, error);
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ID format'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const validationErrors = Object.values(error.errors).map(err => ({
+      field: err.path,
+      message: err.message,
+      value: err.value
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Pantry validation failed',
+      errors: validationErrors
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isExpiringSoon = (item, now = Date.now()) =>
+  Boolean(item.expiresAt) && item.expiresAt.getTime() - now <= EXPIRING_SOON_DAYS * 24 * 60 * 60 * 1000;
+
+// Turn "2 chicken thighs" or { name, quantity, unit, expiresAt } into a pantry item
+const toPantryItem = (input) => {
+  const ingredient = normalizeIngredient(input);
+  if (!ingredient) return null;
+
+  const item = {
+    name: ingredient.name,
+    category: categorize(ingredient.name)
+  };
+  if (typeof ingredient.quantity === 'number') item.quantity = ingredient.quantity;
+  if (ingredient.unit) item.unit = ingredient.unit;
+  if (input && typeof input === 'object' && input.expiresAt) item.expiresAt = new Date(input.expiresAt);
+
+  return item;
+};
+
+// Soonest expiry first, then by name; expiringSoon flags what to cook with next
+const presentPantry = (pantry) => {
+  const now = Date.now();
+  const items = [...pantry.items]
+    .sort((a, b) => {
+      const aTime = a.expiresAt ? a.expiresAt.getTime() : Infinity;
+      const bTime = b.expiresAt ? b.expiresAt.getTime() : Infinity;
+      return aTime - bTime || a.name.localeCompare(b.name);
+    })
+    .map(item => ({ ...item.toObject(), expiringSoon: isExpiringSoon(item, now) }));
+
+  return {
+    _id: pantry._id,
+    items,
+    count: items.length,
+    createdAt: pantry.createdAt,
+    updatedAt: pantry.updatedAt
+  };
+};
+
+const findOrCreatePantry = async (user) =>
+  await Pantry.findOne({ owner: user._id }).select('-__v') || new Pantry({ owner: user._id, items: [] });
+
+// @desc    Get the current user's pantry
+// @route   GET /api/pantry
+// @access  Private
+exports.getPantry = async (req, res) => {
+  try {
+    const pantry = await findOrCreatePantry(req.user);
+
+    res.status(200).json({
+      success: true,
+      data: presentPantry(pantry)
+    });
+  } catch (error) {
+    handleError(res, error, 'Get pantry', 'Failed to fetch pantry');
+  }
+};
+
+// @desc    Replace everything in the pantry
+// @route   PUT /api/pantry
+// @access  Private
+exports.replacePantry = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const pantry = await findOrCreatePantry(req.user);
+    pantry.items = req.body.items.map(toPantryItem).filter(Boolean);
+    await pantry.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Pantry updated successfully',
+      data: presentPantry(pantry)
+    });
+  } catch (error) {
+    handleError(res, error, 'Replace pantry', 'Failed to update pantry');
+  }
+};
+
+// @desc    Add items to the pantry, merging with ones already there
+// @route   POST /api/pantry/items
+// @access  Private
+exports.addPantryItems = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const pantry = await findOrCreatePantry(req.user);
+
+    req.body.items.map(toPantryItem).filter(Boolean).forEach(item => {
+      const key = normalizeName(item.name);
+      const existing = pantry.items.find(current => normalizeName(current.name) === key);
+
+      if (!existing) {
+        pantry.items.push(item);
+        return;
+      }
+
+      // Same unit: add the amounts up; otherwise the latest amount wins
+      if (typeof item.quantity === 'number') {
+        const sameUnit = (existing.unit || null) === (item.unit || null);
+        existing.quantity = sameUnit && typeof existing.quantity === 'number'
+          ? existing.quantity + item.quantity
+          : item.quantity;
+        existing.unit = item.unit;
+      }
+      if (item.expiresAt) existing.expiresAt = item.expiresAt;
+    });
+
+    await pantry.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Pantry items added successfully',
+      data: presentPantry(pantry)
+    });
+  } catch (error) {
+    handleError(res, error, 'Add pantry items', 'Failed to add pantry items');
+  }
+};
+
+// @desc    Remove an item from the pantry
+// @route   DELETE /api/pantry/items/:itemId
+// @access  Private
+exports.removePantryItem = async (req, res) => {
+  try {
+    const pantry = await Pantry.findOne({ owner: req.user._id }).select('-__v');
+    const item = pantry && pantry.items.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    pantry.items.pull(item._id);
+    await pantry.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Pantry item removed successfully',
+      data: presentPantry(pantry)
+    });
+  } catch (error) {
+    handleError(res, error, 'Remove pantry item', 'Failed to remove pantry item');
+  }
+};
+
+// @desc    Rank the recipes the user may see by how much of them can be made with what's on hand
+// @route   POST /api/recipes/match
+// @access  Public (usePantry requires login)
+exports.matchRecipes = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const {
+      ingredients = [],
+      usePantry = false,
+      priority = [],
+      maxMissing = 2,
+      limit = 20,
+      ignoreStaples = true
+    } = req.body;
+
+    // Items to use up first are on hand too, whether or not they were listed
+    const usingFirst = priority.map(name => ({ name, tokens: tokenize(name) }));
+    const onHand = [...ingredients.map(name => ({ name, tokens: tokenize(name) })), ...usingFirst];
+
+    if (usePantry) {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Log in to match against your pantry'
+        });
+      }
+
+      const pantry = await Pantry.findOne({ owner: req.user._id });
+      (pantry ? pantry.items : []).forEach(item => {
+        onHand.push({ name: item.name, tokens: tokenize(item.name) });
+        if (isExpiringSoon(item)) usingFirst.push({ name: item.name, tokens: tokenize(item.name) });
+      });
+    }
+
+    const available = onHand.filter(item => item.tokens.length);
+    if (!available.length) {
+      return res.status(400).json({
+        success: false,
+        message: usePantry ? 'Your pantry is empty; add items or send ingredients' : 'No ingredients to match'
+      });
+    }
+
+    // Only recipes sharing at least a word stem with something on hand are scored;
+    // the short stem lets "tomatoe" still find "tomatoes"
+    const stems = [...new Set(available.flatMap(item =>
+      item.tokens.map(token => (token.length >= 5 ? token.slice(0, 4) : token))
+    ))];
+    const candidates = Recipe.find(withVisibility({
+      'ingredients.name': { $in: stems.map(stem => new RegExp(`\\b${escapeRegex(stem)}`, 'i')) }
+    }, req.user))
+      .select('title ingredients servings prepTime cookTime totalTime difficulty tags images owner')
+      .sort({ createdAt: -1 })
+      .limit(MAX_MATCH_CANDIDATES + 1)
+      .lean()
+      .cursor();
+
+    // Staples go last so a matching item the user listed is reported first
+    const staples = ignoreStaples ? STAPLES.map(name => ({ name, tokens: tokenize(name), staple: true })) : [];
+    const stapleNames = new Set(staples.map(item => item.name));
+    const results = [];
+    let scored = 0;
+    let truncated = false;
+
+    for await (const recipe of candidates) {
+      if (scored === MAX_MATCH_CANDIDATES) {
+        truncated = true;
+        break;
+      }
+      scored++;
+
+      const { matched, missing, priorityUsed, coverage } = matchRecipe(recipe, [...available, ...staples], usingFirst);
+
+      // A recipe made only of salt and water isn't a match for what's in the fridge
+      const usesOnHand = matched.some(entry => !stapleNames.has(entry.using));
+      if (!usesOnHand || missing.length > maxMissing) continue;
+
+      const priorityShare = usingFirst.length ? priorityUsed.length / usingFirst.length : 0;
+      results.push({
+        recipe: {
+          _id: recipe._id,
+          title: recipe.title,
+          prepTime: recipe.prepTime,
+          cookTime: recipe.cookTime,
+          totalTime: recipe.totalTime,
+          servings: recipe.servings,
+          difficulty: recipe.difficulty,
+          tags: recipe.tags,
+          image: recipe.images && recipe.images.length ? recipe.images[0] : null
+        },
+        coverage: Math.round(coverage * 100) / 100,
+        matched,
+        missing,
+        missingCount: missing.length,
+        priorityMatches: priorityUsed,
+        // Using up priority items counts for up to half a fully covered recipe
+        score: Math.round((coverage + 0.5 * priorityShare) * 1000) / 1000
+      });
+    }
+
+    results.sort((a, b) =>
+      b.score - a.score ||
+      a.missingCount - b.missingCount ||
+      a.recipe.title.localeCompare(b.recipe.title)
+    );
+
+    res.status(200).json({
+      success: true,
+      count: Math.min(results.length, limit),
+      total: results.length,
+      candidates: {
+        scored,
+        truncated,
+        ...(truncated && {
+          message: `More than ${MAX_MATCH_CANDIDATES} recipes share words with these ingredients; only the ${MAX_MATCH_CANDIDATES} newest were ranked`
+        })
+      },
+      criteria: {
+        ingredients: [...new Set(available.map(item => item.name))],
+        priority: [...new Set(usingFirst.map(item => item.name))],
+        maxMissing,
+        ignoreStaples,
+        usePantry
+      },
+      data: results.slice(0, limit)
+    });
+  } catch (error) {
+    handleError(res, error, 'Match recipes', 'Failed to match recipes');
+  }
+};
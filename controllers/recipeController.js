@@ -1,14 +1,80 @@
 const Recipe = require('../models/recipe');
+const Collection = require('../models/collection');
 const { validationResult } = require('express-validator');
+const { rejectInvalid, checkRecipe } = require('../middleware/validation');
+const { isOwner } = require('../middleware/auth');
+const { withVisibility, canEdit, publicRecipes } = require('../utils/recipeAccess');
+const { normalizeIngredients, formatIngredient } = require('../utils/ingredientParser');
+const { tokenize } = require('../utils/ingredientMatcher');
+const { scaleRecipe } = require('../utils/recipeScaler');
+const { convertRecipe } = require('../utils/unitConverter');
+const { setETag, rejectStale, rejectVersionConflict } = require('../middleware/concurrency');
+const { TRACKED_FIELDS, snapshotOf, recordRevisions } = require('../utils/recipeHistory');
+const { applyMergePatch, applyJsonPatch } = require('../utils/jsonPatch');
+const {
+  buildSearchQuery,
+  expandSearchTags,
+  sortFor,
+  NUTRITION_FILTERS,
+  TIME_FILTERS
+} = require('../utils/recipeQuery');
+const { findPage, pageSize, parseFields, selectFor, pickFields } = require('../utils/pagination');
+const { correctSearch } = require('../utils/searchTerms');
+const { calculateNutrition, scaleNutrients, NUTRIENTS } = require('../utils/nutrition');
+const { classifyRecipe, applyOverrides, DISCLAIMER: DIET_DISCLAIMER } = require('../utils/dietClassifier');
+const { extractRecipe } = require('../utils/recipeImporter');
+const { fetchHtml } = require('../utils/htmlFetcher');
+const { once } = require('events');
+const PDFDocument = require('pdfkit');
+const { toCsvRow } = require('../utils/csv');
+const {
+  CSV_COLUMNS,
+  toCsvValues,
+  toMarkdown,
+  toPrintHtml,
+  renderPdfRecipe
+} = require('../utils/recipeFormatters');
 
-// @desc    Get all recipes
+// Apply the ?servings= and ?units= (&from=) presentation options to a recipe
+const presentRecipe = (recipe, { servings, units, from } = {}) => {
+  let data = recipe;
+  if (servings) data = scaleRecipe(data, servings);
+  if (units) data = convertRecipe(data, units, { from });
+  return data;
+};
+
+// Drop the fields the server maintains (see Recipe.COMPUTED_FIELDS) from a request body
+const withoutComputedFields = (body) => Object.keys(body).reduce((fields, key) => {
+  if (!Recipe.COMPUTED_FIELDS.includes(key)) fields[key] = body[key];
+  return fields;
+}, {});
+
+// Recipes saved before a derived field existed get it filled in on read
+// until the backfill scripts have been run
+const fillDerivedFields = (recipe) => {
+  if (!recipe.nutrition || !recipe.nutrition.computedAt) {
+    const { total, perServing, matchedIngredients, totalIngredients } = calculateNutrition(recipe);
+    recipe.nutrition = { total, perServing, matchedIngredients, totalIngredients, computedAt: new Date() };
+  }
+  if (!recipe.dietary || !recipe.dietary.computedAt) {
+    const { diets, allergens } = applyOverrides(classifyRecipe(recipe), recipe.get('dietary.overrides'));
+    recipe.set('dietary.diets', diets);
+    recipe.set('dietary.allergens', allergens);
+  }
+  return recipe;
+};
+
+// @desc    Get the recipes the user may see (optionally only those in ?collection=
+//          or shared with them), by page or cursor
 // @route   GET /api/recipes
-// @access  Public
+// @access  Public (signed-in users also get their own and shared recipes)
 exports.getAllRecipes = async (req, res) => {
   try {
+    if (rejectInvalid(req, res)) return;
+
     const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const limit = pageSize(req.query.limit);
+    const fields = parseFields(req.query.fields);
 
     // Build filter object
     let filter = {};
@@ -18,36 +84,61 @@ exports.getAllRecipes = async (req, res) => {
       filter.difficulty = req.query.difficulty;
     }
 
-    // Filter by tags if provided
+    // Filter by tags if provided, including aliases and child categories
     if (req.query.tags) {
-      const tags = req.query.tags.split(',');
+      const { tags } = await expandSearchTags(req.query);
       filter.tags = { $in: tags };
     }
 
-    const recipes = await Recipe.find(filter)
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .select('-__v'); // Exclude version key
+    // Filter by average star rating
+    if (req.query.minRating) {
+      filter.averageRating = { $gte: parseFloat(req.query.minRating) };
+    }
+
+    // Filter by collection; private collections only work for their owner
+    if (req.query.collection) {
+      const collection = await Collection.findById(req.query.collection).select('recipes owner isPublic');
+
+      if (!collection || (!collection.isPublic && !isOwner(collection, req.user))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Collection not found'
+        });
+      }
+
+      filter._id = { $in: collection.recipes };
+    }
 
-    const total = await Recipe.countDocuments(filter);
-    const totalPages = Math.ceil(total / limit);
+    // Only recipes shared with the current user
+    if (req.query.shared === true) {
+      filter['sharedWith.user'] = req.user ? req.user._id : { $in: [] };
+    }
+
+    const sort = sortFor(req.query.sort || 'newest');
+    const { docs: recipes, pagination } = await findPage(Recipe, withVisibility(filter, req.user), {
+      sort,
+      select: selectFor(fields, sort),
+      limit,
+      page,
+      cursor: req.query.cursor
+    });
 
     res.status(200).json({
       success: true,
       count: recipes.length,
-      pagination: {
-        currentPage: page,
-        totalPages,
-        limit,
-        total,
-        hasNext: page < totalPages,
-        hasPrev: page > 1
-      },
-      data: recipes
+      pagination,
+      data: recipes.map(recipe => pickFields(recipe, fields))
     });
   } catch (error) {
     console.error('Get all recipes error:', error);
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to fetch recipes',
@@ -56,12 +147,15 @@ exports.getAllRecipes = async (req, res) => {
   }
 };
 
-// @desc    Get single recipe
+// @desc    Get single recipe (optionally rescaled with ?servings=N, converted with ?units=)
 // @route   GET /api/recipes/:id
-// @access  Public
+// @access  Public (private and unlisted recipes: owner and shared users only)
 exports.getRecipe = async (req, res) => {
   try {
-    const recipe = await Recipe.findById(req.params.id).select('-__v');
+    if (rejectInvalid(req, res)) return;
+
+    // Recipes the user may not see are reported as missing
+    const recipe = await Recipe.findOne(withVisibility({ _id: req.params.id }, req.user));
 
     if (!recipe) {
       return res.status(404).json({
@@ -70,12 +164,21 @@ exports.getRecipe = async (req, res) => {
       });
     }
 
+    // Express answers If-None-Match with 304 from this tag as well
+    setETag(res, recipe);
     res.status(200).json({
       success: true,
-      data: recipe
+      data: presentRecipe(fillDerivedFields(recipe), req.query)
     });
   } catch (error) {
     console.error('Get recipe error:', error);
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     
     // Handle invalid ObjectId
     if (error.name === 'CastError') {
@@ -93,9 +196,354 @@ exports.getRecipe = async (req, res) => {
   }
 };
 
+// @desc    Open a recipe with a share link, without an account (optionally
+//          rescaled with ?servings=N, converted with ?units=)
+// @route   GET /api/recipes/shared/:token
+// @access  Public (with a share link that hasn't expired or been revoked)
+exports.getSharedRecipe = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const recipe = await Recipe.findByShareToken(req.params.token);
+
+    if (!recipe) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found, expired or revoked'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: presentRecipe(fillDerivedFields(recipe), req.query)
+    });
+  } catch (error) {
+    console.error('Get shared recipe error:', error);
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch recipe',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get recipe rescaled to a target number of servings
+// @route   GET /api/recipes/:id/scale?servings=N
+// @access  Public (private and unlisted recipes: owner and shared users only)
+exports.scaleRecipe = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const recipe = await Recipe.findOne(withVisibility({ _id: req.params.id }, req.user)).select('-__v');
+
+    if (!recipe) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipe not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: presentRecipe(recipe, req.query)
+    });
+  } catch (error) {
+    console.error('Scale recipe error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid recipe ID format'
+      });
+    }
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to scale recipe',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Nutrition per serving and in total, with a per-ingredient breakdown
+// @route   GET /api/recipes/:id/nutrition?servings=N
+// @access  Public (private and unlisted recipes: owner and shared users only)
+exports.getRecipeNutrition = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const recipe = await Recipe.findOne(withVisibility({ _id: req.params.id }, req.user))
+      .select('title ingredients servings');
+
+    if (!recipe) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipe not found'
+      });
+    }
+
+    // Computed fresh so the breakdown always matches the current nutrient data
+    const nutrition = calculateNutrition(recipe);
+    const servings = req.query.servings || nutrition.servings;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: recipe._id,
+        title: recipe.title,
+        units: NUTRIENTS,
+        servings,
+        // Recipes without servings are treated as one serving
+        servingsAssumed: !recipe.servings,
+        perServing: nutrition.perServing,
+        total: req.query.servings ? scaleNutrients(nutrition.perServing, servings) : nutrition.total,
+        coverage: {
+          matched: nutrition.matchedIngredients,
+          total: nutrition.totalIngredients,
+          percent: nutrition.totalIngredients
+            ? Math.round((nutrition.matchedIngredients / nutrition.totalIngredients) * 100)
+            : 0
+        },
+        ingredients: nutrition.ingredients
+      }
+    });
+  } catch (error) {
+    console.error('Get recipe nutrition error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid recipe ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to calculate nutrition',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// An ingredient belongs to a step when every word of its name is in the step
+const ingredientsInStep = (step, ingredients) => {
+  const words = new Set(tokenize(step.text));
+  return ingredients.filter(({ tokens }) => tokens.length && tokens.every(token => words.has(token)));
+};
+
+// @desc    Steps for cook mode: numbered, with timers, sections, the
+//          ingredients each step uses and the images that illustrate it
+// @route   GET /api/recipes/:id/steps?servings=N&units=
+// @access  Public (private and unlisted recipes: owner and shared users only)
+exports.getRecipeSteps = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const recipe = await Recipe.findOne(withVisibility({ _id: req.params.id }, req.user))
+      .select('title ingredients instructions servings images');
+
+    if (!recipe) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipe not found'
+      });
+    }
+
+    const presented = presentRecipe(recipe, req.query);
+    const data = typeof presented.toObject === 'function' ? presented.toObject() : presented;
+
+    const ingredients = (data.ingredients || []).map(ingredient => ({
+      line: formatIngredient(ingredient),
+      tokens: tokenize(ingredient.name)
+    }));
+
+    const steps = (data.instructions || []).map((step, index) => ({
+      number: index + 1,
+      section: step.section || null,
+      text: step.text,
+      duration: step.duration === undefined ? null : step.duration,
+      durationMax: step.durationMax === undefined ? null : step.durationMax,
+      // Seconds, ready to count down
+      timer: step.duration === undefined ? null : {
+        seconds: Math.round(step.duration * 60),
+        maxSeconds: step.durationMax === undefined ? null : Math.round(step.durationMax * 60)
+      },
+      ingredients: ingredientsInStep(step, ingredients).map(ingredient => ingredient.line),
+      images: (recipe.images || [])
+        .filter(image => image.step === index)
+        .map(image => ({ url: image.url, thumbnailUrl: image.thumbnailUrl, caption: image.caption }))
+    }));
+
+    // Section headings in order, with the steps under each
+    const sections = [];
+    steps.forEach(step => {
+      const last = sections[sections.length - 1];
+      if (last && last.title === step.section) last.steps.push(step.number);
+      else sections.push({ title: step.section, steps: [step.number] });
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: recipe._id,
+        title: recipe.title,
+        servings: data.servings,
+        totalSteps: steps.length,
+        // Minutes of timed steps; untimed steps add to the real total
+        timedMinutes: steps.reduce((sum, step) => sum + (step.duration || 0), 0),
+        ingredients: ingredients.map(ingredient => ingredient.line),
+        sections,
+        steps
+      }
+    });
+  } catch (error) {
+    console.error('Get recipe steps error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid recipe ID format'
+      });
+    }
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch recipe steps',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Effective flags alongside what the classifier found and the owner's corrections
+const dietaryPayload = (recipe) => {
+  const overrides = recipe.get('dietary.overrides');
+  return {
+    diets: recipe.dietary.diets,
+    allergens: recipe.dietary.allergens,
+    detected: classifyRecipe(recipe),
+    overrides: overrides ? Object.fromEntries(overrides) : {},
+    disclaimer: DIET_DISCLAIMER
+  };
+};
+
+// @desc    Dietary flags and allergens, with the ingredients that triggered them
+// @route   GET /api/recipes/:id/dietary
+// @access  Public (private and unlisted recipes: owner and shared users only)
+exports.getRecipeDietary = async (req, res) => {
+  try {
+    const recipe = await Recipe.findOne(withVisibility({ _id: req.params.id }, req.user)).select('ingredients dietary');
+
+    if (!recipe) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipe not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: dietaryPayload(fillDerivedFields(recipe))
+    });
+  } catch (error) {
+    console.error('Get recipe dietary error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid recipe ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch dietary information',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Override computed dietary flags (true/false per diet or allergen, null clears)
+// @route   PATCH /api/recipes/:id/dietary
+// @access  Private (owner or editor)
+exports.updateRecipeDietary = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const recipe = await Recipe.findOne(withVisibility({ _id: req.params.id }, req.user)).select('+sharedWith');
+
+    if (!recipe) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipe not found'
+      });
+    }
+
+    if (!canEdit(recipe, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this recipe'
+      });
+    }
+
+    const current = req.body.reset ? {} : Object.fromEntries(recipe.get('dietary.overrides') || []);
+    Object.entries(req.body.overrides || {}).forEach(([key, value]) => {
+      if (value === null) delete current[key];
+      else current[key] = value;
+    });
+
+    // The model re-applies the overrides to the classifier output on save
+    recipe.set('dietary.overrides', Object.keys(current).length ? current : undefined);
+    await recipe.save();
+
+    setETag(res, recipe);
+    res.status(200).json({
+      success: true,
+      message: 'Dietary flags updated successfully',
+      data: dietaryPayload(recipe)
+    });
+  } catch (error) {
+    console.error('Update recipe dietary error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid recipe ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update dietary flags',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 // @desc    Create new recipe
 // @route   POST /api/recipes
-// @access  Public
+// @access  Private
 exports.createRecipe = async (req, res) => {
   try {
     // Check for validation errors
@@ -112,11 +560,9 @@ exports.createRecipe = async (req, res) => {
       });
     }
 
-    // Clean up ingredients array (remove empty strings and trim)
+    // Parse free-text lines into structured ingredients and drop empties
     if (req.body.ingredients) {
-      req.body.ingredients = req.body.ingredients
-        .filter(ingredient => ingredient && ingredient.trim().length > 0)
-        .map(ingredient => ingredient.trim());
+      req.body.ingredients = normalizeIngredients(req.body.ingredients);
     }
 
     // Clean up tags array
@@ -126,8 +572,12 @@ exports.createRecipe = async (req, res) => {
         .map(tag => tag.trim().toLowerCase());
     }
 
-    const recipe = await Recipe.create(req.body);
+    // The owner is always the authenticated user, never the request body;
+    // nutrition, dietary flags, ratings and images are maintained by the server
+    const recipe = await Recipe.create({ ...withoutComputedFields(req.body), owner: req.user._id });
+    await recordRevisions([{ recipe }], { user: req.user, action: 'create' });
 
+    setETag(res, recipe);
     res.status(201).json({
       success: true,
       message: 'Recipe created successfully',
@@ -167,9 +617,65 @@ exports.createRecipe = async (req, res) => {
   }
 };
 
+// @desc    Extract a recipe draft from a web page (schema.org JSON-LD or microdata)
+// @route   POST /api/recipes/import
+// @access  Private
+exports.importRecipe = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    // The fetcher can be swapped with app.set('htmlFetcher', fn), e.g. to serve fixtures in tests
+    const fetcher = req.app.get('htmlFetcher') || fetchHtml;
+    const html = req.body.html || await fetcher(req.body.url);
+
+    const extracted = extractRecipe(html);
+    if (!extracted) {
+      return res.status(422).json({
+        success: false,
+        message: 'No schema.org Recipe found on the page'
+      });
+    }
+
+    // Check the draft against the same rules as POST /api/recipes
+    const errors = await checkRecipe(extracted.draft);
+
+    res.status(200).json({
+      success: true,
+      message: errors.length
+        ? 'Recipe extracted, but the draft needs edits before it can be saved'
+        : 'Recipe extracted and ready to save',
+      data: {
+        draft: extracted.draft,
+        valid: errors.length === 0,
+        errors,
+        source: {
+          url: req.body.url || null,
+          format: extracted.format,
+          image: extracted.image || null
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Import recipe error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import recipe',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 // @desc    Update recipe
 // @route   PUT /api/recipes/:id
-// @access  Public
+// @access  Private (owner or editor)
 exports.updateRecipe = async (req, res) => {
   try {
     // Check for validation errors
@@ -188,9 +694,7 @@ exports.updateRecipe = async (req, res) => {
 
     // Clean up arrays
     if (req.body.ingredients) {
-      req.body.ingredients = req.body.ingredients
-        .filter(ingredient => ingredient && ingredient.trim().length > 0)
-        .map(ingredient => ingredient.trim());
+      req.body.ingredients = normalizeIngredients(req.body.ingredients);
     }
 
     if (req.body.tags) {
@@ -199,15 +703,7 @@ exports.updateRecipe = async (req, res) => {
         .map(tag => tag.trim().toLowerCase());
     }
 
-    const recipe = await Recipe.findByIdAndUpdate(
-      req.params.id,
-      { ...req.body, updatedAt: Date.now() },
-      {
-        new: true, // Return updated document
-        runValidators: true, // Run schema validations
-        select: '-__v' // Exclude version key
-      }
-    );
+    const recipe = await Recipe.findOne(withVisibility({ _id: req.params.id }, req.user)).select('+sharedWith');
 
     if (!recipe) {
       return res.status(404).json({
@@ -216,6 +712,29 @@ exports.updateRecipe = async (req, res) => {
       });
     }
 
+    if (!canEdit(recipe, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this recipe'
+      });
+    }
+
+    if (rejectStale(req, res, recipe)) return;
+
+    // Ownership can't be transferred, visibility is changed through
+    // PUT /api/recipes/:id/visibility and computed fields can't be written
+    // (owners correct dietary flags through PATCH /api/recipes/:id/dietary)
+    const { owner, visibility, ...updates } = withoutComputedFields(req.body);
+
+    // Saving the document (rather than findByIdAndUpdate) runs the schema
+    // hooks, so nutrition is recomputed when ingredients or servings change;
+    // the previous content is kept as a revision
+    const previous = snapshotOf(recipe);
+    recipe.set(updates);
+    await recipe.save();
+    await recordRevisions([{ recipe, previous }], { user: req.user, action: 'update' });
+
+    setETag(res, recipe);
     res.status(200).json({
       success: true,
       message: 'Recipe updated successfully',
@@ -224,6 +743,8 @@ exports.updateRecipe = async (req, res) => {
   } catch (error) {
     console.error('Update recipe error:', error);
 
+    if (rejectVersionConflict(error, res)) return;
+
     if (error.name === 'CastError') {
       return res.status(400).json({
         success: false,
@@ -253,12 +774,127 @@ exports.updateRecipe = async (req, res) => {
   }
 };
 
-// @desc    Delete recipe
+// @desc    Change part of a recipe: JSON Merge Patch (RFC 7386, also for plain
+//          application/json) or JSON Patch (RFC 6902) on the editable fields
+// @route   PATCH /api/recipes/:id
+// @access  Private (owner or editor)
+exports.patchRecipe = async (req, res) => {
+  try {
+    const recipe = await Recipe.findOne(withVisibility({ _id: req.params.id }, req.user)).select('+sharedWith');
+
+    if (!recipe) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipe not found'
+      });
+    }
+
+    if (!canEdit(recipe, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this recipe'
+      });
+    }
+
+    if (rejectStale(req, res, recipe)) return;
+
+    // Patches apply to the same fields the revision history tracks; anything
+    // else is either computed, owned by another endpoint or not editable
+    const previous = snapshotOf(recipe);
+    const patched = req.is('application/json-patch+json')
+      ? applyJsonPatch(previous, req.body)
+      : applyMergePatch(previous, req.body);
+
+    if (!patched || typeof patched !== 'object' || Array.isArray(patched)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The patch must leave a recipe object (send JSON Patch arrays as application/json-patch+json)'
+      });
+    }
+
+    const unknown = Object.keys(patched).filter(field => !TRACKED_FIELDS.includes(field));
+    if (unknown.length) {
+      return res.status(400).json({
+        success: false,
+        message: `These fields can't be patched: ${unknown.join(', ')}`
+      });
+    }
+
+    // The result has to pass the same rules as a full PUT
+    const errors = await checkRecipe(patched);
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    patched.ingredients = normalizeIngredients(patched.ingredients);
+    if (patched.tags) {
+      patched.tags = patched.tags
+        .filter(tag => typeof tag === 'string' && tag.trim().length > 0)
+        .map(tag => tag.trim().toLowerCase());
+    }
+
+    // Fields the patch removed are cleared
+    TRACKED_FIELDS.forEach(field => recipe.set(field, patched[field]));
+    await recipe.save();
+    await recordRevisions([{ recipe, previous }], { user: req.user, action: 'update' });
+
+    setETag(res, recipe);
+    res.status(200).json({
+      success: true,
+      message: 'Recipe updated successfully',
+      data: recipe
+    });
+  } catch (error) {
+    console.error('Patch recipe error:', error);
+
+    if (rejectVersionConflict(error, res)) return;
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid recipe ID format'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message,
+        value: err.value
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Recipe validation failed',
+        errors: validationErrors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update recipe',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Move a recipe to the trash (undo with POST /api/recipes/:id/undelete)
 // @route   DELETE /api/recipes/:id
-// @access  Public
+// @access  Private (owner only)
 exports.deleteRecipe = async (req, res) => {
   try {
-    const recipe = await Recipe.findByIdAndDelete(req.params.id);
+    const recipe = await Recipe.findOne(withVisibility({ _id: req.params.id }, req.user));
 
     if (!recipe) {
       return res.status(404).json({
@@ -267,12 +903,29 @@ exports.deleteRecipe = async (req, res) => {
       });
     }
 
+    if (!isOwner(recipe, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this recipe'
+      });
+    }
+
+    if (rejectStale(req, res, recipe)) return;
+
+    // References and images are kept so an undelete brings everything back;
+    // they are cleaned up when the recipe is purged from the trash
+    const deletedAt = new Date();
+    await Recipe.updateOne({ _id: recipe._id }, { $set: { deletedAt, deletedBy: req.user._id } });
+    await Recipe.markForksOf([recipe._id], deletedAt);
+
     res.status(200).json({
       success: true,
-      message: 'Recipe deleted successfully',
+      message: 'Recipe moved to the trash',
       data: {
         id: recipe._id,
-        title: recipe.title
+        title: recipe.title,
+        deletedAt,
+        purgeAfter: Recipe.purgeDateFor(deletedAt)
       }
     });
   } catch (error) {
@@ -293,90 +946,147 @@ exports.deleteRecipe = async (req, res) => {
   }
 };
 
-// @desc    Search recipes
+// Cooking-time histogram bucket edges in minutes; the last bucket is open-ended
+const COOKING_TIME_BUCKETS = [0, 15, 30, 45, 60, 90, 120, 180];
+
+const bucketLabel = (lower) => {
+  const index = COOKING_TIME_BUCKETS.indexOf(lower);
+  const upper = COOKING_TIME_BUCKETS[index + 1];
+  return upper ? `${lower}-${upper}` : `${lower}+`;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Every word public recipes can be found by, with how many recipes use it.
+// Shared by every user, so private and unlisted recipes stay out of it, and
+// built from the whole collection, so it's kept for a few minutes between searches
+const VOCABULARY_TTL_MS = 5 * 60 * 1000;
+let vocabularyCache = null;
+
+const loadVocabulary = async () => {
+  if (vocabularyCache && vocabularyCache.expiresAt > Date.now()) return vocabularyCache.terms;
+
+  const terms = await Recipe.aggregate([
+    { $match: publicRecipes() },
+    { $unwind: '$searchTerms' },
+    { $group: { _id: '$searchTerms', count: { $sum: 1 } } }
+  ]);
+  vocabularyCache = {
+    terms: new Map(terms.map(term => [term._id, term.count])),
+    expiresAt: Date.now() + VOCABULARY_TTL_MS
+  };
+  return vocabularyCache.terms;
+};
+
+// Counts over every recipe a search matches, not just the current page
+const SEARCH_FACET_TAGS = 20;
+const searchFacets = {
+  difficulty: [
+    { $group: { _id: '$difficulty', count: { $sum: 1 } } },
+    { $sort: { _id: 1 } }
+  ],
+  tags: [
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: SEARCH_FACET_TAGS }
+  ],
+  totalTime: [
+    {
+      $bucket: {
+        groupBy: '$totalTime',
+        boundaries: [...COOKING_TIME_BUCKETS, Number.MAX_SAFE_INTEGER],
+        default: 'unknown',
+        output: { count: { $sum: 1 } }
+      }
+    }
+  ]
+};
+
+const presentFacets = (facets) => ({
+  difficulty: facets.difficulty.reduce((acc, item) => {
+    acc[item._id] = item.count;
+    return acc;
+  }, {}),
+  tags: facets.tags.map(tag => ({ name: tag._id, count: tag.count })),
+  totalTime: facets.totalTime.map(bucket => ({
+    range: bucket._id === 'unknown' ? 'unknown' : bucketLabel(bucket._id),
+    count: bucket.count
+  }))
+});
+
+// @desc    Search the recipes the user may see
 // @route   GET /api/recipes/search
-// @access  Public
+// @access  Public (signed-in users also search their own and shared recipes)
 exports.searchRecipes = async (req, res) => {
   try {
+    if (rejectInvalid(req, res)) return;
+
     const { 
       q, 
       ingredient, 
       difficulty, 
       tags, 
-      cookingTimeMax, 
       servingsMin,
-      page = 1, 
-      limit = 10 
+      units,
+      cursor
     } = req.query;
-    
-    const skip = (page - 1) * limit;
-    let query = {};
-    let sortOptions = { createdAt: -1 };
-
-    // Text search across title, ingredients, and instructions
-    if (q) {
-      query.$text = { $search: q };
-      sortOptions = { score: { $meta: 'textScore' }, createdAt: -1 };
-    }
-
-    // Search by specific ingredient
-    if (ingredient) {
-      query.ingredients = { $regex: ingredient, $options: 'i' };
-    }
 
-    // Filter by difficulty
-    if (difficulty && ['easy', 'medium', 'hard'].includes(difficulty)) {
-      query.difficulty = difficulty;
-    }
-
-    // Filter by tags
-    if (tags) {
-      const tagArray = tags.split(',').map(tag => tag.trim().toLowerCase());
-      query.tags = { $in: tagArray };
-    }
-
-    // Filter by cooking time (max)
-    if (cookingTimeMax && !isNaN(cookingTimeMax)) {
-      query.cookingTime = { $lte: parseInt(cookingTimeMax) };
-    }
-
-    // Filter by minimum servings
-    if (servingsMin && !isNaN(servingsMin)) {
-      query.servings = { $gte: parseInt(servingsMin) };
-    }
+    const page = parseInt(req.query.page) || 1;
+    const limit = pageSize(req.query.limit);
+    const fields = parseFields(req.query.fields);
 
-    const recipes = await Recipe.find(query)
-      .sort(sortOptions)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .select('-__v');
+    // Misspelt words are corrected against the words recipes use, and the
+    // corrections are searched for alongside what was typed
+    const spelling = q ? correctSearch(q, await loadVocabulary()) : { corrections: [], suggestion: null };
+    const searchText = [q, ...spelling.corrections.map(correction => correction.to)].join(' ');
+    const params = await expandSearchTags(req.query);
+    const search = buildSearchQuery({ ...params, q: q && searchText });
+    const query = withVisibility(search.query, req.user);
+    const { sortOptions } = search;
 
-    const total = await Recipe.countDocuments(query);
-    const totalPages = Math.ceil(total / limit);
+    // Facets cover the whole result, so cursor mode only sends them with the first page
+    const [{ docs: recipes, pagination }, facets] = await Promise.all([
+      findPage(Recipe, query, { sort: sortOptions, select: selectFor(fields, sortOptions), limit, page, cursor }),
+      cursor ? null : Recipe.aggregate([{ $match: query }, { $facet: searchFacets }]).then(([result]) => result)
+    ]);
 
     res.status(200).json({
       success: true,
       count: recipes.length,
       searchQuery: {
         textSearch: q || null,
+        didYouMean: spelling.suggestion,
+        corrections: spelling.corrections,
         ingredient: ingredient || null,
         difficulty: difficulty || null,
         tags: tags || null,
-        cookingTimeMax: cookingTimeMax || null,
-        servingsMin: servingsMin || null
-      },
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        limit: parseInt(limit),
-        total,
-        hasNext: page < totalPages,
-        hasPrev: page > 1
+        servingsMin: servingsMin || null,
+        diet: req.query.diet || null,
+        excludeAllergens: req.query.excludeAllergens || null,
+        minRating: req.query.minRating || null,
+        sort: req.query.sort || null,
+        ...[...Object.keys(TIME_FILTERS), ...Object.keys(NUTRITION_FILTERS)].reduce((acc, param) => {
+          if (req.query[param] !== undefined) acc[param] = req.query[param];
+          return acc;
+        }, {}),
+        unknownTimes: req.query.unknownTimes || 'include',
+        units: units || null
       },
-      data: recipes
+      pagination,
+      ...(facets && { facets: presentFacets(facets) }),
+      data: recipes.map(recipe => pickFields(units ? convertRecipe(recipe, units, { from: req.query.from }) : recipe, fields))
     });
   } catch (error) {
     console.error('Search recipes error:', error);
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to search recipes',
@@ -385,75 +1095,389 @@ exports.searchRecipes = async (req, res) => {
   }
 };
 
-// @desc    Get recipe statistics
+// Most used values of an array field that start with a word matching `pattern`,
+// among the recipes the user may see
+const suggestValues = (path, pattern, limit, user) => {
+  const [array] = path.split('.');
+  return Recipe.aggregate([
+    { $match: withVisibility({ [path]: pattern }, user) },
+    { $unwind: `$${array}` },
+    { $match: { [path]: pattern } },
+    { $group: { _id: { $toLower: `$${path}` }, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit }
+  ]);
+};
+
+// @desc    Autocomplete recipe titles, ingredients and tags from the start of a word
+// @route   GET /api/recipes/suggest?q=
+// @access  Public (signed-in users also get their own and shared recipes)
+exports.suggestRecipes = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const { q } = req.query;
+    const limit = parseInt(req.query.limit) || 5;
+    const pattern = new RegExp(`(^|[^a-z0-9])${escapeRegex(q)}`, 'i');
+
+    const [titles, ingredients, tags] = await Promise.all([
+      Recipe.find(withVisibility({ title: pattern }, req.user))
+        .sort({ averageRating: -1, ratingCount: -1, createdAt: -1 })
+        .limit(limit)
+        .select('title'),
+      suggestValues('ingredients.name', pattern, limit, req.user),
+      suggestValues('tags', pattern, limit, req.user)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      query: q,
+      data: {
+        titles: titles.map(recipe => ({ _id: recipe._id, title: recipe.title })),
+        ingredients: ingredients.map(item => ({ name: item._id, count: item.count })),
+        tags: tags.map(item => ({ name: item._id, count: item.count }))
+      }
+    });
+  } catch (error) {
+    console.error('Suggest recipes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch suggestions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Streaming writers for each export format: start once, write per recipe, end once
+const EXPORT_FORMATS = {
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    extension: 'json',
+    start: (res) => res.write('['),
+    write: (res, recipe, index) => res.write(`${index ? ',' : ''}\n${JSON.stringify(recipe)}`),
+    end: (res) => res.end('\n]\n')
+  },
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    start: (res) => res.write(toCsvRow(CSV_COLUMNS)),
+    write: (res, recipe) => res.write(toCsvRow(toCsvValues(recipe))),
+    end: (res) => res.end()
+  },
+  md: {
+    contentType: 'text/markdown; charset=utf-8',
+    extension: 'md',
+    start: () => {},
+    write: (res, recipe, index) => res.write(`${index ? '\n---\n\n' : ''}${toMarkdown(recipe)}`),
+    end: (res) => res.end()
+  },
+  pdf: {
+    contentType: 'application/pdf',
+    extension: 'pdf',
+    start: (res, state) => {
+      state.doc = new PDFDocument({ autoFirstPage: false, margin: 56, info: { Title: 'Recipe Cookbook' } });
+      state.doc.pipe(res);
+    },
+    // One recipe per page
+    write: (res, recipe, index, state) => {
+      state.doc.addPage();
+      renderPdfRecipe(state.doc, recipe);
+    },
+    end: (res, state, count) => {
+      if (!count) {
+        state.doc.addPage().fontSize(14).text('No recipes matched this export.');
+      }
+      state.doc.end();
+    }
+  }
+};
+
+// @desc    Export the recipes the user may see that match the search filters, streamed
+// @route   GET /api/recipes/export?format=json|csv|md|pdf
+// @access  Public (signed-in users also get their own and shared recipes)
+exports.exportRecipes = async (req, res) => {
+  let cursor;
+
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const format = EXPORT_FORMATS[req.query.format || 'json'];
+    const { query, sortOptions } = buildSearchQuery(await expandSearchTags(req.query));
+    const filename = `recipes-${new Date().toISOString().slice(0, 10)}.${format.extension}`;
+
+    cursor = Recipe.find(withVisibility(query, req.user)).sort(sortOptions).select('-__v').cursor();
+
+    res.status(200);
+    res.set({
+      'Content-Type': format.contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+
+    const state = {};
+    let count = 0;
+    format.start(res, state);
+
+    for await (const recipe of cursor) {
+      // Stop reading from the database once the client has gone away
+      if (res.destroyed) break;
+
+      const ok = format.write(res, recipe.toObject(), count, state);
+      count++;
+      if (ok === false) await once(res, 'drain');
+    }
+
+    format.end(res, state, count);
+  } catch (error) {
+    console.error('Export recipes error:', error);
+
+    // Once streaming has started the only honest signal left is to cut the response
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export recipes',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  } finally {
+    if (cursor) await cursor.close().catch(() => {});
+  }
+};
+
+// @desc    Printable view of a single recipe (HTML, or PDF with ?format=pdf)
+// @route   GET /api/recipes/:id/print
+// @access  Public (private and unlisted recipes: owner and shared users only)
+exports.printRecipe = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const recipe = await Recipe.findOne(withVisibility({ _id: req.params.id }, req.user)).select('-__v');
+
+    if (!recipe) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipe not found'
+      });
+    }
+
+    const data = presentRecipe(recipe, req.query);
+
+    if (req.query.format === 'pdf') {
+      res.status(200).set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="recipe-${recipe._id}.pdf"`
+      });
+      const doc = new PDFDocument({ margin: 56, info: { Title: data.title } });
+      doc.pipe(res);
+      renderPdfRecipe(doc, data);
+      doc.end();
+      return;
+    }
+
+    res.status(200).type('html').send(toPrintHtml(typeof data.toObject === 'function' ? data.toObject() : data));
+  } catch (error) {
+    console.error('Print recipe error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid recipe ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to render recipe',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get statistics over the recipes the user may see
 // @route   GET /api/recipes/stats
-// @access  Public
+// @access  Public (signed-in users also count their own and shared recipes)
 exports.getRecipeStats = async (req, res) => {
   try {
-    const stats = await Recipe.aggregate([
-      {
-        $group: {
-          _id: null,
-          totalRecipes: { $sum: 1 },
-          avgCookingTime: { $avg: '$cookingTime' },
-          avgServings: { $avg: '$servings' },
-          difficulties: {
-            $push: '$difficulty'
+    if (rejectInvalid(req, res)) return;
+
+    const { from, to, interval = 'month' } = req.query;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const match = {};
+    if (from || to) {
+      match.createdAt = {};
+      if (from) match.createdAt.$gte = new Date(from);
+      if (to) match.createdAt.$lte = new Date(to);
+    }
+
+    // Legacy documents may still hold plain string ingredients
+    const ingredientName = {
+      $toLower: {
+        $trim: {
+          input: {
+            $cond: [
+              { $eq: [{ $type: '$ingredients' }, 'string'] },
+              '$ingredients',
+              '$ingredients.name'
+            ]
           }
         }
-      },
-      {
-        $project: {
-          _id: 0,
-          totalRecipes: 1,
-          avgCookingTime: { $round: ['$avgCookingTime', 1] },
-          avgServings: { $round: ['$avgServings', 1] },
-          difficulties: 1
-        }
       }
-    ]);
+    };
 
-    // Count recipes by difficulty
-    const difficultyStats = await Recipe.aggregate([
+    // One pass over the matched recipes; every facet only keeps aggregates
+    const [facets] = await Recipe.aggregate([
+      { $match: withVisibility(match, req.user) },
       {
-        $group: {
-          _id: '$difficulty',
-          count: { $sum: 1 }
+        $facet: {
+          overview: [
+            {
+              $group: {
+                _id: null,
+                totalRecipes: { $sum: 1 },
+                avgCookingTime: { $avg: '$totalTime' },
+                avgServings: { $avg: '$servings' }
+              }
+            },
+            {
+              $project: {
+                _id: 0,
+                totalRecipes: 1,
+                avgCookingTime: { $round: ['$avgCookingTime', 1] },
+                avgServings: { $round: ['$avgServings', 1] }
+              }
+            }
+          ],
+          difficulties: [
+            { $group: { _id: '$difficulty', count: { $sum: 1 } } },
+            { $sort: { _id: 1 } }
+          ],
+          tags: [
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: limit }
+          ],
+          cookingTime: [
+            {
+              $bucket: {
+                groupBy: '$totalTime',
+                boundaries: [...COOKING_TIME_BUCKETS, Number.MAX_SAFE_INTEGER],
+                default: 'unknown',
+                output: { count: { $sum: 1 } }
+              }
+            }
+          ],
+          createdOverTime: [
+            {
+              $group: {
+                _id: {
+                  $dateToString: {
+                    format: interval === 'week' ? '%G-W%V' : '%Y-%m',
+                    date: '$createdAt'
+                  }
+                },
+                count: { $sum: 1 }
+              }
+            },
+            { $sort: { _id: 1 } }
+          ],
+          ingredients: [
+            { $unwind: '$ingredients' },
+            // Count each ingredient once per recipe
+            { $group: { _id: { recipe: '$_id', name: ingredientName } } },
+            { $group: { _id: '$_id.name', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: limit }
+          ],
+          tagPairs: [
+            { $project: { tags: 1, other: '$tags' } },
+            { $unwind: '$tags' },
+            { $unwind: '$other' },
+            // Each unordered pair once
+            { $match: { $expr: { $lt: ['$tags', '$other'] } } },
+            { $group: { _id: { a: '$tags', b: '$other' }, count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: limit }
+          ],
+          users: [
+            {
+              $group: {
+                _id: '$owner',
+                recipeCount: { $sum: 1 },
+                avgCookingTime: { $avg: '$totalTime' },
+                lastCreatedAt: { $max: '$createdAt' }
+              }
+            },
+            { $sort: { recipeCount: -1 } },
+            { $limit: limit },
+            {
+              $lookup: {
+                from: 'users',
+                localField: '_id',
+                foreignField: '_id',
+                as: 'user'
+              }
+            },
+            // Only the display name leaves the pipeline, never credentials
+            {
+              $project: {
+                recipeCount: 1,
+                avgCookingTime: 1,
+                lastCreatedAt: 1,
+                'user.name': 1
+              }
+            }
+          ]
         }
-      },
-      {
-        $sort: { _id: 1 }
       }
     ]);
 
-    // Get most common tags
-    const tagStats = await Recipe.aggregate([
-      { $unwind: '$tags' },
-      {
-        $group: {
-          _id: '$tags',
-          count: { $sum: 1 }
-        }
-      },
-      { $sort: { count: -1 } },
-      { $limit: 10 }
-    ]);
-
     const result = {
       success: true,
+      filters: {
+        from: from || null,
+        to: to || null,
+        interval
+      },
       data: {
-        overview: stats[0] || {
+        overview: facets.overview[0] || {
           totalRecipes: 0,
           avgCookingTime: 0,
           avgServings: 0
         },
-        difficultyBreakdown: difficultyStats.reduce((acc, item) => {
+        difficultyBreakdown: facets.difficulties.reduce((acc, item) => {
           acc[item._id] = item.count;
           return acc;
         }, {}),
-        topTags: tagStats.map(tag => ({
+        topTags: facets.tags.map(tag => ({
           name: tag._id,
           count: tag.count
+        })),
+        cookingTimeHistogram: facets.cookingTime.map(bucket => ({
+          range: bucket._id === 'unknown' ? 'unknown' : bucketLabel(bucket._id),
+          count: bucket.count
+        })),
+        createdOverTime: facets.createdOverTime.map(period => ({
+          period: period._id,
+          count: period.count
+        })),
+        ingredientFrequency: facets.ingredients.map(ingredient => ({
+          name: ingredient._id,
+          count: ingredient.count
+        })),
+        tagCoOccurrence: facets.tagPairs.map(pair => ({
+          tags: [pair._id.a, pair._id.b],
+          count: pair.count
+        })),
+        perUser: facets.users.map(entry => ({
+          userId: entry._id,
+          name: entry.user[0] ? entry.user[0].name : null,
+          recipeCount: entry.recipeCount,
+          avgCookingTime: entry.avgCookingTime === null ? null : Math.round(entry.avgCookingTime * 10) / 10,
+          lastCreatedAt: entry.lastCreatedAt
         }))
       }
     };
@@ -0,0 +1,401 @@
+const Review = require('../models/review');
+const CookLog = require('../models/cookLog');
+const Recipe = require('../models/recipe');
+const { rejectInvalid } = require('../middleware/validation');
+const { withVisibility } = require('../utils/recipeAccess');
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 }
+};
+
+const handleError = (res, error, context, message) => {
+  console.error(`${context} error:`, error);
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ID format'
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'You have already reviewed this recipe; edit your review instead'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const validationErrors = Object.values(error.errors).map(err => ({
+      field: err.path,
+      message: err.message,
+      value: err.value
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Review validation failed',
+      errors: validationErrors
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+const notFound = (res, message) => res.status(404).json({
+  success: false,
+  message
+});
+
+const isAuthor = (review, user) => Boolean(user) && review.user.toString() === user._id.toString();
+
+// Flags name the users who raised them; only moderators get to see that
+const presentReview = (review, user) => {
+  const data = review.toObject();
+  const flagCount = data.flags.length;
+  delete data.__v;
+
+  if (!user || user.role !== 'admin') {
+    delete data.flags;
+    delete data.moderation;
+  }
+
+  return { ...data, flagCount };
+};
+
+// @desc    Get the published reviews of a recipe with a star breakdown
+// @route   GET /api/recipes/:id/reviews
+// @access  Public (private and unlisted recipes: owner and shared users only)
+exports.getRecipeReviews = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const recipe = await Recipe.findOne(withVisibility({ _id: req.params.id }, req.user)).select('averageRating ratingCount');
+    if (!recipe) return notFound(res, 'Recipe not found');
+
+    const filter = { recipe: recipe._id, status: 'published' };
+    const [reviews, breakdown] = await Promise.all([
+      Review.find(filter)
+        .sort(REVIEW_SORTS[req.query.sort] || REVIEW_SORTS.newest)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('user', 'name'),
+      Review.aggregate([
+        { $match: filter },
+        { $group: { _id: '$rating', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let total = 0;
+    breakdown.forEach(({ _id, count }) => {
+      distribution[_id] = count;
+      total += count;
+    });
+
+    // The viewer always sees their own review, even while it's hidden
+    const mine = req.user ? await Review.findOne({ recipe: recipe._id, user: req.user._id }) : null;
+    const totalPages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      summary: {
+        averageRating: recipe.averageRating,
+        ratingCount: recipe.ratingCount,
+        distribution
+      },
+      pagination: {
+        currentPage: page,
+        totalPages,
+        limit,
+        total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      },
+      mine: mine ? presentReview(mine, req.user) : null,
+      data: reviews.map(review => presentReview(review, req.user))
+    });
+  } catch (error) {
+    handleError(res, error, 'Get recipe reviews', 'Failed to fetch reviews');
+  }
+};
+
+// @desc    Review a recipe (one review per user per recipe)
+// @route   POST /api/recipes/:id/reviews
+// @access  Private
+exports.createReview = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const recipe = await Recipe.findOne(withVisibility({ _id: req.params.id }, req.user)).select('owner');
+    if (!recipe) return notFound(res, 'Recipe not found');
+
+    if (recipe.owner && recipe.owner.toString() === req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot review your own recipe'
+      });
+    }
+
+    const review = await Review.create({
+      recipe: recipe._id,
+      user: req.user._id,
+      rating: req.body.rating,
+      comment: req.body.comment
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Review added successfully',
+      data: presentReview(review, req.user)
+    });
+  } catch (error) {
+    handleError(res, error, 'Create review', 'Failed to add review');
+  }
+};
+
+// @desc    Edit your review
+// @route   PATCH /api/reviews/:id
+// @access  Private (author only)
+exports.updateReview = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const review = await Review.findById(req.params.id);
+    if (!review || !isAuthor(review, req.user)) return notFound(res, 'Review not found');
+
+    if (req.body.rating !== undefined) review.rating = req.body.rating;
+    if (req.body.comment !== undefined) review.comment = req.body.comment;
+    await review.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Review updated successfully',
+      data: presentReview(review, req.user)
+    });
+  } catch (error) {
+    handleError(res, error, 'Update review', 'Failed to update review');
+  }
+};
+
+// @desc    Delete a review
+// @route   DELETE /api/reviews/:id
+// @access  Private (author or admin)
+exports.deleteReview = async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+    const allowed = review && (isAuthor(review, req.user) || req.user.role === 'admin');
+    if (!allowed) return notFound(res, 'Review not found');
+
+    await review.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Review deleted successfully',
+      data: {
+        id: review._id,
+        recipe: review.recipe
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Delete review', 'Failed to delete review');
+  }
+};
+
+// @desc    Report a review to the moderators
+// @route   POST /api/reviews/:id/flag
+// @access  Private
+exports.flagReview = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const review = await Review.findById(req.params.id);
+    if (!review || review.status !== 'published') return notFound(res, 'Review not found');
+
+    if (isAuthor(review, req.user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot flag your own review'
+      });
+    }
+
+    // Flagging twice counts once
+    const alreadyFlagged = review.flags.some(flag => flag.user.toString() === req.user._id.toString());
+    if (!alreadyFlagged) {
+      review.flags.push({ user: req.user._id, reason: req.body.reason });
+
+      if (review.flags.length >= Review.AUTO_HIDE_FLAGS) {
+        review.status = 'hidden';
+        review.moderation = { reason: 'Hidden automatically after repeated flags', moderatedAt: new Date() };
+      }
+      await review.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Review flagged for moderation',
+      data: {
+        id: review._id,
+        flagCount: review.flags.length
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Flag review', 'Failed to flag review');
+  }
+};
+
+// @desc    Reviews waiting for a moderator: flagged or hidden
+// @route   GET /api/reviews/moderation?status=
+// @access  Private (admin)
+exports.getModerationQueue = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const filter = req.query.status
+      ? { status: req.query.status, ...(req.query.status === 'published' ? { 'flags.0': { $exists: true } } : {}) }
+      : { $or: [{ 'flags.0': { $exists: true } }, { status: 'hidden' }] };
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('user', 'name email')
+        .populate('recipe', 'title'),
+      Review.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        limit,
+        total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      },
+      data: reviews.map(review => presentReview(review, req.user))
+    });
+  } catch (error) {
+    handleError(res, error, 'Get moderation queue', 'Failed to fetch moderation queue');
+  }
+};
+
+// @desc    Hide or restore a review; restoring clears its flags
+// @route   PATCH /api/reviews/:id/moderation
+// @access  Private (admin)
+exports.moderateReview = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const review = await Review.findById(req.params.id);
+    if (!review) return notFound(res, 'Review not found');
+
+    review.status = req.body.status;
+    if (req.body.status === 'published') review.flags = [];
+    review.moderation = {
+      reason: req.body.reason,
+      moderatedBy: req.user._id,
+      moderatedAt: new Date()
+    };
+    await review.save();
+
+    res.status(200).json({
+      success: true,
+      message: req.body.status === 'hidden' ? 'Review hidden' : 'Review published',
+      data: presentReview(review, req.user)
+    });
+  } catch (error) {
+    handleError(res, error, 'Moderate review', 'Failed to moderate review');
+  }
+};
+
+// @desc    Log that you cooked a recipe
+// @route   POST /api/recipes/:id/cooked
+// @access  Private
+exports.logCook = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const recipe = await Recipe.findOne(withVisibility({ _id: req.params.id }, req.user)).select('_id');
+    if (!recipe) return notFound(res, 'Recipe not found');
+
+    const log = await CookLog.create({
+      recipe: recipe._id,
+      user: req.user._id,
+      cookedAt: req.body.cookedAt,
+      notes: req.body.notes
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Cook logged successfully',
+      data: log
+    });
+  } catch (error) {
+    handleError(res, error, 'Log cook', 'Failed to log cook');
+  }
+};
+
+// @desc    Your cook log for a recipe, newest first
+// @route   GET /api/recipes/:id/cooked
+// @access  Private
+exports.getCookLogs = async (req, res) => {
+  try {
+    const recipe = await Recipe.findOne(withVisibility({ _id: req.params.id }, req.user)).select('timesCooked');
+    if (!recipe) return notFound(res, 'Recipe not found');
+
+    const logs = await CookLog.find({ recipe: recipe._id, user: req.user._id })
+      .sort({ cookedAt: -1 })
+      .select('-__v');
+
+    res.status(200).json({
+      success: true,
+      count: logs.length,
+      // How often anyone has cooked it
+      timesCooked: recipe.timesCooked,
+      data: logs
+    });
+  } catch (error) {
+    handleError(res, error, 'Get cook logs', 'Failed to fetch cook logs');
+  }
+};
+
+// @desc    Remove one of your cook log entries
+// @route   DELETE /api/recipes/:id/cooked/:logId
+// @access  Private
+exports.deleteCookLog = async (req, res) => {
+  try {
+    const log = await CookLog.findOne({ _id: req.params.logId, recipe: req.params.id, user: req.user._id });
+    if (!log) return notFound(res, 'Cook log entry not found');
+
+    await log.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Cook log entry deleted successfully',
+      data: {
+        id: log._id,
+        recipe: log.recipe
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Delete cook log', 'Failed to delete cook log entry');
+  }
+};
@@ -0,0 +1,271 @@
+const Recipe = require('../models/recipe');
+const User = require('../models/user');
+const { rejectInvalid } = require('../middleware/validation');
+const { isOwner } = require('../middleware/auth');
+const { SHARE_LINK_TTL_DAYS, withVisibility } = require('../utils/recipeAccess');
+
+const handleError = (res, error, context, message) => {
+  console.error(`${context} error:`, error);
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ID format'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const validationErrors = Object.values(error.errors).map(err => ({
+      field: err.path,
+      message: err.message,
+      value: err.value
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Recipe validation failed',
+      errors: validationErrors
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+// Load a recipe with its sharing details for its owner, or send 404/403 and
+// return null. Only owners see or change who a recipe is shared with; a
+// recipe the user can't see is reported as missing, so as not to give away
+// that a private one exists.
+const findOwnedRecipe = async (req, res) => {
+  const recipe = await Recipe.findOne(withVisibility({ _id: req.params.id }, req.user))
+    .select('+sharedWith +shareLinks');
+
+  if (!recipe) {
+    res.status(404).json({
+      success: false,
+      message: 'Recipe not found'
+    });
+    return null;
+  }
+
+  if (!isOwner(recipe, req.user)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to change sharing on this recipe'
+    });
+    return null;
+  }
+
+  return recipe;
+};
+
+const presentLink = (link) => ({
+  _id: link._id,
+  expiresAt: link.expiresAt,
+  createdAt: link.createdAt,
+  expired: link.expiresAt <= Date.now()
+});
+
+const sharingPayload = async (recipe) => {
+  await recipe.populate('sharedWith.user', 'name email');
+
+  return {
+    visibility: recipe.visibility,
+    sharedWith: recipe.sharedWith
+      .filter(share => share.user) // Accounts deleted since
+      .map(share => ({ user: share.user, role: share.role, sharedAt: share.sharedAt })),
+    shareLinks: recipe.shareLinks.map(presentLink)
+  };
+};
+
+// @desc    Who a recipe is shared with, its visibility and its share links
+// @route   GET /api/recipes/:id/sharing
+// @access  Private (owner only)
+exports.getSharing = async (req, res) => {
+  try {
+    const recipe = await findOwnedRecipe(req, res);
+    if (!recipe) return;
+
+    res.status(200).json({
+      success: true,
+      data: await sharingPayload(recipe)
+    });
+  } catch (error) {
+    handleError(res, error, 'Get sharing', 'Failed to fetch sharing details');
+  }
+};
+
+// @desc    Make a recipe private, unlisted or public
+// @route   PUT /api/recipes/:id/visibility
+// @access  Private (owner only)
+exports.setVisibility = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const recipe = await findOwnedRecipe(req, res);
+    if (!recipe) return;
+
+    recipe.visibility = req.body.visibility;
+    await recipe.save();
+
+    res.status(200).json({
+      success: true,
+      message: recipe.visibility === 'private' && recipe.shareLinks.length
+        ? 'Recipe is now private; its share links stop working until it is unlisted or public again'
+        : `Recipe is now ${recipe.visibility}`,
+      data: await sharingPayload(recipe)
+    });
+  } catch (error) {
+    handleError(res, error, 'Set visibility', 'Failed to change visibility');
+  }
+};
+
+// @desc    Share a recipe with a user as a viewer or editor (again to change the role)
+// @route   POST /api/recipes/:id/shares
+// @access  Private (owner only)
+exports.shareRecipe = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const recipe = await findOwnedRecipe(req, res);
+    if (!recipe) return;
+
+    const user = await User.findOne({ email: req.body.email });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'No user with that email'
+      });
+    }
+
+    if (recipe.owner && recipe.owner.toString() === user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'The owner already has full access'
+      });
+    }
+
+    const role = req.body.role || 'viewer';
+    const existing = recipe.sharedWith.find(share => share.user.toString() === user._id.toString());
+    if (existing) existing.role = role;
+    else recipe.sharedWith.push({ user: user._id, role });
+    await recipe.save();
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: `Shared with ${user.name} as ${role === 'editor' ? 'an editor' : 'a viewer'}`,
+      data: await sharingPayload(recipe)
+    });
+  } catch (error) {
+    handleError(res, error, 'Share recipe', 'Failed to share recipe');
+  }
+};
+
+// @desc    Stop sharing a recipe with a user; users can also remove themselves
+// @route   DELETE /api/recipes/:id/shares/:userId
+// @access  Private (owner, or the user it is shared with)
+exports.unshareRecipe = async (req, res) => {
+  try {
+    const leaving = req.params.userId === req.user._id.toString();
+    let recipe;
+    if (leaving) {
+      recipe = await Recipe.findOne({ _id: req.params.id, 'sharedWith.user': req.user._id })
+        .select('+sharedWith +shareLinks');
+      if (!recipe) {
+        return res.status(404).json({
+          success: false,
+          message: 'Recipe not found or not shared with you'
+        });
+      }
+    } else {
+      recipe = await findOwnedRecipe(req, res);
+      if (!recipe) return;
+    }
+
+    const remaining = recipe.sharedWith.filter(share => share.user.toString() !== req.params.userId);
+    if (remaining.length === recipe.sharedWith.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipe is not shared with that user'
+      });
+    }
+
+    recipe.sharedWith = remaining;
+    await recipe.save();
+
+    res.status(200).json({
+      success: true,
+      message: leaving ? 'You no longer have access to this recipe' : 'Sharing removed',
+      data: leaving ? undefined : await sharingPayload(recipe)
+    });
+  } catch (error) {
+    handleError(res, error, 'Unshare recipe', 'Failed to remove sharing');
+  }
+};
+
+// @desc    Create a link that opens the recipe without an account; the token is only shown now
+// @route   POST /api/recipes/:id/share-links
+// @access  Private (owner only)
+exports.createShareLink = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const recipe = await findOwnedRecipe(req, res);
+    if (!recipe) return;
+
+    if (recipe.visibility === 'private') {
+      return res.status(400).json({
+        success: false,
+        message: 'Share links only open unlisted or public recipes; change the visibility first'
+      });
+    }
+
+    const days = req.body.expiresInDays || SHARE_LINK_TTL_DAYS;
+    const { link, token } = recipe.issueShareLink(req.user, days);
+    await recipe.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Share link created; keep the token, it is not shown again',
+      data: {
+        ...presentLink(link),
+        token,
+        path: `/api/recipes/shared/${token}`
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Create share link', 'Failed to create share link');
+  }
+};
+
+// @desc    Revoke a share link
+// @route   DELETE /api/recipes/:id/share-links/:linkId
+// @access  Private (owner only)
+exports.revokeShareLink = async (req, res) => {
+  try {
+    const recipe = await findOwnedRecipe(req, res);
+    if (!recipe) return;
+
+    const link = recipe.shareLinks.id(req.params.linkId);
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found'
+      });
+    }
+
+    link.deleteOne();
+    await recipe.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Share link revoked',
+      data: await sharingPayload(recipe)
+    });
+  } catch (error) {
+    handleError(res, error, 'Revoke share link', 'Failed to revoke share link');
+  }
+};
@@ -0,0 +1,209 @@
+const ShoppingList = require('../models/shoppingList');
+const Recipe = require('../models/recipe');
+const { rejectInvalid } = require('../middleware/validation');
+const { isOwner } = require('../middleware/auth');
+const { withVisibility } = require('../utils/recipeAccess');
+const { buildShoppingList, CATEGORIES } = require('../utils/shoppingList');
+
+const handleError = (res, error, context, message) => {
+  console.error(`${context} error:`, error);
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ID format'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const validationErrors = Object.values(error.errors).map(err => ({
+      field: err.path,
+      message: err.message,
+      value: err.value
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Shopping list validation failed',
+      errors: validationErrors
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+// Add the items grouped by aisle, in store order, alongside the flat list
+const withGroups = (list) => {
+  const data = list.toObject();
+  data.groups = CATEGORIES
+    .map(category => ({
+      category,
+      items: data.items.filter(item => item.category === category)
+    }))
+    .filter(group => group.items.length > 0);
+  data.progress = {
+    checked: data.items.filter(item => item.checked).length,
+    total: data.items.length
+  };
+  return data;
+};
+
+// Load a list the current user owns, or send 404 and return null
+const findOwnedList = async (req, res) => {
+  const list = await ShoppingList.findById(req.params.id).select('-__v');
+
+  // Other users' lists are reported as missing
+  if (!list || !isOwner(list, req.user)) {
+    res.status(404).json({
+      success: false,
+      message: 'Shopping list not found'
+    });
+    return null;
+  }
+
+  return list;
+};
+
+// @desc    Get the current user's shopping lists
+// @route   GET /api/shopping-lists
+// @access  Private
+exports.getShoppingLists = async (req, res) => {
+  try {
+    const lists = await ShoppingList.find({ owner: req.user._id })
+      .sort({ updatedAt: -1 })
+      .select('-__v');
+
+    res.status(200).json({
+      success: true,
+      count: lists.length,
+      data: lists.map(withGroups)
+    });
+  } catch (error) {
+    handleError(res, error, 'Get shopping lists', 'Failed to fetch shopping lists');
+  }
+};
+
+// @desc    Get a shopping list grouped by aisle
+// @route   GET /api/shopping-lists/:id
+// @access  Private (owner only)
+exports.getShoppingList = async (req, res) => {
+  try {
+    const list = await findOwnedList(req, res);
+    if (!list) return;
+
+    res.status(200).json({
+      success: true,
+      data: withGroups(list)
+    });
+  } catch (error) {
+    handleError(res, error, 'Get shopping list', 'Failed to fetch shopping list');
+  }
+};
+
+// @desc    Generate a consolidated shopping list from recipes
+// @route   POST /api/shopping-lists
+// @access  Private
+exports.createShoppingList = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const requested = req.body.recipes;
+    const ids = [...new Set(requested.map(entry => entry.recipeId))];
+    const recipes = await Recipe.find(withVisibility({ _id: { $in: ids } }, req.user)).select('title servings ingredients');
+
+    const byId = recipes.reduce((acc, recipe) => {
+      acc[recipe._id.toString()] = recipe;
+      return acc;
+    }, {});
+
+    const missing = ids.filter(id => !byId[id]);
+    if (missing.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Some recipes were not found',
+        missing
+      });
+    }
+
+    const entries = requested.map(entry => ({
+      recipe: byId[entry.recipeId],
+      servings: entry.servings
+    }));
+
+    const list = await ShoppingList.create({
+      name: req.body.name,
+      owner: req.user._id,
+      sources: entries.map(entry => ({
+        recipe: entry.recipe._id,
+        servings: entry.servings || entry.recipe.servings
+      })),
+      items: buildShoppingList(entries)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Shopping list created successfully',
+      data: withGroups(list)
+    });
+  } catch (error) {
+    handleError(res, error, 'Create shopping list', 'Failed to create shopping list');
+  }
+};
+
+// @desc    Check or uncheck an item
+// @route   PATCH /api/shopping-lists/:id/items/:itemId
+// @access  Private (owner only)
+exports.updateShoppingItem = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const list = await findOwnedList(req, res);
+    if (!list) return;
+
+    const item = list.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    item.checked = req.body.checked;
+    await list.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Item updated successfully',
+      data: withGroups(list)
+    });
+  } catch (error) {
+    handleError(res, error, 'Update shopping item', 'Failed to update item');
+  }
+};
+
+// @desc    Delete a shopping list
+// @route   DELETE /api/shopping-lists/:id
+// @access  Private (owner only)
+exports.deleteShoppingList = async (req, res) => {
+  try {
+    const list = await findOwnedList(req, res);
+    if (!list) return;
+
+    await list.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Shopping list deleted successfully',
+      data: {
+        id: list._id,
+        name: list.name
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Delete shopping list', 'Failed to delete shopping list');
+  }
+};
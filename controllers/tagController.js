@@ -0,0 +1,412 @@
+const Recipe = require('../models/recipe');
+const Tag = require('../models/tag');
+const { rejectInvalid } = require('../middleware/validation');
+const { normalizeTag } = require('../utils/tagTaxonomy');
+const { searchTermsOf } = require('../utils/searchTerms');
+const { TRACKED_FIELDS, snapshotOf, recordRevisions } = require('../utils/recipeHistory');
+const { visibleTo } = require('../utils/recipeAccess');
+
+const handleError = (res, error, context, message) => {
+  console.error(`${context} error:`, error);
+
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const validationErrors = Object.values(error.errors).map(err => ({
+      field: err.path,
+      message: err.message,
+      value: err.value
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Tag validation failed',
+      errors: validationErrors
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// How many of the recipes the user may see use each tag, trash excluded
+const loadUsage = async (user) => {
+  const counts = await Recipe.aggregate([
+    { $match: visibleTo(user) },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(({ _id, count }) => [_id, count]));
+};
+
+const presentTag = (name, taxonomy, usage) => {
+  const tag = taxonomy.get(name);
+  const parent = taxonomy.parentOf(tag);
+  return {
+    name,
+    count: usage.get(name) || 0,
+    defined: Boolean(tag),
+    aliases: tag ? tag.aliases : [],
+    parent: parent ? parent.name : null
+  };
+};
+
+// Every tag that is defined or used on a recipe
+const allTagNames = (taxonomy, usage) => [...new Set([...taxonomy.tags.map(tag => tag.name), ...usage.keys()])];
+
+// Names that already mean something: a defined or used tag, or an alias
+const assertUnused = (name, taxonomy, usage, message) => {
+  const aliasOf = taxonomy.aliasOf(name);
+  if (aliasOf) throw httpError(409, `"${name}" is already an alias of "${aliasOf}"`);
+  if (taxonomy.get(name) || usage.has(name)) throw httpError(409, message || `Tag "${name}" already exists`);
+};
+
+// Aliases must not be a tag in their own right or belong to another tag
+const checkAliases = (aliases, tag, taxonomy, usage) => {
+  aliases.forEach(alias => {
+    if (alias === tag.name) throw httpError(400, `"${alias}" can't be an alias of itself`);
+    const owner = taxonomy.aliasOf(alias);
+    if (owner && owner !== tag.name) throw httpError(409, `"${alias}" is already an alias of "${owner}"`);
+    if (taxonomy.get(alias)) {
+      throw httpError(409, `"${alias}" is a tag of its own; merge it into "${tag.name}" instead`);
+    }
+    if (usage.has(alias)) {
+      throw httpError(409, `${usage.get(alias)} recipe(s) use "${alias}"; merge it into "${tag.name}" instead`);
+    }
+  });
+};
+
+// The definition for a parent category, created if it's only used on recipes or new
+const findOrDefine = async (name, taxonomy) => {
+  const canonical = taxonomy.canonical(name);
+  return await Tag.findOne({ name: canonical }) || Tag.create({ name: canonical });
+};
+
+// A tag can't sit below itself
+const checkParent = (tag, parent, taxonomy) => {
+  if (parent.name === tag.name) throw httpError(400, 'A tag can\'t be its own parent');
+  if (!tag._id) return;
+  const defined = taxonomy.get(parent.name);
+  const chain = defined ? [...taxonomy.ancestorsOf(defined), defined] : [];
+  if (chain.some(ancestor => String(ancestor._id) === String(tag._id))) {
+    throw httpError(400, `"${parent.name}" is below "${tag.name}", so it can't be its parent`);
+  }
+};
+
+// Rewrite the tags of every recipe, trash included, that uses one of `from`.
+// Each change is kept as a revision and bumps the recipe's version
+const retagRecipes = async (from, to, user) => {
+  const recipes = await Recipe.find({ tags: { $in: from } })
+    .setOptions({ withDeleted: true })
+    .select([...TRACKED_FIELDS, 'owner', 'createdAt'].join(' '));
+  if (!recipes.length) return 0;
+
+  const previous = new Map(recipes.map(recipe => [recipe._id.toString(), snapshotOf(recipe)]));
+  const operations = recipes.map(recipe => {
+    const tags = [...new Set(recipe.tags.map(tag => (from.includes(tag) ? to : tag)))];
+    recipe.tags = tags;
+    return {
+      updateOne: {
+        filter: { _id: recipe._id },
+        update: {
+          $set: { tags, searchTerms: searchTermsOf(recipe), updatedAt: Date.now() },
+          $inc: { __v: 1 }
+        }
+      }
+    };
+  });
+
+  await Recipe.bulkWrite(operations, { ordered: false });
+  await recordRevisions(
+    recipes.map(recipe => ({ recipe, previous: previous.get(recipe._id.toString()) })),
+    { user, action: 'update' }
+  );
+  return recipes.length;
+};
+
+// @desc    List tags with how many recipes use each; q matches names and aliases
+// @route   GET /api/tags
+// @access  Public
+exports.getTags = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const prefix = req.query.q ? normalizeTag(req.query.q) : '';
+
+    const [taxonomy, usage] = await Promise.all([Tag.loadTaxonomy(), loadUsage(req.user)]);
+    const tags = allTagNames(taxonomy, usage)
+      .map(name => presentTag(name, taxonomy, usage))
+      .filter(tag => [tag.name, ...tag.aliases].some(name => name.startsWith(prefix)))
+      .sort(req.query.sort === 'name'
+        ? (a, b) => a.name.localeCompare(b.name)
+        : (a, b) => b.count - a.count || a.name.localeCompare(b.name));
+
+    const total = tags.length;
+    const totalPages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      count: Math.min(limit, Math.max(total - (page - 1) * limit, 0)),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        limit,
+        total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      },
+      data: tags.slice((page - 1) * limit, page * limit)
+    });
+  } catch (error) {
+    handleError(res, error, 'Get tags', 'Failed to fetch tags');
+  }
+};
+
+// @desc    The category hierarchy, with recipe counts that include every tag below
+// @route   GET /api/tags/tree
+// @access  Public
+exports.getTagTree = async (req, res) => {
+  try {
+    const [taxonomy, usage] = await Promise.all([Tag.loadTaxonomy(), loadUsage(req.user)]);
+
+    const branch = (tag, seen) => {
+      const children = taxonomy.childrenOf(tag)
+        .filter(child => !seen.has(String(child._id)))
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(child => branch(child, new Set([...seen, String(child._id)])));
+      const count = usage.get(tag.name) || 0;
+      return {
+        name: tag.name,
+        aliases: tag.aliases,
+        count,
+        totalCount: children.reduce((sum, child) => sum + child.totalCount, count),
+        children
+      };
+    };
+
+    const roots = taxonomy.tags
+      .filter(tag => !taxonomy.parentOf(tag))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(tag => branch(tag, new Set([String(tag._id)])));
+
+    res.status(200).json({
+      success: true,
+      data: roots
+    });
+  } catch (error) {
+    handleError(res, error, 'Get tag tree', 'Failed to fetch tag hierarchy');
+  }
+};
+
+// @desc    One tag (an alias resolves to its tag) with its place in the hierarchy
+// @route   GET /api/tags/:name
+// @access  Public
+exports.getTag = async (req, res) => {
+  try {
+    const requested = normalizeTag(req.params.name);
+    const [taxonomy, usage] = await Promise.all([Tag.loadTaxonomy(), loadUsage(req.user)]);
+    const name = taxonomy.canonical(requested);
+    const tag = taxonomy.get(name);
+
+    if (!tag && !usage.has(name)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    const descendants = tag ? taxonomy.descendantsOf(tag) : [];
+    res.status(200).json({
+      success: true,
+      data: {
+        ...presentTag(name, taxonomy, usage),
+        resolvedFrom: name === requested ? null : requested,
+        description: tag ? tag.description || null : null,
+        path: tag ? [...taxonomy.ancestorsOf(tag).map(ancestor => ancestor.name), name] : [name],
+        children: tag ? taxonomy.childrenOf(tag).map(child => child.name).sort() : [],
+        totalCount: [name, ...descendants.map(descendant => descendant.name)]
+          .reduce((sum, match) => sum + (usage.get(match) || 0), 0)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get tag', 'Failed to fetch tag');
+  }
+};
+
+// @desc    Define a tag: its aliases and parent category
+// @route   POST /api/tags
+// @access  Private (admin)
+exports.createTag = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const { name, aliases = [], parent, description } = req.body;
+    const [taxonomy, usage] = await Promise.all([Tag.loadTaxonomy(), loadUsage(req.user)]);
+
+    // Tags already on recipes can be defined; only an existing definition or alias clashes
+    const aliasOf = taxonomy.aliasOf(name);
+    if (aliasOf) throw httpError(409, `"${name}" is already an alias of "${aliasOf}"`);
+    if (taxonomy.get(name)) throw httpError(409, `Tag "${name}" is already defined`);
+
+    const tag = new Tag({ name, aliases: [...new Set(aliases)], description });
+    checkAliases(tag.aliases, tag, taxonomy, usage);
+    if (parent) {
+      checkParent(tag, { name: taxonomy.canonical(parent) }, taxonomy);
+      tag.parent = (await findOrDefine(parent, taxonomy))._id;
+    }
+    await tag.save();
+
+    res.status(201).json({
+      success: true,
+      message: `Tag "${tag.name}" defined`,
+      data: presentTag(tag.name, await Tag.loadTaxonomy(), usage)
+    });
+  } catch (error) {
+    handleError(res, error, 'Create tag', 'Failed to create tag');
+  }
+};
+
+// @desc    Change a tag's aliases, parent category or description
+// @route   PATCH /api/tags/:name
+// @access  Private (admin)
+exports.updateTag = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const name = normalizeTag(req.params.name);
+    const [taxonomy, usage] = await Promise.all([Tag.loadTaxonomy(), loadUsage(req.user)]);
+    if (taxonomy.aliasOf(name)) {
+      throw httpError(400, `"${name}" is an alias of "${taxonomy.aliasOf(name)}"; change that tag instead`);
+    }
+
+    // A tag used on recipes gets a definition the first time it's changed
+    let tag = await Tag.findOne({ name });
+    if (!tag && !usage.has(name)) throw httpError(404, 'Tag not found');
+    if (!tag) tag = new Tag({ name });
+
+    const { aliases, parent, description } = req.body;
+    if (aliases !== undefined) {
+      tag.aliases = [...new Set(aliases)];
+      checkAliases(tag.aliases, tag, taxonomy, usage);
+    }
+    if (parent === null) {
+      tag.parent = null;
+    } else if (parent !== undefined) {
+      checkParent(tag, { name: taxonomy.canonical(parent) }, taxonomy);
+      tag.parent = (await findOrDefine(parent, taxonomy))._id;
+    }
+    if (description !== undefined) tag.description = description;
+    await tag.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Tag "${tag.name}" updated`,
+      data: presentTag(tag.name, await Tag.loadTaxonomy(), usage)
+    });
+  } catch (error) {
+    handleError(res, error, 'Update tag', 'Failed to update tag');
+  }
+};
+
+// @desc    Rename a tag on every recipe; the old name stays as an alias unless keepAlias is false
+// @route   POST /api/tags/:name/rename
+// @access  Private (admin)
+exports.renameTag = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const from = normalizeTag(req.params.name);
+    const { to, keepAlias = true } = req.body;
+    const [taxonomy, usage] = await Promise.all([Tag.loadTaxonomy(), loadUsage(req.user)]);
+
+    if (taxonomy.aliasOf(from)) {
+      throw httpError(400, `"${from}" is an alias of "${taxonomy.aliasOf(from)}"; rename that tag instead`);
+    }
+    let tag = await Tag.findOne({ name: from });
+    if (!tag && !usage.has(from)) throw httpError(404, 'Tag not found');
+    if (to === from) throw httpError(400, 'The new name is the same as the old one');
+    assertUnused(to, taxonomy, usage, `Tag "${to}" already exists; merge "${from}" into it instead`);
+
+    if (tag || keepAlias) {
+      tag = tag || new Tag();
+      tag.name = to;
+      tag.aliases = keepAlias ? [...new Set([...tag.aliases, from])] : tag.aliases;
+      await tag.save();
+    }
+    const recipes = await retagRecipes([from], to, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: `Renamed "${from}" to "${to}" on ${recipes} recipe(s)`,
+      data: { ...presentTag(to, await Tag.loadTaxonomy(), await loadUsage(req.user)), recipesUpdated: recipes }
+    });
+  } catch (error) {
+    handleError(res, error, 'Rename tag', 'Failed to rename tag');
+  }
+};
+
+// @desc    Merge tags into one: recipes are retagged, the merged names become
+//          aliases and their child categories move under the target
+// @route   POST /api/tags/merge
+// @access  Private (admin)
+exports.mergeTags = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const [taxonomy, usage] = await Promise.all([Tag.loadTaxonomy(), loadUsage(req.user)]);
+    const into = taxonomy.canonical(req.body.into);
+    const from = [...new Set(req.body.from.map(name => taxonomy.canonical(name)))].filter(name => name !== into);
+
+    if (!from.length) throw httpError(400, `Nothing to merge into "${into}"`);
+    const unknown = from.filter(name => !taxonomy.get(name) && !usage.has(name));
+    if (unknown.length) throw httpError(404, `Unknown tag(s): ${unknown.join(', ')}`);
+
+    const sources = await Tag.find({ name: { $in: from } });
+    const sourceIds = new Set(sources.map(source => String(source._id)));
+    const target = await Tag.findOne({ name: into }) || new Tag({ name: into });
+
+    target.aliases = [...new Set([
+      ...target.aliases,
+      ...from,
+      ...sources.flatMap(source => source.aliases)
+    ])];
+
+    // A target that sat below one of the merged tags takes that tag's place
+    let parent = target.parent ? taxonomy.tags.find(tag => String(tag._id) === String(target.parent)) : null;
+    while (parent && sourceIds.has(String(parent._id))) parent = taxonomy.parentOf(parent);
+    target.parent = parent ? parent._id : null;
+
+    // Remove the merged definitions first so their aliases are free to move
+    await Tag.deleteMany({ _id: { $in: [...sourceIds] } });
+    await target.save();
+    await Tag.updateMany(
+      { parent: { $in: [...sourceIds] }, _id: { $ne: target._id } },
+      { $set: { parent: target._id, updatedAt: Date.now() } }
+    );
+    const recipes = await retagRecipes(from, into, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: `Merged ${from.map(name => `"${name}"`).join(', ')} into "${into}" on ${recipes} recipe(s)`,
+      data: { ...presentTag(into, await Tag.loadTaxonomy(), await loadUsage(req.user)), recipesUpdated: recipes }
+    });
+  } catch (error) {
+    handleError(res, error, 'Merge tags', 'Failed to merge tags');
+  }
+};
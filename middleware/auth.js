@@ -0,0 +1,84 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/user');
+const authConfig = require('../config/auth');
+
+const getBearerToken = (req) => {
+  const header = req.headers.authorization;
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  return null;
+};
+
+const resolveUser = async (token) => {
+  const decoded = jwt.verify(token, authConfig.jwtSecret);
+  return User.findById(decoded.id);
+};
+
+// Require a valid access token and attach the user to req.user
+exports.protect = async (req, res, next) => {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized, no token provided'
+    });
+  }
+
+  try {
+    const user = await resolveUser(token);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, user no longer exists'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: error.name === 'TokenExpiredError'
+        ? 'Not authorized, token expired'
+        : 'Not authorized, invalid token'
+    });
+  }
+};
+
+// Attach req.user when a valid token is present, but never reject the request
+exports.optionalAuth = async (req, res, next) => {
+  const token = getBearerToken(req);
+
+  if (token) {
+    try {
+      req.user = await resolveUser(token) || undefined;
+    } catch (error) {
+      req.user = undefined;
+    }
+  }
+
+  next();
+};
+
+// Restrict a route to the given roles (use after protect)
+exports.authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this route'
+    });
+  }
+  next();
+};
+
+// True when the user owns the document (admins may act on anything)
+exports.isOwner = (doc, user) => {
+  if (!doc || !user) return false;
+  if (user.role === 'admin') return true;
+  if (!doc.owner) return false;
+  const ownerId = doc.owner._id || doc.owner; // Handles populated owners too
+  return ownerId.toString() === user._id.toString();
+};
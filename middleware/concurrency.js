@@ -0,0 +1,47 @@
+// Optimistic concurrency for recipes. Every save bumps the document version
+// (the schema uses optimisticConcurrency), and the ETag names that version:
+// a client sends it back in If-Match and gets 412 if someone saved in between.
+
+/**
+ * Strong ETag for the stored version of a document.
+ */
+exports.etagFor = (doc) => `"${doc._id}-${doc.__v || 0}"`;
+
+exports.setETag = (res, doc) => {
+  res.set('ETag', exports.etagFor(doc));
+};
+
+const preconditionFailed = (res, doc) => {
+  if (doc) exports.setETag(res, doc);
+  res.status(412).json({
+    success: false,
+    message: 'The recipe has changed since you loaded it; fetch it again and reapply your changes',
+    currentETag: doc ? exports.etagFor(doc) : null
+  });
+  return true;
+};
+
+/**
+ * Check the If-Match header against the document's current version. Sends
+ * 412 and returns true when it doesn't match; requests without the header
+ * are let through.
+ */
+exports.rejectStale = (req, res, doc) => {
+  const header = req.get('If-Match');
+  if (!header) return false;
+  if (header.trim() === '*') return false;
+
+  // W/ tags are accepted too; the version in them is what counts
+  const current = exports.etagFor(doc);
+  const matches = header.split(',').some(tag => tag.trim().replace(/^W\//, '') === current);
+  return matches ? false : preconditionFailed(res, doc);
+};
+
+/**
+ * A save lost the race to another one between loading and writing
+ * (Mongoose VersionError). Sends 412 and returns true if that's the error.
+ */
+exports.rejectVersionConflict = (error, res) => {
+  if (error.name !== 'VersionError') return false;
+  return preconditionFailed(res, null);
+};
@@ -0,0 +1,80 @@
+const express = require('express');
+const multer = require('multer');
+const storageConfig = require('../config/storage');
+const { ALLOWED_TYPES } = require('../utils/imageProcessor');
+
+const MAX_FILES = 10;
+const MAX_CSV_SIZE = 10 * 1024 * 1024;
+const CSV_TYPES = ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'];
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: storageConfig.maxFileSize,
+    files: MAX_FILES
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_TYPES[file.mimetype]) {
+      const error = new Error(`Unsupported image type. Allowed: ${Object.keys(ALLOWED_TYPES).join(', ')}`);
+      error.code = 'UNSUPPORTED_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+}).array('images', MAX_FILES);
+
+// Parse multipart "images" fields into req.files, turning upload errors into 400s
+exports.uploadImages = (req, res, next) => {
+  imageUpload(req, res, (error) => {
+    if (!error) return next();
+
+    const messages = {
+      LIMIT_FILE_SIZE: `Each image must be ${Math.round(storageConfig.maxFileSize / 1024 / 1024)}MB or smaller`,
+      LIMIT_FILE_COUNT: `Upload at most ${MAX_FILES} images at a time`,
+      LIMIT_UNEXPECTED_FILE: 'Images must be sent in the "images" field'
+    };
+
+    res.status(400).json({
+      success: false,
+      message: messages[error.code] || error.message
+    });
+  });
+};
+
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_CSV_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!CSV_TYPES.includes(file.mimetype) && !/\.csv$/i.test(file.originalname)) {
+      const error = new Error('Upload must be a CSV file');
+      error.code = 'UNSUPPORTED_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+}).single('file');
+
+// Accept a CSV either as a multipart "file" field (req.file) or as a raw
+// text/csv request body (req.body as a string); JSON bodies pass through
+exports.uploadCsv = [
+  express.text({ type: ['text/csv', 'application/csv'], limit: MAX_CSV_SIZE }),
+  (req, res, next) => {
+    csvUpload(req, res, (error) => {
+      if (!error) return next();
+
+      const messages = {
+        LIMIT_FILE_SIZE: `CSV files must be ${MAX_CSV_SIZE / 1024 / 1024}MB or smaller`,
+        LIMIT_FILE_COUNT: 'Upload one CSV file at a time',
+        LIMIT_UNEXPECTED_FILE: 'The CSV must be sent in the "file" field'
+      };
+
+      res.status(400).json({
+        success: false,
+        message: messages[error.code] || error.message
+      });
+    });
+  }
+];
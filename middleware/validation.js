@@ -1,4 +1,53 @@
-const { body } = require('express-validator');
+const { body, query, param, validationResult } = require('express-validator');
+const { parseQuantity } = require('../utils/quantity');
+const { SYSTEMS } = require('../utils/unitConverter');
+const { MEAL_SLOTS } = require('../models/mealPlan');
+const { REVIEW_STATUSES } = require('../models/review');
+const { NUTRITION_FILTERS, TIME_FILTERS, SORTS, sortFor } = require('../utils/recipeQuery');
+const { LIST_FIELDS, parseFields } = require('../utils/pagination');
+const { DIETS, ALLERGENS } = require('../utils/dietClassifier');
+const { toMinutes } = require('../utils/duration');
+const { parseIngredientQuery } = require('../utils/ingredientQuery');
+const { normalizeTag } = require('../utils/tagTaxonomy');
+const { VISIBILITIES, SHARE_ROLES, SHARE_LINK_MAX_DAYS } = require('../utils/recipeAccess');
+const {
+  normalizeInstructions,
+  MAX_STEPS,
+  STEP_MAX_LENGTH,
+  SECTION_MAX_LENGTH
+} = require('../utils/instructionParser');
+
+// Minutes or an ISO-8601 duration ("PT20M"), stored as minutes; null clears it
+const timeField = (field, label) => body(field)
+  .optional({ values: 'null' })
+  .custom((value) => {
+    if (toMinutes(value) === null) {
+      throw new Error(`${label} must be a non-negative number of minutes or an ISO-8601 duration such as PT1H30M`);
+    }
+    return true;
+  })
+  .customSanitizer((value) => {
+    const minutes = toMinutes(value);
+    return minutes === null ? value : Math.round(minutes);
+  });
+
+// Respond with 400 if express-validator collected errors; returns true when it did.
+// Controllers call this first: `if (rejectInvalid(req, res)) return;`
+exports.rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array().map(error => ({
+      field: error.path,
+      message: error.msg,
+      value: error.value
+    }))
+  });
+  return true;
+};
 
 exports.validateRecipe = [
   body('title')
@@ -11,24 +60,92 @@ exports.validateRecipe = [
   body('ingredients')
     .isArray({ min: 1 })
     .withMessage('At least one ingredient is required')
+    .bail()
     .custom((ingredients) => {
-      if (!ingredients.every(ingredient => typeof ingredient === 'string' && ingredient.trim().length > 0)) {
-        throw new Error('All ingredients must be non-empty strings');
-      }
+      // Each ingredient is either a free-text line or a structured object
+      ingredients.forEach((ingredient, index) => {
+        if (typeof ingredient === 'string') {
+          if (!ingredient.trim()) {
+            throw new Error(`Ingredient ${index + 1} cannot be empty`);
+          }
+          return;
+        }
+
+        if (!ingredient || typeof ingredient !== 'object') {
+          throw new Error(`Ingredient ${index + 1} must be a string or an object`);
+        }
+
+        const name = ingredient.name || ingredient.text;
+        if (typeof name !== 'string' || !name.trim()) {
+          throw new Error(`Ingredient ${index + 1} must have a name`);
+        }
+
+        if (ingredient.quantity !== undefined && ingredient.quantity !== null && ingredient.quantity !== '') {
+          const quantity = parseQuantity(ingredient.quantity);
+          if (quantity === null || quantity < 0) {
+            throw new Error(`Ingredient ${index + 1} has an invalid quantity`);
+          }
+        }
+      });
       return true;
     }),
 
   body('instructions')
-    .trim()
-    .notEmpty()
-    .withMessage('Instructions are required')
-    .isLength({ min: 10, max: 2000 })
-    .withMessage('Instructions must be between 10 and 2000 characters'),
+    .custom((instructions) => {
+      // Either the legacy block of text (split into steps on save) or a list
+      // of lines and { text, section, duration, durationMax } steps
+      if (typeof instructions === 'string') {
+        if (instructions.trim().length < 10) {
+          throw new Error(instructions.trim() ? 'Instructions must be at least 10 characters' : 'Instructions are required');
+        }
+      } else if (Array.isArray(instructions)) {
+        instructions.forEach((step, index) => {
+          if (typeof step === 'string') return;
 
-  body('cookingTime')
-    .optional()
-    .isInt({ min: 1 })
-    .withMessage('Cooking time must be a positive integer'),
+          if (!step || typeof step !== 'object') {
+            throw new Error(`Step ${index + 1} must be a string or an object`);
+          }
+          if (step.text !== undefined && typeof step.text !== 'string') {
+            throw new Error(`Step ${index + 1} text must be a string`);
+          }
+          if (step.text === undefined && typeof step.section !== 'string') {
+            throw new Error(`Step ${index + 1} must have text or a section heading`);
+          }
+          if (step.section !== undefined && step.section !== null &&
+            (typeof step.section !== 'string' || step.section.trim().length > SECTION_MAX_LENGTH)) {
+            throw new Error(`Step ${index + 1} section must be a string of at most ${SECTION_MAX_LENGTH} characters`);
+          }
+          ['duration', 'durationMax'].forEach(field => {
+            if (step[field] !== undefined && step[field] !== null && toMinutes(step[field]) === null) {
+              throw new Error(`Step ${index + 1} ${field} must be minutes or an ISO-8601 duration`);
+            }
+          });
+        });
+      } else {
+        throw new Error('Instructions are required');
+      }
+
+      const steps = normalizeInstructions(instructions);
+      if (!steps.length) {
+        throw new Error('Instructions are required');
+      }
+      if (steps.length > MAX_STEPS) {
+        throw new Error(`A recipe cannot have more than ${MAX_STEPS} steps`);
+      }
+      const tooLong = steps.findIndex(step => step.text.length > STEP_MAX_LENGTH);
+      if (tooLong !== -1) {
+        throw new Error(`Step ${tooLong + 1} cannot be more than ${STEP_MAX_LENGTH} characters`);
+      }
+      return true;
+    }),
+
+  timeField('prepTime', 'Prep time'),
+  timeField('cookTime', 'Cook time'),
+  timeField('restTime', 'Rest time'),
+  timeField('totalTime', 'Total time'),
+
+  // Older clients send one overall time; it is stored as totalTime
+  timeField('cookingTime', 'Cooking time'),
 
   body('servings')
     .optional()
@@ -43,5 +160,959 @@ exports.validateRecipe = [
   body('tags')
     .optional()
     .isArray()
-    .withMessage('Tags must be an array')
+    .withMessage('Tags must be an array'),
+
+  // Only taken on create; afterwards it changes through PUT /api/recipes/:id/visibility
+  body('visibility')
+    .optional()
+    .isIn(VISIBILITIES)
+    .withMessage(`Visibility must be one of: ${VISIBILITIES.join(', ')}`)
+];
+
+/**
+ * Run the validateRecipe rules against a plain object (an import draft or a
+ * bulk row) instead of a request. Sanitizers apply to the object in place.
+ * @returns {Promise<Array<{ field, message, value }>>} empty when valid
+ */
+exports.checkRecipe = async (recipe) => {
+  const req = { body: recipe };
+  for (const chain of exports.validateRecipe) {
+    await chain.run(req);
+  }
+
+  return validationResult(req).array().map(error => ({
+    field: error.path,
+    message: error.msg,
+    value: error.value
+  }));
+};
+
+exports.validateRegister = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 50 })
+    .withMessage('Name cannot be more than 50 characters'),
+
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('A valid email is required')
+    .toLowerCase(),
+
+  body('password')
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters')
+];
+
+exports.validateLogin = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('A valid email is required')
+    .toLowerCase(),
+
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+];
+
+exports.validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+exports.validateServingsQuery = [
+  query('servings')
+    .optional()
+    .isFloat({ gt: 0, max: 1000 })
+    .withMessage('Servings must be a positive number up to 1000')
+    .toFloat()
+];
+
+exports.validateScale = [
+  query('servings')
+    .exists()
+    .withMessage('Servings query parameter is required')
+    .bail()
+    .isFloat({ gt: 0, max: 1000 })
+    .withMessage('Servings must be a positive number up to 1000')
+    .toFloat()
+];
+
+exports.validateUnitsQuery = [
+  query('units')
+    .optional()
+    .isIn(SYSTEMS)
+    .withMessage(`Units must be one of: ${SYSTEMS.join(', ')}`),
+
+  query('from')
+    .optional()
+    .isIn(SYSTEMS)
+    .withMessage(`from must be one of: ${SYSTEMS.join(', ')}`)
+];
+
+// caloriesMax, proteinMin, ... on search and export
+exports.validateNutritionQuery = Object.keys(NUTRITION_FILTERS).map(param =>
+  query(param)
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage(`${param} must be a non-negative number`)
+);
+
+// Boolean ingredient queries ("chicken AND NOT mushroom") must parse
+const ingredientQuery = (value) => {
+  parseIngredientQuery(value);
+  return true;
+};
+
+exports.validateSearchQuery = [
+  query('q')
+    .optional()
+    .isString()
+    .withMessage('q must be a single search')
+    .bail()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('q cannot be more than 200 characters'),
+
+  query('ingredient')
+    .optional()
+    .isString()
+    .withMessage('ingredient must be a single query')
+    .bail()
+    .isLength({ max: 500 })
+    .withMessage('ingredient cannot be more than 500 characters')
+    .bail()
+    .custom(ingredientQuery)
+];
+
+exports.validateSuggest = [
+  query('q')
+    .isString()
+    .withMessage('q is required')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('q must be 1 to 100 characters'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('limit must be between 1 and 20')
+];
+
+// prepTimeMin, totalTimeMax, ... on search and export, plus what to do with
+// recipes that don't give the time being filtered on
+exports.validateTimeQuery = [
+  ...Object.keys(TIME_FILTERS).map(param =>
+    query(param)
+      .optional()
+      .custom((value) => {
+        if (toMinutes(value) === null) {
+          throw new Error(`${param} must be a non-negative number of minutes or an ISO-8601 duration`);
+        }
+        return true;
+      })
+  ),
+
+  query('unknownTimes')
+    .optional()
+    .isIn(['include', 'exclude'])
+    .withMessage('unknownTimes must be include or exclude')
+];
+
+// Comma-separated list where every item must be one of the allowed values
+const listOf = (allowed, label) => (value) => {
+  const invalid = value.split(',').map(item => item.trim()).filter(item => !allowed.includes(item));
+  if (invalid.length) {
+    throw new Error(`Unknown ${label}: ${invalid.join(', ')}. Allowed: ${allowed.join(', ')}`);
+  }
+  return true;
+};
+
+exports.validateDietQuery = [
+  query('diet')
+    .optional()
+    .custom(listOf(DIETS, 'diet')),
+
+  query('excludeAllergens')
+    .optional()
+    .custom(listOf(ALLERGENS, 'allergen'))
+];
+
+exports.validateRatingQuery = [
+  query('minRating')
+    .optional()
+    .isFloat({ min: 0, max: 5 })
+    .withMessage('minRating must be between 0 and 5'),
+
+  query('sort')
+    .optional()
+    .custom(value => sortFor(value) !== null)
+    .withMessage(`sort must be one of: ${Object.keys(SORTS).join(', ')}, optionally followed by :asc or :desc`)
+];
+
+// Page or cursor pagination and sparse fieldsets on recipe lists
+exports.validateListQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('limit must be a positive integer'),
+
+  query('cursor')
+    .optional()
+    .isString()
+    .withMessage('cursor must be a single value')
+    .bail()
+    .custom((value, { req }) => req.query.page === undefined)
+    .withMessage('Use either page or cursor, not both'),
+
+  query('fields')
+    .optional()
+    .isString()
+    .withMessage('fields must be a comma-separated list')
+    .bail()
+    .custom((value) => {
+      const unknown = parseFields(value).filter(field => !LIST_FIELDS.includes(field));
+      if (unknown.length) {
+        throw new Error(`Unknown fields: ${unknown.join(', ')}. Allowed: ${LIST_FIELDS.join(', ')}`);
+      }
+      return true;
+    })
+];
+
+exports.validateDietaryOverrides = [
+  body('overrides')
+    .optional()
+    .isObject()
+    .withMessage('overrides must be an object')
+    .custom((overrides) => {
+      Object.entries(overrides).forEach(([key, value]) => {
+        if (!DIETS.includes(key) && !ALLERGENS.includes(key)) {
+          throw new Error(`Unknown diet or allergen: ${key}`);
+        }
+        if (typeof value !== 'boolean' && value !== null) {
+          throw new Error(`Override for ${key} must be true, false or null to clear it`);
+        }
+      });
+      return true;
+    }),
+
+  body('reset')
+    .optional()
+    .isBoolean()
+    .withMessage('reset must be a boolean'),
+
+  body()
+    .custom((value) => {
+      if (!value || (value.overrides === undefined && value.reset === undefined)) {
+        throw new Error('Provide overrides or reset');
+      }
+      return true;
+    })
+];
+
+exports.validateCollection = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Collection name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name cannot be more than 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+
+  body('isPublic')
+    .optional()
+    .isBoolean()
+    .withMessage('isPublic must be a boolean')
+    .toBoolean()
+];
+
+exports.validateCollectionRecipe = [
+  body('recipeId')
+    .isMongoId()
+    .withMessage('A valid recipeId is required'),
+
+  body('position')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Position must be a non-negative integer')
+    .toInt()
+];
+
+exports.validateCollectionOrder = [
+  body('recipeIds')
+    .isArray()
+    .withMessage('recipeIds must be an array'),
+
+  body('recipeIds.*')
+    .isMongoId()
+    .withMessage('Each recipe ID must be valid')
+];
+
+exports.validateCollectionQuery = [
+  query('collection')
+    .optional()
+    .isMongoId()
+    .withMessage('Collection must be a valid ID'),
+
+  query('shared')
+    .optional()
+    .isBoolean()
+    .withMessage('shared must be true or false')
+    .toBoolean()
+];
+
+exports.validateMeal = [
+  body('date')
+    .isISO8601()
+    .withMessage('Date must be a valid date (YYYY-MM-DD)'),
+
+  body('slot')
+    .isIn(MEAL_SLOTS)
+    .withMessage(`Slot must be one of: ${MEAL_SLOTS.join(', ')}`),
+
+  body('recipeId')
+    .isMongoId()
+    .withMessage('A valid recipeId is required'),
+
+  body('servings')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Servings must be a positive integer')
+    .toInt(),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Notes cannot be more than 200 characters')
+];
+
+exports.validateDateRange = [
+  query('start')
+    .isISO8601()
+    .withMessage('Start must be a valid date (YYYY-MM-DD)'),
+
+  query('end')
+    .optional()
+    .isISO8601()
+    .withMessage('End must be a valid date (YYYY-MM-DD)'),
+
+  query('slot')
+    .optional()
+    .custom((slot) => {
+      const invalid = slot.split(',').map(s => s.trim()).filter(s => !MEAL_SLOTS.includes(s));
+      if (invalid.length) {
+        throw new Error(`Unknown meal slot(s): ${invalid.join(', ')}`);
+      }
+      return true;
+    })
+];
+
+exports.validateCopyWeek = [
+  body('fromDate')
+    .isISO8601()
+    .withMessage('fromDate must be a valid date (YYYY-MM-DD)'),
+
+  body('toDate')
+    .isISO8601()
+    .withMessage('toDate must be a valid date (YYYY-MM-DD)'),
+
+  body('overwrite')
+    .optional()
+    .isBoolean()
+    .withMessage('overwrite must be a boolean')
+    .toBoolean()
+];
+
+exports.validateShoppingList = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+
+  body('recipes')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('recipes must be an array of 1 to 50 entries'),
+
+  body('recipes.*.recipeId')
+    .isMongoId()
+    .withMessage('Each entry needs a valid recipeId'),
+
+  body('recipes.*.servings')
+    .optional()
+    .isFloat({ gt: 0, max: 1000 })
+    .withMessage('Servings must be a positive number up to 1000')
+    .toFloat()
+];
+
+exports.validateShoppingItem = [
+  body('checked')
+    .isBoolean()
+    .withMessage('checked must be a boolean')
+    .toBoolean()
+];
+
+exports.validateStatsQuery = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a valid date'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be a valid date'),
+
+  query('interval')
+    .optional()
+    .isIn(['week', 'month'])
+    .withMessage('interval must be week or month'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('limit must be between 1 and 50')
+];
+
+exports.validateImageUpload = [
+  body('caption')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Caption cannot be more than 200 characters'),
+
+  body('step')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Step must be a non-negative integer')
+    .toInt(),
+
+  body('cover')
+    .optional()
+    .isBoolean()
+    .withMessage('cover must be a boolean')
+    .toBoolean()
+];
+
+exports.validateImageUpdate = [
+  body('caption')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Caption cannot be more than 200 characters'),
+
+  body('step')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .withMessage('Step must be a non-negative integer or null')
+    .toInt(),
+
+  body('cover')
+    .optional()
+    .isBoolean()
+    .withMessage('cover must be a boolean')
+    .toBoolean()
+];
+
+exports.validateImport = [
+  body('url')
+    .optional()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('url must be a valid http(s) URL'),
+
+  body('html')
+    .optional()
+    .isString()
+    .withMessage('html must be a string')
+    .isLength({ max: 5 * 1024 * 1024 })
+    .withMessage('html cannot be larger than 5MB'),
+
+  body()
+    .custom((value) => {
+      if (!value || (!value.url && !value.html)) {
+        throw new Error('Provide either a url or raw html to import');
+      }
+      return true;
+    })
+];
+
+exports.validateExport = [
+  query('format')
+    .optional()
+    .isIn(['json', 'csv', 'md', 'pdf'])
+    .withMessage('Format must be one of: json, csv, md, pdf')
+];
+
+exports.validatePrint = [
+  query('format')
+    .optional()
+    .isIn(['html', 'pdf'])
+    .withMessage('Format must be html or pdf')
+];
+
+// Shared by the bulk endpoints: ?dryRun=true reports what would happen without writing
+const dryRunQuery = query('dryRun')
+  .optional()
+  .isBoolean()
+  .withMessage('dryRun must be true or false')
+  .toBoolean();
+
+const BULK_FILTER_KEYS = ['ids', 'q', 'ingredient', 'difficulty', 'tags', ...Object.keys(TIME_FILTERS), 'servingsMin'];
+
+// Bulk updates and deletes must say which recipes they target; an empty filter is refused
+const bulkFilter = [
+  body('filter')
+    .isObject()
+    .withMessage('filter must be an object')
+    .custom((filter) => {
+      const hasCriteria = BULK_FILTER_KEYS.some(key => filter[key] !== undefined && filter[key] !== '');
+      if (!hasCriteria) {
+        throw new Error(`filter needs at least one of: ${BULK_FILTER_KEYS.join(', ')}`);
+      }
+      return true;
+    }),
+
+  body('filter.ids')
+    .optional()
+    .isArray({ min: 1, max: 5000 })
+    .withMessage('filter.ids must be an array of 1 to 5000 recipe IDs'),
+
+  body('filter.ids.*')
+    .isMongoId()
+    .withMessage('Each ID in filter.ids must be a valid recipe ID'),
+
+  body('filter.q')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('filter.q cannot be more than 200 characters'),
+
+  body('filter.ingredient')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('filter.ingredient cannot be more than 500 characters')
+    .bail()
+    .custom(ingredientQuery),
+
+  body('filter.difficulty')
+    .optional()
+    .isIn(['easy', 'medium', 'hard'])
+    .withMessage('filter.difficulty must be easy, medium, or hard'),
+
+  body('filter.tags')
+    .optional()
+    .custom((tags) => {
+      const valid = typeof tags === 'string' || (Array.isArray(tags) && tags.every(tag => typeof tag === 'string'));
+      if (!valid) {
+        throw new Error('filter.tags must be a comma-separated string or an array of strings');
+      }
+      return true;
+    }),
+
+  body(Object.keys(TIME_FILTERS).map(key => `filter.${key}`))
+    .optional()
+    .custom((value) => {
+      if (toMinutes(value) === null) {
+        throw new Error('Time filters must be a non-negative number of minutes or an ISO-8601 duration');
+      }
+      return true;
+    }),
+
+  body('filter.unknownTimes')
+    .optional()
+    .isIn(['include', 'exclude'])
+    .withMessage('filter.unknownTimes must be include or exclude'),
+
+  body('filter.servingsMin')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('filter.servingsMin must be a positive integer')
+];
+
+exports.validateBulkCreate = [dryRunQuery];
+
+exports.validateBulkUpdate = [
+  dryRunQuery,
+  ...bulkFilter,
+
+  body('update')
+    .isObject()
+    .withMessage('update must be an object'),
+
+  body(['update.addTags', 'update.removeTags'])
+    .optional()
+    .isArray({ min: 1, max: 20 })
+    .withMessage('addTags and removeTags must be arrays of 1 to 20 tags'),
+
+  body(['update.addTags.*', 'update.removeTags.*'])
+    .isString()
+    .withMessage('Tags must be strings')
+    .trim()
+    .notEmpty()
+    .withMessage('Tags cannot be empty')
+    .toLowerCase(),
+
+  body('update.difficulty')
+    .optional()
+    .isIn(['easy', 'medium', 'hard'])
+    .withMessage('update.difficulty must be easy, medium, or hard'),
+
+  body('update')
+    .custom((update) => {
+      const { addTags = [], removeTags = [], difficulty } = update || {};
+      if (!addTags.length && !removeTags.length && !difficulty) {
+        throw new Error('update needs at least one of: addTags, removeTags, difficulty');
+      }
+      if (addTags.some(tag => removeTags.includes(tag))) {
+        throw new Error('A tag cannot be both added and removed');
+      }
+      return true;
+    })
+];
+
+exports.validateBulkDelete = [
+  dryRunQuery,
+  ...bulkFilter
+];
+
+// Pantry items are free-text lines ("2 chicken thighs") or { name, quantity, unit, expiresAt }
+const checkPantryItems = (items) => {
+  items.forEach((item, index) => {
+    if (typeof item === 'string') {
+      if (!item.trim()) throw new Error(`Item ${index + 1} cannot be empty`);
+      return;
+    }
+
+    if (!item || typeof item !== 'object' || typeof item.name !== 'string' || !item.name.trim()) {
+      throw new Error(`Item ${index + 1} must be a string or an object with a name`);
+    }
+
+    if (item.quantity !== undefined && item.quantity !== null && item.quantity !== '') {
+      const quantity = parseQuantity(item.quantity);
+      if (quantity === null || quantity < 0) {
+        throw new Error(`Item ${index + 1} has an invalid quantity`);
+      }
+    }
+
+    if (item.expiresAt !== undefined && item.expiresAt !== null && Number.isNaN(Date.parse(item.expiresAt))) {
+      throw new Error(`Item ${index + 1} has an invalid expiresAt date`);
+    }
+  });
+  return true;
+};
+
+exports.validatePantry = [
+  body('items')
+    .isArray({ max: 500 })
+    .withMessage('items must be an array of at most 500 entries')
+    .bail()
+    .custom(checkPantryItems)
+];
+
+exports.validatePantryItems = [
+  body('items')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('items must be an array of 1 to 500 entries')
+    .bail()
+    .custom(checkPantryItems)
+];
+
+exports.validateMatch = [
+  body(['ingredients', 'priority'])
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('ingredients and priority must be arrays of at most 100 names'),
+
+  body(['ingredients.*', 'priority.*'])
+    .isString()
+    .withMessage('Ingredient names must be strings')
+    .trim()
+    .notEmpty()
+    .withMessage('Ingredient names cannot be empty'),
+
+  body(['usePantry', 'ignoreStaples'])
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('usePantry and ignoreStaples must be booleans'),
+
+  body('maxMissing')
+    .optional()
+    .isInt({ min: 0, max: 20 })
+    .withMessage('maxMissing must be between 0 and 20')
+    .toInt(),
+
+  body('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('limit must be between 1 and 50')
+    .toInt(),
+
+  body()
+    .custom((value) => {
+      const listed = value && Array.isArray(value.ingredients) && value.ingredients.length > 0;
+      const prioritised = value && Array.isArray(value.priority) && value.priority.length > 0;
+      if (!listed && !prioritised && !(value && value.usePantry === true)) {
+        throw new Error('Send ingredients, priority items or usePantry: true');
+      }
+      return true;
+    })
+];
+
+const pageQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('limit must be between 1 and 50')
+];
+
+const ratingField = body('rating')
+  .isInt({ min: 1, max: 5 })
+  .withMessage('Rating must be a whole number from 1 to 5')
+  .toInt();
+
+const commentField = body('comment')
+  .optional()
+  .isString()
+  .withMessage('Comment must be a string')
+  .trim()
+  .isLength({ max: 2000 })
+  .withMessage('Comment cannot be more than 2000 characters');
+
+exports.validateReview = [ratingField, commentField];
+
+exports.validateReviewUpdate = [
+  ratingField.optional(),
+  commentField,
+
+  body()
+    .custom((value) => {
+      if (!value || (value.rating === undefined && value.comment === undefined)) {
+        throw new Error('Provide a rating or a comment');
+      }
+      return true;
+    })
+];
+
+exports.validateReviewQuery = [
+  ...pageQuery,
+
+  query('sort')
+    .optional()
+    .isIn(['newest', 'highest', 'lowest'])
+    .withMessage('sort must be newest, highest or lowest')
+];
+
+exports.validateReviewFlag = [
+  body('reason')
+    .optional()
+    .isString()
+    .withMessage('Reason must be a string')
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot be more than 200 characters')
+];
+
+exports.validateModerationQuery = [
+  ...pageQuery,
+
+  query('status')
+    .optional()
+    .isIn(REVIEW_STATUSES)
+    .withMessage(`status must be one of: ${REVIEW_STATUSES.join(', ')}`)
+];
+
+exports.validateModeration = [
+  body('status')
+    .isIn(REVIEW_STATUSES)
+    .withMessage(`status must be one of: ${REVIEW_STATUSES.join(', ')}`),
+
+  body('reason')
+    .optional()
+    .isString()
+    .withMessage('Reason must be a string')
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot be more than 200 characters')
+];
+
+exports.validateCookLog = [
+  body('cookedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('cookedAt must be a valid date')
+    .bail()
+    .custom((value) => {
+      if (new Date(value) > new Date()) {
+        throw new Error('cookedAt cannot be in the future');
+      }
+      return true;
+    }),
+
+  body('notes')
+    .optional()
+    .isString()
+    .withMessage('Notes must be a string')
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot be more than 1000 characters')
+];
+
+exports.validateRevision = [
+  param('rev')
+    .isInt({ min: 1 })
+    .withMessage('Revision must be a positive integer')
+    .toInt(),
+
+  query('against')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('against must be a positive revision number')
+    .toInt()
+];
+
+exports.validateFork = [
+  body('title')
+    .optional()
+    .isString()
+    .withMessage('Title must be a string')
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Title must be between 3 and 100 characters')
+];
+
+exports.validateForkQuery = [...pageQuery];
+
+// A tag name, stored lower-case with single spaces
+const tagName = (chain, label) => chain
+  .isString()
+  .withMessage(`${label} must be a string`)
+  .bail()
+  .customSanitizer(normalizeTag)
+  .isLength({ min: 1, max: 50 })
+  .withMessage(`${label} must be between 1 and 50 characters`);
+
+const tagDetails = [
+  body('aliases')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Aliases must be an array of up to 20 names'),
+
+  tagName(body('aliases.*'), 'Aliases'),
+
+  body('description')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Description must be a string')
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot be more than 200 characters')
+];
+
+exports.validateTag = [
+  tagName(body('name'), 'Tag name'),
+
+  tagName(body('parent').optional(), 'Parent'),
+
+  ...tagDetails
+];
+
+exports.validateTagUpdate = [
+  tagName(body('parent').optional({ values: 'null' }), 'Parent'),
+
+  ...tagDetails,
+
+  body()
+    .custom((value) => {
+      if (!value || ['aliases', 'parent', 'description'].every(field => value[field] === undefined)) {
+        throw new Error('Provide aliases, a parent or a description');
+      }
+      return true;
+    })
+];
+
+exports.validateTagRename = [
+  tagName(body('to'), 'New name'),
+
+  body('keepAlias')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('keepAlias must be true or false')
+];
+
+exports.validateTagMerge = [
+  body('from')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('from must be an array of 1 to 20 tags'),
+
+  tagName(body('from.*'), 'Tags to merge'),
+
+  tagName(body('into'), 'into')
+];
+
+exports.validateTagQuery = [
+  ...pageQuery,
+
+  query('q')
+    .optional()
+    .isString()
+    .withMessage('q must be a single string')
+    .isLength({ max: 50 })
+    .withMessage('q cannot be more than 50 characters'),
+
+  query('sort')
+    .optional()
+    .isIn(['count', 'name'])
+    .withMessage('sort must be count or name')
+];
+
+exports.validateVisibility = [
+  body('visibility')
+    .isIn(VISIBILITIES)
+    .withMessage(`Visibility must be one of: ${VISIBILITIES.join(', ')}`)
+];
+
+exports.validateShare = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('A valid email is required')
+    .toLowerCase(),
+
+  body('role')
+    .optional()
+    .isIn(SHARE_ROLES)
+    .withMessage(`Role must be one of: ${SHARE_ROLES.join(', ')}`)
+];
+
+exports.validateShareLink = [
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: SHARE_LINK_MAX_DAYS })
+    .withMessage(`expiresInDays must be between 1 and ${SHARE_LINK_MAX_DAYS}`)
+    .toInt()
 ];
\ No newline at end of file
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const CollectionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Collection name is required'],
+    trim: true,
+    maxLength: [100, 'Name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxLength: [500, 'Description cannot be more than 500 characters']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Collection owner is required']
+  },
+  // Public collections can be browsed and used as a recipe filter by anyone
+  isPublic: {
+    type: Boolean,
+    default: false
+  },
+  // Ordered: position in the array is the position in the collection
+  recipes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe'
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+CollectionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// One collection name per user; also serves "my collections" lookups
+CollectionSchema.index({ owner: 1, name: 1 }, { unique: true });
+// Used when a recipe is deleted and must be pulled from every collection
+CollectionSchema.index({ recipes: 1 });
+
+module.exports = mongoose.model('Collection', CollectionSchema);
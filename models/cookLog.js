@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// One "I made this" entry; a user can log the same recipe as often as they cook it
+const CookLogSchema = new mongoose.Schema({
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe',
+    required: [true, 'Cook log recipe is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Cook log user is required']
+  },
+  cookedAt: {
+    type: Date,
+    default: Date.now
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxLength: [1000, 'Notes cannot be more than 1000 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+CookLogSchema.index({ recipe: 1, user: 1, cookedAt: -1 });
+
+/**
+ * Recount timesCooked on a recipe from its cook logs.
+ */
+CookLogSchema.statics.syncTimesCooked = async function(recipeId) {
+  const timesCooked = await this.countDocuments({ recipe: recipeId });
+  await mongoose.model('Recipe').updateOne({ _id: recipeId }, { $set: { timesCooked } });
+};
+
+CookLogSchema.post('save', async function() {
+  await this.constructor.syncTimesCooked(this.recipe);
+});
+
+CookLogSchema.post('deleteOne', { document: true, query: false }, async function() {
+  await this.constructor.syncTimesCooked(this.recipe);
+});
+
+module.exports = mongoose.model('CookLog', CookLogSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const MEAL_SLOTS = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+const MealSchema = new mongoose.Schema({
+  slot: {
+    type: String,
+    enum: MEAL_SLOTS,
+    required: [true, 'Meal slot is required']
+  },
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe',
+    required: [true, 'Recipe is required']
+  },
+  // Overrides the recipe's own servings for this meal
+  servings: {
+    type: Number,
+    min: [1, 'Servings must be at least 1']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxLength: [200, 'Notes cannot be more than 200 characters']
+  }
+});
+
+// One document per user per calendar day
+const MealPlanSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Meal plan owner is required']
+  },
+  // Always stored as UTC midnight of the planned day
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  meals: [MealSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+MealPlanSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+MealPlanSchema.index({ owner: 1, date: 1 }, { unique: true });
+
+MealPlanSchema.statics.MEAL_SLOTS = MEAL_SLOTS;
+
+module.exports = mongoose.model('MealPlan', MealPlanSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const { CATEGORIES } = require('../utils/shoppingList');
+
+const PantryItemSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Item name is required'],
+    trim: true,
+    maxLength: [100, 'Item name cannot be more than 100 characters']
+  },
+  quantity: {
+    type: Number,
+    min: [0, 'Quantity cannot be negative']
+  },
+  unit: {
+    type: String,
+    trim: true
+  },
+  category: {
+    type: String,
+    enum: CATEGORIES,
+    default: 'other'
+  },
+  // Items close to this date are matched first by POST /api/recipes/match
+  expiresAt: Date,
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// What a user has in the kitchen; one pantry per user
+const PantrySchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Pantry owner is required'],
+    unique: true
+  },
+  items: [PantryItemSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+PantrySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Pantry', PantrySchema);
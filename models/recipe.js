@@ -1,27 +1,204 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { parseIngredient } = require('../utils/ingredientParser');
+const {
+  normalizeInstructions,
+  MAX_STEPS,
+  STEP_MAX_LENGTH,
+  SECTION_MAX_LENGTH
+} = require('../utils/instructionParser');
+const { calculateNutrition, NUTRIENTS } = require('../utils/nutrition');
+const { toMinutes } = require('../utils/duration');
+const { searchTermsOf } = require('../utils/searchTerms');
+const Tag = require('./tag');
+const { classifyRecipe, applyOverrides, DIETS, ALLERGENS } = require('../utils/dietClassifier');
+const { VISIBILITIES, SHARE_ROLES } = require('../utils/recipeAccess');
 
-const RecipeSchema = new mongoose.Schema({
-  title: {
+const IngredientSchema = new mongoose.Schema({
+  quantity: {
+    type: Number,
+    min: [0, 'Ingredient quantity cannot be negative']
+  },
+  // Upper bound for ranges like "2-3 cloves"
+  quantityMax: {
+    type: Number,
+    min: [0, 'Ingredient quantity cannot be negative']
+  },
+  unit: {
     type: String,
-    required: [true, 'Recipe title is required'],
-    trim: true,
-    maxLength: [100, 'Title cannot be more than 100 characters']
+    trim: true
   },
-  ingredients: [{
+  name: {
     type: String,
-    required: [true, 'At least one ingredient is required'],
+    required: [true, 'Ingredient name is required'],
     trim: true
-  }],
-  instructions: {
+  },
+  preparation: {
+    type: String,
+    trim: true
+  },
+  optional: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+// The parts that add up to totalTime
+const TIME_PARTS = ['prepTime', 'cookTime', 'restTime'];
+
+// Minutes, given as a number or an ISO-8601 duration ("PT4H"); anything else
+// is passed on for the cast to reject
+const timeField = (label) => ({
+  type: Number,
+  min: [0, `${label} cannot be negative`],
+  set: (value) => {
+    const minutes = toMinutes(value);
+    return minutes === null ? value : Math.round(minutes);
+  }
+});
+
+const StepSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Step text is required'],
+    trim: true,
+    maxLength: [STEP_MAX_LENGTH, `A step cannot be more than ${STEP_MAX_LENGTH} characters`]
+  },
+  // Heading of the part of the recipe the step belongs to ("For the sauce")
+  section: {
+    type: String,
+    trim: true,
+    maxLength: [SECTION_MAX_LENGTH, `A section heading cannot be more than ${SECTION_MAX_LENGTH} characters`]
+  },
+  // Timer in minutes, read from the text ("simmer for 10 minutes") unless given;
+  // durationMax is the upper end of ranges like "20-25 minutes"
+  duration: {
+    type: Number,
+    min: [0, 'Step duration cannot be negative']
+  },
+  durationMax: {
+    type: Number,
+    min: [0, 'Step duration cannot be negative']
+  }
+}, { _id: false });
+
+const ImageSchema = new mongoose.Schema({
+  // Storage keys; urls are derived from them by the storage backend at upload time
+  key: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  thumbnailKey: String,
+  thumbnailUrl: String,
+  contentType: String,
+  size: Number,
+  width: Number,
+  height: Number,
+  caption: {
     type: String,
-    required: [true, 'Instructions are required'],
     trim: true,
-    maxLength: [2000, 'Instructions cannot be more than 2000 characters']
+    maxLength: [200, 'Caption cannot be more than 200 characters']
   },
-  cookingTime: {
+  // Index of the instruction step this image illustrates, if any
+  step: {
     type: Number,
-    min: [1, 'Cooking time must be at least 1 minute']
+    min: [0, 'Step must be a non-negative index']
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// calories (kcal), protein/fat/carbs/... (g), sodium (mg)
+const NutrientsSchema = new mongoose.Schema(
+  Object.keys(NUTRIENTS).reduce((fields, key) => {
+    fields[key] = { type: Number, min: 0 };
+    return fields;
+  }, {}),
+  { _id: false }
+);
+
+const ShareSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: SHARE_ROLES,
+    default: 'viewer'
+  },
+  sharedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Only the hash of a share link token is stored; the token is shown once
+const ShareLinkSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const RecipeSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Recipe title is required'],
+    trim: true,
+    maxLength: [100, 'Title cannot be more than 100 characters']
   },
+  ingredients: {
+    type: [IngredientSchema],
+    // Accept free-text lines wherever ingredients are assigned
+    set: (ingredients) => Array.isArray(ingredients)
+      ? ingredients.map(ingredient => typeof ingredient === 'string' ? parseIngredient(ingredient) : ingredient)
+      : ingredients,
+    validate: {
+      validator: (ingredients) => ingredients.length > 0,
+      message: 'At least one ingredient is required'
+    }
+  },
+  instructions: {
+    type: [StepSchema],
+    // Accept the legacy single string or lines of text as well as steps
+    set: (instructions) => typeof instructions === 'string' || Array.isArray(instructions)
+      ? normalizeInstructions(instructions)
+      : instructions,
+    validate: [{
+      validator: (steps) => steps.length > 0,
+      message: 'Instructions are required'
+    }, {
+      validator: (steps) => steps.length <= MAX_STEPS,
+      message: `A recipe cannot have more than ${MAX_STEPS} steps`
+    }]
+  },
+  // Minutes of hands-on preparation, cooking and resting (marinating,
+  // proving, chilling). totalTime is their sum; with none of them set it can
+  // be given on its own, and it stays unset when nothing is known
+  prepTime: timeField('Prep time'),
+  cookTime: timeField('Cook time'),
+  restTime: timeField('Rest time'),
+  totalTime: timeField('Total time'),
   servings: {
     type: Number,
     min: [1, 'Servings must be at least 1']
@@ -35,6 +212,109 @@ const RecipeSchema = new mongoose.Schema({
     type: String,
     trim: true
   }],
+  // Words of the title, ingredients and tags; search corrects typos against
+  // them and /suggest completes them. Kept out of responses
+  searchTerms: {
+    type: [String],
+    select: false
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  // See utils/recipeAccess.js; recipes saved before this existed have none and count as public
+  visibility: {
+    type: String,
+    enum: {
+      values: VISIBILITIES,
+      message: `Visibility must be one of: ${VISIBILITIES.join(', ')}`
+    },
+    default: 'public'
+  },
+  // Users the owner shared the recipe with. Managed through the sharing
+  // endpoints and only shown to the owner there
+  sharedWith: {
+    type: [ShareSchema],
+    select: false
+  },
+  // Links that open an unlisted or public recipe without an account
+  shareLinks: {
+    type: [ShareLinkSchema],
+    select: false
+  },
+  images: [ImageSchema],
+  // _id of the entry in images used as the cover
+  coverImage: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Computed from the ingredients on save (see utils/nutrition.js); never set by clients
+  nutrition: {
+    total: NutrientsSchema,
+    perServing: NutrientsSchema,
+    matchedIngredients: Number,
+    totalIngredients: Number,
+    computedAt: Date
+  },
+  // Derived from the ingredients on save (see utils/dietClassifier.js), with owner overrides applied
+  dietary: {
+    diets: [{
+      type: String,
+      enum: DIETS
+    }],
+    allergens: [{
+      type: String,
+      enum: ALLERGENS
+    }],
+    // Owner corrections keyed by diet or allergen; true adds the flag, false removes it
+    overrides: {
+      type: Map,
+      of: Boolean
+    },
+    computedAt: Date
+  },
+  // Kept in sync by the Review and CookLog models; hidden reviews don't count
+  averageRating: {
+    type: Number,
+    min: 0,
+    max: 5,
+    default: 0
+  },
+  ratingCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  timesCooked: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Set when the recipe is moved to the trash; see the query hooks below
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set on recipes created with POST /api/recipes/:id/fork. The title and owner
+  // are copied so the lineage still reads when the source is gone;
+  // sourceDeletedAt marks that (see markForksOf)
+  forkedFrom: {
+    recipe: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Recipe'
+    },
+    title: String,
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    forkedAt: Date,
+    sourceDeletedAt: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -43,6 +323,96 @@ const RecipeSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   }
+}, {
+  // Every save bumps __v, which the ETag is built from (middleware/concurrency.js);
+  // clients see the version only through that header. searchTerms is internal
+  // too, including on freshly saved documents that still hold it, and sharing
+  // details are only shown to the owner by the sharing endpoints
+  optimisticConcurrency: true,
+  toJSON: {
+    versionKey: false,
+    transform: (doc, ret) => {
+      delete ret.searchTerms;
+      delete ret.sharedWith;
+      delete ret.shareLinks;
+      return ret;
+    }
+  },
+  toObject: { versionKey: false }
+});
+
+// Legacy documents stored ingredients as plain strings and instructions as
+// one block of text; parse them on load so they read as structured
+// ingredients and steps (scripts/migrateIngredients.js and
+// scripts/migrateInstructions.js persist the conversion)
+RecipeSchema.pre('init', function(raw) {
+  if (Array.isArray(raw.ingredients)) {
+    raw.ingredients = raw.ingredients.map(ingredient =>
+      typeof ingredient === 'string' ? parseIngredient(ingredient) : ingredient
+    );
+  }
+  if (typeof raw.instructions === 'string') {
+    raw.instructions = normalizeInstructions(raw.instructions);
+  }
+  // cookingTime was the overall time before it was split up (scripts/migrateTimes.js)
+  if (raw.totalTime === undefined && typeof raw.cookingTime === 'number') {
+    raw.totalTime = raw.cookingTime;
+  }
+});
+
+// The old single cookingTime reads and writes the total
+RecipeSchema.virtual('cookingTime')
+  .get(function() {
+    return this.totalTime;
+  })
+  .set(function(value) {
+    this.totalTime = value;
+  });
+
+// Keep totalTime the sum of the parts; clearing every part clears a derived total
+RecipeSchema.pre('validate', function(next) {
+  const parts = TIME_PARTS.map(field => this[field]).filter(value => typeof value === 'number');
+  if (parts.length) {
+    this.totalTime = parts.reduce((sum, value) => sum + value, 0);
+  } else if (TIME_PARTS.some(field => this.isModified(field)) && !this.isModified('totalTime')) {
+    this.totalTime = undefined;
+  }
+  next();
+});
+
+// Recompute nutrition whenever the ingredients or servings change
+RecipeSchema.pre('validate', function(next) {
+  if (this.isModified('ingredients') || this.isModified('servings') || !this.nutrition || !this.nutrition.computedAt) {
+    const { total, perServing, matchedIngredients, totalIngredients } = calculateNutrition(this);
+    this.nutrition = { total, perServing, matchedIngredients, totalIngredients, computedAt: new Date() };
+  }
+  next();
+});
+
+// Reclassify diets and allergens when the ingredients or the owner's overrides change
+RecipeSchema.pre('validate', function(next) {
+  if (this.isModified('ingredients') || this.isModified('dietary.overrides') || !this.dietary || !this.dietary.computedAt) {
+    const { diets, allergens } = applyOverrides(classifyRecipe(this), this.get('dietary.overrides'));
+    this.set('dietary.diets', diets);
+    this.set('dietary.allergens', allergens);
+    this.set('dietary.computedAt', new Date());
+  }
+  next();
+});
+
+// Tags given by an alias are stored as the tag it stands for ("veggie" -> "vegetarian")
+RecipeSchema.pre('validate', async function() {
+  if ((this.isNew || this.isModified('tags')) && this.tags && this.tags.length) {
+    this.tags = await Tag.resolve(this.tags);
+  }
+});
+
+// Refresh the words search and autocomplete look recipes up by
+RecipeSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('title') || this.isModified('ingredients') || this.isModified('tags')) {
+    this.searchTerms = searchTermsOf(this);
+  }
+  next();
 });
 
 // Update the updatedAt field before saving
@@ -51,11 +421,101 @@ RecipeSchema.pre('save', function(next) {
   next();
 });
 
+// Recipes in the trash are invisible to every query unless it opts in with
+// .setOptions({ withDeleted: true }) or filters on deletedAt itself
+RecipeSchema.pre(['find', 'findOne', 'countDocuments', 'findOneAndUpdate', 'updateMany'], function(next) {
+  if (!this.getOptions().withDeleted && this.getFilter().deletedAt === undefined) {
+    this.where({ deletedAt: null });
+  }
+  next();
+});
+
+RecipeSchema.pre('aggregate', function(next) {
+  if (!this.options.withDeleted) {
+    // Merge into a leading $match, which must stay first when it holds $text
+    const [first] = this.pipeline();
+    if (first && first.$match) {
+      if (first.$match.deletedAt === undefined) first.$match.deletedAt = null;
+    } else {
+      this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+  }
+  next();
+});
+
+// Nutrition search filters work on per-serving values
+RecipeSchema.index({ 'nutrition.perServing.calories': 1 });
+RecipeSchema.index({ 'dietary.diets': 1 });
+RecipeSchema.index({ averageRating: -1, ratingCount: -1 });
+RecipeSchema.index({ timesCooked: -1 });
+RecipeSchema.index({ totalTime: 1 });
+RecipeSchema.index({ searchTerms: 1 });
+RecipeSchema.index({ tags: 1 });
+RecipeSchema.index({ owner: 1, deletedAt: 1 });
+RecipeSchema.index({ 'forkedFrom.recipe': 1, createdAt: -1 });
+RecipeSchema.index({ visibility: 1 });
+RecipeSchema.index({ 'sharedWith.user': 1 });
+RecipeSchema.index({ 'shareLinks.tokenHash': 1 });
+
 // Create text index for search functionality
 RecipeSchema.index({ 
   title: 'text', 
-  ingredients: 'text', 
-  instructions: 'text' 
+  'ingredients.name': 'text', 
+  'instructions.text': 'text' 
 });
 
+RecipeSchema.statics.TIME_PARTS = TIME_PARTS;
+
+// Days a recipe stays in the trash before scripts/purgeTrash.js deletes it for good
+RecipeSchema.statics.TRASH_RETENTION_DAYS = 30;
+
+// When a recipe deleted at the given time will be purged
+RecipeSchema.statics.purgeDateFor = function(deletedAt) {
+  return new Date(deletedAt.getTime() + this.TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Flag the forks of the given recipes as having lost their source (or, with
+// null, as having it back after an undelete). Forks in the trash are included.
+RecipeSchema.statics.markForksOf = function(ids, sourceDeletedAt) {
+  return this.updateMany(
+    { 'forkedFrom.recipe': { $in: ids } },
+    { $set: { 'forkedFrom.sourceDeletedAt': sourceDeletedAt } },
+    { withDeleted: true }
+  );
+};
+
+// Fields the server maintains; clients can't set them on create or update.
+// Images and the cover only change through the image endpoints, since their
+// storage keys decide which files get deleted later
+RecipeSchema.statics.COMPUTED_FIELDS = [
+  'nutrition', 'dietary', 'averageRating', 'ratingCount', 'timesCooked', 'deletedAt', 'deletedBy', 'forkedFrom',
+  'searchTerms', 'sharedWith', 'shareLinks', 'images', 'coverImage'
+];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Creates a share link and returns it with its token; only the hash is
+// stored. Caller is responsible for saving the document (loaded with +shareLinks).
+RecipeSchema.methods.issueShareLink = function(user, days) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+  // Drop expired links while we're here
+  this.shareLinks = (this.shareLinks || []).filter(link => link.expiresAt > Date.now());
+  this.shareLinks.push({ tokenHash: hashToken(token), expiresAt, createdBy: user._id });
+
+  return { link: this.shareLinks[this.shareLinks.length - 1], token };
+};
+
+// The recipe a share link opens. Links stop working when they expire, are
+// revoked or the recipe is made private
+RecipeSchema.statics.findByShareToken = function(token) {
+  return this.findOne({
+    visibility: { $ne: 'private' },
+    shareLinks: {
+      $elemMatch: { tokenHash: hashToken(token), expiresAt: { $gt: new Date() } }
+    }
+  });
+};
+
 module.exports = mongoose.model('Recipe', RecipeSchema);
\ No newline at end of file
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const REVISION_ACTIONS = ['original', 'create', 'update', 'restore'];
+
+// One saved state of a recipe's content. Revision numbers start at 1 per recipe;
+// "original" is the state of a recipe that existed before history was kept.
+const RecipeRevisionSchema = new mongoose.Schema({
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe',
+    required: true
+  },
+  rev: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  action: {
+    type: String,
+    enum: REVISION_ACTIONS,
+    required: true
+  },
+  // The tracked fields as they were after this revision (see utils/recipeHistory.js)
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  changedFields: [String],
+  // Set when this revision brought back an earlier one
+  restoredFrom: Number,
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RecipeRevisionSchema.index({ recipe: 1, rev: -1 }, { unique: true });
+
+RecipeRevisionSchema.statics.REVISION_ACTIONS = REVISION_ACTIONS;
+
+module.exports = mongoose.model('RecipeRevision', RecipeRevisionSchema);
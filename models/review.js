@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+const REVIEW_STATUSES = ['published', 'hidden'];
+// A review flagged by this many users is hidden until a moderator looks at it
+const AUTO_HIDE_FLAGS = 3;
+
+const FlagSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxLength: [200, 'Reason cannot be more than 200 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const ReviewSchema = new mongoose.Schema({
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe',
+    required: [true, 'Review recipe is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Review author is required']
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number of stars'
+    }
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxLength: [2000, 'Comment cannot be more than 2000 characters']
+  },
+  status: {
+    type: String,
+    enum: REVIEW_STATUSES,
+    default: 'published'
+  },
+  flags: [FlagSchema],
+  // Set when a moderator (or enough flags) hides the review
+  moderation: {
+    reason: String,
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    moderatedAt: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One review per user per recipe
+ReviewSchema.index({ recipe: 1, user: 1 }, { unique: true });
+ReviewSchema.index({ recipe: 1, status: 1, createdAt: -1 });
+
+/**
+ * Recalculate averageRating and ratingCount on a recipe from its published reviews.
+ */
+ReviewSchema.statics.syncRecipeRating = async function(recipeId) {
+  const [stats] = await this.aggregate([
+    { $match: { recipe: new mongoose.Types.ObjectId(recipeId), status: 'published' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  await mongoose.model('Recipe').updateOne({ _id: recipeId }, {
+    $set: {
+      averageRating: stats ? Math.round(stats.average * 10) / 10 : 0,
+      ratingCount: stats ? stats.count : 0
+    }
+  });
+};
+
+// Update the updatedAt field before saving
+ReviewSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Keep the recipe's aggregates in step with every saved or deleted review
+ReviewSchema.post('save', async function() {
+  await this.constructor.syncRecipeRating(this.recipe);
+});
+
+ReviewSchema.post('deleteOne', { document: true, query: false }, async function() {
+  await this.constructor.syncRecipeRating(this.recipe);
+});
+
+ReviewSchema.statics.REVIEW_STATUSES = REVIEW_STATUSES;
+ReviewSchema.statics.AUTO_HIDE_FLAGS = AUTO_HIDE_FLAGS;
+
+module.exports = mongoose.model('Review', ReviewSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { CATEGORIES } = require('../utils/shoppingList');
+
+const ShoppingItemSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Item name is required'],
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    min: [0, 'Quantity cannot be negative']
+  },
+  unit: {
+    type: String,
+    trim: true
+  },
+  category: {
+    type: String,
+    enum: CATEGORIES,
+    default: 'other'
+  },
+  optional: {
+    type: Boolean,
+    default: false
+  },
+  display: {
+    type: String,
+    trim: true
+  },
+  // Recipes that contributed to this item
+  recipes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe'
+  }],
+  checked: {
+    type: Boolean,
+    default: false
+  }
+});
+
+const ShoppingListSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    default: 'Shopping list',
+    maxLength: [100, 'Name cannot be more than 100 characters']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Shopping list owner is required'],
+    index: true
+  },
+  // The recipes and serving counts the list was generated from
+  sources: [{
+    _id: false,
+    recipe: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Recipe'
+    },
+    servings: Number
+  }],
+  items: [ShoppingItemSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+ShoppingListSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('ShoppingList', ShoppingListSchema);
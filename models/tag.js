@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const { normalizeTag, buildTaxonomy } = require('../utils/tagTaxonomy');
+
+const TAG_MAX_LENGTH = 50;
+
+// A tag definition. Recipes keep their tags as strings; defining a tag lets
+// other spellings resolve to it and places it in the category hierarchy.
+// Tags used on recipes don't need a definition.
+const TagSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tag name is required'],
+    set: normalizeTag,
+    maxLength: [TAG_MAX_LENGTH, `Tag names cannot be more than ${TAG_MAX_LENGTH} characters`]
+  },
+  // Other spellings ("veg", "veggie") that mean this tag
+  aliases: [{
+    type: String,
+    set: normalizeTag,
+    maxLength: [TAG_MAX_LENGTH, `Aliases cannot be more than ${TAG_MAX_LENGTH} characters`]
+  }],
+  // The broader category this tag belongs to
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tag',
+    default: null
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxLength: [200, 'Description cannot be more than 200 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+TagSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+TagSchema.index({ name: 1 }, { unique: true });
+// Not unique: a unique multikey index would clash on tags without aliases.
+// tagController checks that an alias belongs to one tag only
+TagSchema.index({ aliases: 1 });
+TagSchema.index({ parent: 1 });
+
+// Every definition, indexed for alias, parent and child lookups
+TagSchema.statics.loadTaxonomy = async function() {
+  return buildTaxonomy(await this.find().select('name aliases parent').lean());
+};
+
+// Replace aliases with the tags they stand for, dropping duplicates
+TagSchema.statics.resolve = async function(names) {
+  const normalized = names.map(normalizeTag).filter(Boolean);
+  const defined = await this.find({ aliases: { $in: normalized } }).select('name aliases').lean();
+
+  const aliasOf = new Map();
+  defined.forEach(tag => tag.aliases.forEach(alias => aliasOf.set(alias, tag.name)));
+  return [...new Set(normalized.map(name => aliasOf.get(name) || name))];
+};
+
+// The tags a search for these names should match: each tag (an alias counts
+// as its tag), every tag below it, and their aliases for recipes still
+// tagged with an old spelling
+TagSchema.statics.expand = async function(names) {
+  const taxonomy = await this.loadTaxonomy();
+  const expanded = new Set();
+
+  names.map(normalizeTag).filter(Boolean).forEach(name => {
+    expanded.add(name);
+    const tag = taxonomy.get(taxonomy.canonical(name));
+    if (!tag) return;
+
+    [tag, ...taxonomy.descendantsOf(tag)].forEach(match => {
+      expanded.add(match.name);
+      (match.aliases || []).forEach(alias => expanded.add(alias));
+    });
+  });
+
+  return [...expanded];
+};
+
+TagSchema.statics.TAG_MAX_LENGTH = TAG_MAX_LENGTH;
+
+module.exports = mongoose.model('Tag', TagSchema);
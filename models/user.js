@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const authConfig = require('../config/auth');
+
+const RefreshTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const UserSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxLength: [50, 'Name cannot be more than 50 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
+  },
+  password: {
+    type: String,
+    required: [true, 'Password is required'],
+    minLength: [8, 'Password must be at least 8 characters'],
+    select: false // Never returned unless explicitly requested
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  refreshTokens: {
+    type: [RefreshTokenSchema],
+    select: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Hash password and update the updatedAt field before saving
+UserSchema.pre('save', async function(next) {
+  this.updatedAt = Date.now();
+
+  if (!this.isModified('password')) {
+    return next();
+  }
+
+  try {
+    this.password = await bcrypt.hash(this.password, authConfig.bcryptRounds);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+UserSchema.methods.matchPassword = function(candidate) {
+  return bcrypt.compare(candidate, this.password);
+};
+
+UserSchema.methods.generateAccessToken = function() {
+  return jwt.sign(
+    { id: this._id, role: this.role },
+    authConfig.jwtSecret,
+    { expiresIn: authConfig.accessTokenExpiresIn }
+  );
+};
+
+// Creates an opaque refresh token; only its hash is stored on the user.
+// Caller is responsible for saving the document.
+UserSchema.methods.issueRefreshToken = function() {
+  const token = crypto.randomBytes(40).toString('hex');
+  const expiresAt = new Date(Date.now() + authConfig.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+  // Drop expired tokens while we're here
+  this.refreshTokens = (this.refreshTokens || []).filter(t => t.expiresAt > Date.now());
+  this.refreshTokens.push({ tokenHash: hashToken(token), expiresAt });
+
+  return token;
+};
+
+UserSchema.methods.revokeRefreshToken = function(token) {
+  const tokenHash = hashToken(token);
+  this.refreshTokens = (this.refreshTokens || []).filter(t => t.tokenHash !== tokenHash);
+};
+
+UserSchema.statics.findByRefreshToken = function(token) {
+  return this.findOne({
+    refreshTokens: {
+      $elemMatch: { tokenHash: hashToken(token), expiresAt: { $gt: new Date() } }
+    }
+  }).select('+refreshTokens');
+};
+
+// Strip secrets when serialising
+UserSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.refreshTokens;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  register,
+  login,
+  refreshToken,
+  logout,
+  getMe
+} = require('../controllers/authController');
+const {
+  validateRegister,
+  validateLogin,
+  validateRefreshToken
+} = require('../middleware/validation');
+const { protect } = require('../middleware/auth');
+
+router.post('/register', validateRegister, register);
+router.post('/login', validateLogin, login);
+router.post('/refresh', validateRefreshToken, refreshToken);
+router.post('/logout', validateRefreshToken, logout);
+router.get('/me', protect, getMe);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCollections,
+  getCollection,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  addRecipeToCollection,
+  removeRecipeFromCollection,
+  reorderCollectionRecipes
+} = require('../controllers/collectionController');
+const {
+  validateCollection,
+  validateCollectionRecipe,
+  validateCollectionOrder
+} = require('../middleware/validation');
+const { protect, optionalAuth } = require('../middleware/auth');
+
+router.route('/')
+  .get(protect, getCollections)
+  .post(protect, validateCollection, createCollection);
+
+router.route('/:id')
+  .get(optionalAuth, getCollection)
+  .put(protect, validateCollection, updateCollection)
+  .delete(protect, deleteCollection);
+
+router.route('/:id/recipes')
+  .post(protect, validateCollectionRecipe, addRecipeToCollection)
+  .put(protect, validateCollectionOrder, reorderCollectionRecipes);
+
+router.delete('/:id/recipes/:recipeId', protect, removeRecipeFromCollection);
+
+module.exports = router;
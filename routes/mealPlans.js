@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getMealPlans,
+  addMeal,
+  copyWeek,
+  clearMeals,
+  removeMeal
+} = require('../controllers/mealPlanController');
+const {
+  validateMeal,
+  validateDateRange,
+  validateCopyWeek
+} = require('../middleware/validation');
+const { protect } = require('../middleware/auth');
+
+// Meal plans are always personal
+router.use(protect);
+
+router.post('/copy-week', validateCopyWeek, copyWeek);
+router.delete('/meals/:mealId', removeMeal);
+
+router.route('/')
+  .get(validateDateRange, getMealPlans)
+  .post(validateMeal, addMeal)
+  .delete(validateDateRange, clearMeals);
+
+module.exports = router;
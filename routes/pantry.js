@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPantry,
+  replacePantry,
+  addPantryItems,
+  removePantryItem
+} = require('../controllers/pantryController');
+const {
+  validatePantry,
+  validatePantryItems
+} = require('../middleware/validation');
+const { protect } = require('../middleware/auth');
+
+// A pantry is always personal
+router.use(protect);
+
+router.route('/')
+  .get(getPantry)
+  .put(validatePantry, replacePantry);
+
+router.post('/items', validatePantryItems, addPantryItems);
+router.delete('/items/:itemId', removePantryItem);
+
+module.exports = router;
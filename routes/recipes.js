@@ -3,24 +3,184 @@ const router = express.Router();
 const {
   getAllRecipes,
   getRecipe,
+  getSharedRecipe,
+  scaleRecipe,
+  getRecipeNutrition,
+  getRecipeSteps,
+  getRecipeDietary,
+  updateRecipeDietary,
   createRecipe,
   updateRecipe,
+  patchRecipe,
   deleteRecipe,
-  searchRecipes
+  searchRecipes,
+  suggestRecipes,
+  getRecipeStats,
+  importRecipe,
+  exportRecipes,
+  printRecipe
 } = require('../controllers/recipeController');
-const { validateRecipe } = require('../middleware/validation');
+const {
+  uploadRecipeImages,
+  updateRecipeImage,
+  deleteRecipeImage
+} = require('../controllers/imageController');
+const {
+  bulkCreateRecipes,
+  bulkUpdateRecipes,
+  bulkDeleteRecipes
+} = require('../controllers/bulkController');
+const { matchRecipes } = require('../controllers/pantryController');
+const {
+  getRecipeHistory,
+  getRevision,
+  getRevisionDiff,
+  restoreRevision,
+  getTrash,
+  undeleteRecipe,
+  purgeRecipe,
+  emptyTrash
+} = require('../controllers/historyController');
+const { forkRecipe, getForks, getForkDiff } = require('../controllers/forkController');
+const {
+  getSharing,
+  setVisibility,
+  shareRecipe,
+  unshareRecipe,
+  createShareLink,
+  revokeShareLink
+} = require('../controllers/sharingController');
+const {
+  getRecipeReviews,
+  createReview,
+  logCook,
+  getCookLogs,
+  deleteCookLog
+} = require('../controllers/reviewController');
+const {
+  validateRecipe,
+  validateServingsQuery,
+  validateScale,
+  validateUnitsQuery,
+  validateSearchQuery,
+  validateSuggest,
+  validateNutritionQuery,
+  validateTimeQuery,
+  validateDietQuery,
+  validateRatingQuery,
+  validateDietaryOverrides,
+  validateCollectionQuery,
+  validateListQuery,
+  validateStatsQuery,
+  validateImageUpload,
+  validateImageUpdate,
+  validateImport,
+  validateExport,
+  validatePrint,
+  validateBulkCreate,
+  validateBulkUpdate,
+  validateBulkDelete,
+  validateMatch,
+  validateReview,
+  validateReviewQuery,
+  validateCookLog,
+  validateRevision,
+  validateFork,
+  validateForkQuery,
+  validateVisibility,
+  validateShare,
+  validateShareLink
+} = require('../middleware/validation');
+const { protect, optionalAuth } = require('../middleware/auth');
+const { uploadImages, uploadCsv } = require('../middleware/upload');
+
+// PATCH bodies come as merge patches or JSON Patch documents; the app-wide
+// parser only handles application/json
+const parsePatch = express.json({
+  type: ['application/merge-patch+json', 'application/json-patch+json'],
+  limit: '10mb'
+});
+
+// Search and stats routes (must come before /:id route); signed-in users
+// also see their own and shared recipes
+router.get('/search', optionalAuth, validateListQuery, validateSearchQuery, validateUnitsQuery, validateNutritionQuery, validateTimeQuery, validateDietQuery, validateRatingQuery, searchRecipes);
+router.get('/stats', optionalAuth, validateStatsQuery, getRecipeStats);
+router.get('/suggest', optionalAuth, validateSuggest, suggestRecipes);
+router.get('/export', optionalAuth, validateExport, validateSearchQuery, validateNutritionQuery, validateTimeQuery, validateDietQuery, validateRatingQuery, exportRecipes);
+router.post('/import', protect, validateImport, importRecipe);
+router.post('/match', optionalAuth, validateMatch, matchRecipes);
+
+// Batch routes (also before /:id)
+router.route('/bulk')
+  .post(protect, uploadCsv, validateBulkCreate, bulkCreateRecipes)
+  .patch(protect, validateBulkUpdate, bulkUpdateRecipes)
+  .delete(protect, validateBulkDelete, bulkDeleteRecipes);
+
+// Share links open a recipe without an account (also before /:id)
+router.get('/shared/:token', validateServingsQuery, validateUnitsQuery, getSharedRecipe);
 
-// Search route (must come before /:id route)
-router.get('/search', searchRecipes);
+// Trash (also before /:id)
+router.route('/trash')
+  .get(protect, getTrash)
+  .delete(protect, emptyTrash);
+router.delete('/trash/:id', protect, purgeRecipe);
 
 // CRUD routes
 router.route('/')
-  .get(getAllRecipes)
-  .post(validateRecipe, createRecipe);
+  .get(optionalAuth, validateListQuery, validateCollectionQuery, validateRatingQuery, getAllRecipes)
+  .post(protect, validateRecipe, createRecipe);
+
+router.get('/:id/scale', optionalAuth, validateScale, validateUnitsQuery, scaleRecipe);
+router.get('/:id/nutrition', optionalAuth, validateServingsQuery, getRecipeNutrition);
+router.get('/:id/steps', optionalAuth, validateServingsQuery, validateUnitsQuery, getRecipeSteps);
+
+router.route('/:id/dietary')
+  .get(optionalAuth, getRecipeDietary)
+  .patch(protect, validateDietaryOverrides, updateRecipeDietary);
+
+// Reviews and "I made this" logs
+router.route('/:id/reviews')
+  .get(optionalAuth, validateReviewQuery, getRecipeReviews)
+  .post(protect, validateReview, createReview);
+
+router.route('/:id/cooked')
+  .get(protect, getCookLogs)
+  .post(protect, validateCookLog, logCook);
+router.delete('/:id/cooked/:logId', protect, deleteCookLog);
+
+// Revision history and undelete
+router.get('/:id/history', protect, getRecipeHistory);
+router.get('/:id/history/:rev', protect, validateRevision, getRevision);
+router.get('/:id/history/:rev/diff', protect, validateRevision, getRevisionDiff);
+router.post('/:id/history/:rev/restore', protect, validateRevision, restoreRevision);
+router.post('/:id/undelete', protect, undeleteRecipe);
+
+// Forks ("remixes") and their lineage
+router.post('/:id/fork', protect, validateFork, forkRecipe);
+router.get('/:id/fork/diff', optionalAuth, getForkDiff);
+router.get('/:id/forks', optionalAuth, validateForkQuery, getForks);
+
+// Visibility, sharing with users and share links (owner only)
+router.get('/:id/sharing', protect, getSharing);
+router.put('/:id/visibility', protect, validateVisibility, setVisibility);
+router.post('/:id/shares', protect, validateShare, shareRecipe);
+router.delete('/:id/shares/:userId', protect, unshareRecipe);
+router.post('/:id/share-links', protect, validateShareLink, createShareLink);
+router.delete('/:id/share-links/:linkId', protect, revokeShareLink);
+
+router.get('/:id/print', optionalAuth, validatePrint, validateServingsQuery, validateUnitsQuery, printRecipe);
 
 router.route('/:id')
-  .get(getRecipe)
-  .put(validateRecipe, updateRecipe)
-  .delete(deleteRecipe);
+  .get(optionalAuth, validateServingsQuery, validateUnitsQuery, getRecipe)
+  .put(protect, validateRecipe, updateRecipe)
+  .patch(protect, parsePatch, patchRecipe)
+  .delete(protect, deleteRecipe);
+
+// Image routes
+router.post('/:id/images', protect, uploadImages, validateImageUpload, uploadRecipeImages);
+
+router.route('/:id/images/:imageId')
+  .patch(protect, validateImageUpdate, updateRecipeImage)
+  .delete(protect, deleteRecipeImage);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const {
+  updateReview,
+  deleteReview,
+  flagReview,
+  getModerationQueue,
+  moderateReview
+} = require('../controllers/reviewController');
+const {
+  validateReviewUpdate,
+  validateReviewFlag,
+  validateModerationQuery,
+  validateModeration
+} = require('../middleware/validation');
+const { protect, authorize } = require('../middleware/auth');
+
+// Reviews are listed and created under /api/recipes/:id/reviews
+router.use(protect);
+
+// Moderation (must come before /:id)
+router.get('/moderation', authorize('admin'), validateModerationQuery, getModerationQueue);
+
+router.route('/:id')
+  .patch(validateReviewUpdate, updateReview)
+  .delete(deleteReview);
+
+router.post('/:id/flag', validateReviewFlag, flagReview);
+router.patch('/:id/moderation', authorize('admin'), validateModeration, moderateReview);
+
+module.exports = router;
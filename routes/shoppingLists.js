@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getShoppingLists,
+  getShoppingList,
+  createShoppingList,
+  updateShoppingItem,
+  deleteShoppingList
+} = require('../controllers/shoppingListController');
+const {
+  validateShoppingList,
+  validateShoppingItem
+} = require('../middleware/validation');
+const { protect } = require('../middleware/auth');
+
+// Shopping lists are always personal
+router.use(protect);
+
+router.route('/')
+  .get(getShoppingLists)
+  .post(validateShoppingList, createShoppingList);
+
+router.route('/:id')
+  .get(getShoppingList)
+  .delete(deleteShoppingList);
+
+router.patch('/:id/items/:itemId', validateShoppingItem, updateShoppingItem);
+
+module.exports = router;
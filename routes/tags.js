@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTags,
+  getTagTree,
+  getTag,
+  createTag,
+  updateTag,
+  renameTag,
+  mergeTags
+} = require('../controllers/tagController');
+const {
+  validateTag,
+  validateTagUpdate,
+  validateTagRename,
+  validateTagMerge,
+  validateTagQuery
+} = require('../middleware/validation');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
+
+router.route('/')
+  .get(optionalAuth, validateTagQuery, getTags)
+  .post(protect, authorize('admin'), validateTag, createTag);
+
+router.get('/tree', optionalAuth, getTagTree);
+router.post('/merge', protect, authorize('admin'), validateTagMerge, mergeTags);
+
+router.route('/:name')
+  .get(optionalAuth, getTag)
+  .patch(protect, authorize('admin'), validateTagUpdate, updateTag);
+
+router.post('/:name/rename', protect, authorize('admin'), validateTagRename, renameTag);
+
+module.exports = router;
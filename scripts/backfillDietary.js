@@ -0,0 +1,45 @@
+// One-off backfill: classify diets and allergens for recipes saved before
+// classification existed, or reclassify everything after the keyword lists
+// change. Owner overrides are kept and re-applied.
+//
+// Usage: npm run backfill:dietary [-- --all]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Recipe = require('../models/recipe');
+const { classifyRecipe, applyOverrides } = require('../utils/dietClassifier');
+
+const backfill = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const reclassifyAll = process.argv.includes('--all');
+  console.log(`Connected, classifying ${reclassifyAll ? 'all' : 'unclassified'} recipes...`);
+
+  const filter = reclassifyAll ? {} : { 'dietary.computedAt': { $exists: false } };
+  const cursor = Recipe.find(filter).select('ingredients dietary.overrides').cursor();
+
+  let updated = 0;
+  for await (const recipe of cursor) {
+    const { diets, allergens } = applyOverrides(classifyRecipe(recipe), recipe.get('dietary.overrides'));
+
+    // Skip the save hooks so updatedAt keeps meaning "edited by a person"
+    await Recipe.updateOne(
+      { _id: recipe._id },
+      { $set: { 'dietary.diets': diets, 'dietary.allergens': allergens, 'dietary.computedAt': new Date() } }
+    );
+    updated++;
+  }
+
+  console.log(`✅ Classified ${updated} recipe(s)`);
+
+  // Adds the dietary index used by the diet filter
+  await Recipe.syncIndexes();
+};
+
+backfill()
+  .then(() => mongoose.connection.close())
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Dietary backfill failed:', error);
+    process.exit(1);
+  });
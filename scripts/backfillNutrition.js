@@ -0,0 +1,44 @@
+// One-off backfill: compute nutrition for recipes saved before it existed,
+// or recompute everything after the nutrient data changes.
+//
+// Usage: npm run backfill:nutrition [-- --all]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Recipe = require('../models/recipe');
+const { calculateNutrition } = require('../utils/nutrition');
+
+const backfill = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const recomputeAll = process.argv.includes('--all');
+  console.log(`Connected, computing nutrition for ${recomputeAll ? 'all' : 'new'} recipes...`);
+
+  const filter = recomputeAll ? {} : { 'nutrition.computedAt': { $exists: false } };
+  const cursor = Recipe.find(filter).select('ingredients servings').cursor();
+
+  let updated = 0;
+  for await (const recipe of cursor) {
+    const { total, perServing, matchedIngredients, totalIngredients } = calculateNutrition(recipe);
+
+    // Skip the save hooks so updatedAt keeps meaning "edited by a person"
+    await Recipe.updateOne(
+      { _id: recipe._id },
+      { $set: { nutrition: { total, perServing, matchedIngredients, totalIngredients, computedAt: new Date() } } }
+    );
+    updated++;
+  }
+
+  console.log(`✅ Computed nutrition for ${updated} recipe(s)`);
+
+  // Adds the per-serving nutrition index used by the search filters
+  await Recipe.syncIndexes();
+};
+
+backfill()
+  .then(() => mongoose.connection.close())
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Nutrition backfill failed:', error);
+    process.exit(1);
+  });
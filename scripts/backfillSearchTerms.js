@@ -0,0 +1,43 @@
+// One-off backfill: store the search terms (title, ingredient and tag words)
+// that typo correction and autocomplete use, for recipes saved before they
+// existed, and build their indexes.
+//
+// Usage: npm run backfill:search [-- --all]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Recipe = require('../models/recipe');
+const { searchTermsOf } = require('../utils/searchTerms');
+
+const backfill = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const refreshAll = process.argv.includes('--all');
+  console.log(`Connected, indexing ${refreshAll ? 'all' : 'unindexed'} recipes...`);
+
+  // Recipes in the trash are included so they are searchable once restored
+  const filter = refreshAll ? {} : { searchTerms: { $exists: false } };
+  const cursor = Recipe.find(filter)
+    .setOptions({ withDeleted: true })
+    .select('title ingredients tags')
+    .cursor();
+
+  let updated = 0;
+  for await (const recipe of cursor) {
+    // A direct update, so the recipe doesn't look edited
+    await Recipe.updateOne({ _id: recipe._id }, { $set: { searchTerms: searchTermsOf(recipe) } });
+    updated++;
+  }
+
+  console.log(`✅ Indexed ${updated} recipe(s)`);
+
+  await Recipe.syncIndexes();
+};
+
+backfill()
+  .then(() => mongoose.connection.close())
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Search terms backfill failed:', error);
+    process.exit(1);
+  });
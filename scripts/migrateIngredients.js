@@ -0,0 +1,43 @@
+// One-off migration: convert legacy string ingredients into structured
+// ingredient objects and rebuild the text index on ingredients.name.
+//
+// Usage: npm run migrate:ingredients
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Recipe = require('../models/recipe');
+const { parseIngredient } = require('../utils/ingredientParser');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('Connected, migrating ingredients...');
+
+  // Work on the raw collection so Mongoose's load-time conversion doesn't hide legacy data
+  const collection = Recipe.collection;
+  const cursor = collection.find({ ingredients: { $type: 'string' } });
+
+  let migrated = 0;
+  for await (const doc of cursor) {
+    const ingredients = doc.ingredients.map(ingredient =>
+      typeof ingredient === 'string' ? parseIngredient(ingredient) : ingredient
+    );
+    await collection.updateOne({ _id: doc._id }, { $set: { ingredients } });
+    migrated++;
+  }
+
+  console.log(`✅ Migrated ${migrated} recipe(s)`);
+
+  // The old text index covered the string array; replace it with the schema's indexes
+  const dropped = await Recipe.syncIndexes();
+  if (dropped.length) {
+    console.log(`Dropped outdated indexes: ${dropped.join(', ')}`);
+  }
+};
+
+migrate()
+  .then(() => mongoose.connection.close())
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Ingredient migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,45 @@
+// One-off migration: split legacy single-string instructions into steps
+// (with section headings and timers read from the text) and rebuild the
+// text index on instructions.text.
+//
+// Usage: npm run migrate:instructions
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Recipe = require('../models/recipe');
+const { normalizeInstructions } = require('../utils/instructionParser');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('Connected, migrating instructions...');
+
+  // Work on the raw collection so Mongoose's load-time conversion doesn't hide
+  // legacy data; recipes in the trash are migrated too
+  const collection = Recipe.collection;
+  const cursor = collection.find({ instructions: { $type: 'string' } });
+
+  let migrated = 0;
+  for await (const doc of cursor) {
+    await collection.updateOne(
+      { _id: doc._id },
+      { $set: { instructions: normalizeInstructions(doc.instructions) } }
+    );
+    migrated++;
+  }
+
+  console.log(`✅ Migrated ${migrated} recipe(s)`);
+
+  // The old text index covered the instructions string; replace it with the schema's indexes
+  const dropped = await Recipe.syncIndexes();
+  if (dropped.length) {
+    console.log(`Dropped outdated indexes: ${dropped.join(', ')}`);
+  }
+};
+
+migrate()
+  .then(() => mongoose.connection.close())
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Instruction migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,38 @@
+// One-off migration: move the legacy single cookingTime into totalTime so
+// time filters, stats and meal plan summaries see it, and build the
+// totalTime index. prep, cook and rest stay unknown until owners fill them in.
+//
+// Usage: npm run migrate:times
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Recipe = require('../models/recipe');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('Connected, migrating cooking times...');
+
+  // Raw collection, trash included; recipes that already have a totalTime
+  // just lose the old field
+  const collection = Recipe.collection;
+  const moved = await collection.updateMany(
+    { cookingTime: { $exists: true }, totalTime: { $exists: false } },
+    { $rename: { cookingTime: 'totalTime' } }
+  );
+  const cleared = await collection.updateMany(
+    { cookingTime: { $exists: true } },
+    { $unset: { cookingTime: '' } }
+  );
+
+  console.log(`✅ Moved ${moved.modifiedCount} cooking time(s) to totalTime, cleared ${cleared.modifiedCount} duplicate(s)`);
+
+  await Recipe.syncIndexes();
+};
+
+migrate()
+  .then(() => mongoose.connection.close())
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Time migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,47 @@
+// Permanently delete recipes that have been in the trash longer than
+// Recipe.TRASH_RETENTION_DAYS, with their reviews, history, images and
+// collection/meal plan entries. Meant to run daily from cron.
+//
+// Usage: npm run purge:trash [-- --dry-run]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Recipe = require('../models/recipe');
+const { removeRecipeReferences } = require('../utils/recipeReferences');
+
+const BATCH_SIZE = 500;
+
+const purge = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const dryRun = process.argv.includes('--dry-run');
+  const cutoff = new Date(Date.now() - Recipe.TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  console.log(`Connected, purging recipes deleted before ${cutoff.toISOString()}${dryRun ? ' (dry run)' : ''}...`);
+
+  const filter = { deletedAt: { $ne: null, $lte: cutoff } };
+  if (dryRun) {
+    console.log(`Would purge ${await Recipe.countDocuments(filter)} recipe(s)`);
+    return;
+  }
+
+  let purged = 0;
+  let batch;
+  do {
+    batch = await Recipe.find(filter).select('images').limit(BATCH_SIZE);
+    if (!batch.length) break;
+
+    await Recipe.deleteMany({ _id: { $in: batch.map(recipe => recipe._id) } });
+    await removeRecipeReferences(batch);
+    purged += batch.length;
+  } while (batch.length === BATCH_SIZE);
+
+  console.log(`✅ Purged ${purged} recipe(s)`);
+};
+
+purge()
+  .then(() => mongoose.connection.close())
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Trash purge failed:', error);
+    process.exit(1);
+  });
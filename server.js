@@ -6,6 +6,7 @@ const morgan = require('morgan');
 require('dotenv').config();
 
 const connectDB = require('./config/database');
+const storageConfig = require('./config/storage');
 
 console.log('Starting Recipe Organizer API...');
 
@@ -30,8 +31,9 @@ const corsOptions = {
       ]
     : ['http://localhost:3000', 'http://localhost:3002', 'http://127.0.0.1:3000'],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'If-Match', 'If-None-Match'],
+  exposedHeaders: ['ETag']
 };
 
 app.use(cors(corsOptions));
@@ -47,8 +49,22 @@ if (process.env.NODE_ENV === 'development') {
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Serve uploaded images when they're stored on local disk
+if (storageConfig.driver === 'local') {
+  app.use(storageConfig.local.publicPath, express.static(storageConfig.local.dir, {
+    maxAge: '7d'
+  }));
+}
+
 // API Routes
+app.use('/api/auth', require('./routes/auth'));
 app.use('/api/recipes', require('./routes/recipes'));
+app.use('/api/collections', require('./routes/collections'));
+app.use('/api/meal-plans', require('./routes/mealPlans'));
+app.use('/api/shopping-lists', require('./routes/shoppingLists'));
+app.use('/api/pantry', require('./routes/pantry'));
+app.use('/api/reviews', require('./routes/reviews'));
+app.use('/api/tags', require('./routes/tags'));
 
 // Root route
 app.get('/', (req, res) => {
@@ -59,8 +75,20 @@ app.get('/', (req, res) => {
     environment: process.env.NODE_ENV,
     endpoints: {
       health: '/api/health',
+      auth: '/api/auth',
       recipes: '/api/recipes',
-      search: '/api/recipes/search'
+      collections: '/api/collections',
+      mealPlans: '/api/meal-plans',
+      shoppingLists: '/api/shopping-lists',
+      pantry: '/api/pantry',
+      reviews: '/api/reviews',
+      tags: '/api/tags',
+      search: '/api/recipes/search',
+      suggest: '/api/recipes/suggest',
+      stats: '/api/recipes/stats',
+      bulk: '/api/recipes/bulk',
+      trash: '/api/recipes/trash',
+      match: '/api/recipes/match'
     },
     documentation: {
       postman: 'Import the API collection for testing',
@@ -96,59 +124,604 @@ app.get('/api/docs', (req, res) => {
     title: 'Recipe Organizer API Documentation',
     version: '1.0.0',
     baseURL: `${req.protocol}://${req.get('host')}`,
+    authentication: 'Send the access token as "Authorization: Bearer <token>" on private routes',
+    visibility: 'Public recipes are open to everyone; unlisted ones only open with a share link; private ones only for the owner. Recipes shared with you (viewer or editor) open for you too. Lists, search, suggest, stats, export and tag counts cover only recipes you may open; unlisted recipes appear there only for their owner and the users they are shared with',
     endpoints: [
+      {
+        method: 'POST',
+        path: '/api/auth/register',
+        description: 'Register a new user and receive tokens',
+        body: '{ name, email, password }'
+      },
+      {
+        method: 'POST',
+        path: '/api/auth/login',
+        description: 'Log in and receive an access token and refresh token',
+        body: '{ email, password }'
+      },
+      {
+        method: 'POST',
+        path: '/api/auth/refresh',
+        description: 'Exchange a refresh token for a new token pair',
+        body: '{ refreshToken }'
+      },
+      {
+        method: 'POST',
+        path: '/api/auth/logout',
+        description: 'Revoke a refresh token',
+        body: '{ refreshToken }'
+      },
+      {
+        method: 'GET',
+        path: '/api/auth/me',
+        description: 'Get the current user (requires auth)'
+      },
       {
         method: 'GET',
         path: '/api/recipes',
-        description: 'Get all recipes (paginated)',
+        description: 'Get the recipes you may see, by page (with totals) or by cursor for infinite scroll (no totals; follow pagination.nextCursor)',
         parameters: {
           page: 'number (optional, default: 1)',
-          limit: 'number (optional, default: 10)'
+          cursor: 'string (optional, empty for the first page, then pagination.nextCursor; replaces page)',
+          limit: 'number (optional, default: 10, capped at 50)',
+          fields: 'comma-separated fields to return, e.g. title,tags,totalTime (optional, _id is always included)',
+          collection: 'collection ID (optional, only recipes in that collection)',
+          shared: 'true (optional, only recipes shared with you)',
+          minRating: 'number 0-5 (optional, minimum average stars)',
+          tags: 'comma-separated tags (optional; aliases and child categories match too)',
+          sort: 'newest|rating|most-cooked|title|cookingTime|servings|updatedAt, optionally with :asc or :desc (optional, default: newest)'
         }
       },
       {
         method: 'GET',
         path: '/api/recipes/:id',
-        description: 'Get a single recipe by ID'
+        description: 'Get a single recipe by ID; 404 for private and unlisted recipes you may not see. The ETag header names its version (send it back in If-Match when editing)',
+        parameters: {
+          servings: 'number (optional, rescales ingredient quantities)',
+          units: 'metric|us (optional, converts ingredient amounts and temperatures)',
+          from: 'metric|us (optional, the system the recipe is written in for temperatures like "350°"; default: what its ingredients use)'
+        }
+      },
+      {
+        method: 'GET',
+        path: '/api/recipes/:id/scale',
+        description: 'Get a recipe with ingredient quantities rescaled to a serving count',
+        parameters: {
+          servings: 'number (required, target servings)',
+          units: 'metric|us (optional)'
+        }
+      },
+      {
+        method: 'GET',
+        path: '/api/recipes/:id/nutrition',
+        description: 'Calories, protein, fat, carbs, fibre, sodium etc. per serving and in total, estimated from the bundled nutrient database, with a per-ingredient breakdown',
+        parameters: {
+          servings: 'number (optional, total for this many servings)'
+        }
+      },
+      {
+        method: 'GET',
+        path: '/api/recipes/:id/steps',
+        description: 'Cook mode: numbered steps with section headings, timers, the ingredients each step uses and its images',
+        parameters: {
+          servings: 'number (optional, rescales ingredient quantities)',
+          units: 'metric|us (optional, converts ingredient amounts and temperatures)',
+          from: 'metric|us (optional, the system the recipe is written in for temperatures like "350°"; default: what its ingredients use)'
+        }
+      },
+      {
+        method: 'GET',
+        path: '/api/recipes/:id/dietary',
+        description: 'Dietary flags and allergen warnings derived from the ingredients, with the ingredients that triggered them and any owner overrides'
+      },
+      {
+        method: 'PATCH',
+        path: '/api/recipes/:id/dietary',
+        description: 'Override computed dietary flags or allergens (requires auth, owner or editor)',
+        body: '{ overrides: { vegan: true, soy: false, gluten: null (clears) }, reset?: boolean }'
+      },
+      {
+        method: 'GET',
+        path: '/api/recipes/:id/reviews',
+        description: 'Published reviews of a recipe with the average rating and a star breakdown; logged-in users also get their own review as "mine"',
+        parameters: {
+          sort: 'newest|highest|lowest (optional, default: newest)',
+          page: 'number (optional)',
+          limit: 'number (optional, max 50)'
+        }
+      },
+      {
+        method: 'POST',
+        path: '/api/recipes/:id/reviews',
+        description: 'Review a recipe; one review per user, not on your own recipes (requires auth)',
+        body: '{ rating: 1-5, comment? }'
+      },
+      {
+        method: 'GET',
+        path: '/api/recipes/:id/cooked',
+        description: 'Your "I made this" log for a recipe, plus how often anyone has cooked it (requires auth)'
+      },
+      {
+        method: 'POST',
+        path: '/api/recipes/:id/cooked',
+        description: 'Log that you cooked a recipe (requires auth)',
+        body: '{ cookedAt?: ISO date (default now), notes? }'
+      },
+      {
+        method: 'DELETE',
+        path: '/api/recipes/:id/cooked/:logId',
+        description: 'Remove one of your cook log entries (requires auth)'
+      },
+      {
+        method: 'PATCH',
+        path: '/api/reviews/:id',
+        description: 'Edit your review (requires auth, author only)',
+        body: '{ rating?: 1-5, comment? }'
+      },
+      {
+        method: 'DELETE',
+        path: '/api/reviews/:id',
+        description: 'Delete a review (requires auth, author or admin)'
+      },
+      {
+        method: 'POST',
+        path: '/api/reviews/:id/flag',
+        description: 'Report a review to the moderators; reviews flagged by 3 users are hidden until moderated (requires auth)',
+        body: '{ reason? }'
+      },
+      {
+        method: 'GET',
+        path: '/api/reviews/moderation',
+        description: 'Flagged and hidden reviews waiting for a moderator (requires admin)',
+        parameters: {
+          status: 'published|hidden (optional; published lists flagged reviews still visible)'
+        }
+      },
+      {
+        method: 'PATCH',
+        path: '/api/reviews/:id/moderation',
+        description: 'Hide or publish a review; publishing clears its flags (requires admin)',
+        body: '{ status: published|hidden, reason? }'
+      },
+      {
+        method: 'GET',
+        path: '/api/tags',
+        description: 'List tags used on recipes or defined, with how many recipes use each',
+        parameters: {
+          q: 'tag prefix (optional)',
+          sort: 'count|name (optional, default: count)',
+          page: 'number (optional)',
+          limit: 'number (optional, default: 50, max 50)'
+        }
+      },
+      {
+        method: 'GET',
+        path: '/api/tags/tree',
+        description: 'The category hierarchy; totalCount includes the recipes tagged with any category below'
+      },
+      {
+        method: 'GET',
+        path: '/api/tags/:name',
+        description: 'Get a tag with its aliases, parent, path from the top category and children; an alias resolves to its tag'
+      },
+      {
+        method: 'POST',
+        path: '/api/tags',
+        description: 'Define a tag with aliases and a parent category (requires admin); recipes tagged with an alias get the tag instead',
+        body: '{ name, aliases?: [...], parent?, description? }'
+      },
+      {
+        method: 'PATCH',
+        path: '/api/tags/:name',
+        description: 'Change a tag\'s aliases, parent (null for a top-level category) or description (requires admin)',
+        body: '{ aliases?, parent?, description? }'
+      },
+      {
+        method: 'POST',
+        path: '/api/tags/:name/rename',
+        description: 'Rename a tag on every recipe (requires admin); the old name stays as an alias unless keepAlias is false',
+        body: '{ to, keepAlias? }'
+      },
+      {
+        method: 'POST',
+        path: '/api/tags/merge',
+        description: 'Merge tags into one on every recipe (requires admin); merged names become aliases and their child categories move under the target',
+        body: '{ from: [...], into }'
       },
       {
         method: 'POST',
         path: '/api/recipes',
-        description: 'Create a new recipe',
+        description: 'Create a new recipe owned by the current user (requires auth)',
         body: 'Recipe object (see schema below)'
       },
       {
         method: 'PUT',
         path: '/api/recipes/:id',
-        description: 'Update a recipe'
+        description: 'Replace a recipe (requires auth, owner or editor); with If-Match, 412 if it changed since that ETag. visibility is ignored here'
+      },
+      {
+        method: 'PATCH',
+        path: '/api/recipes/:id',
+        description: 'Change part of a recipe (requires auth, owner or editor); with If-Match, 412 if it changed since that ETag',
+        body: {
+          'application/merge-patch+json': 'Fields to change, null removes an optional field (plain application/json works the same)',
+          'application/json-patch+json': 'Array of { op: add|remove|replace|move|copy|test, path, value?, from? }; a failed test gives 409'
+        }
       },
       {
         method: 'DELETE',
         path: '/api/recipes/:id',
-        description: 'Delete a recipe'
+        description: 'Move a recipe to the trash; it can be undeleted for 30 days (requires auth, owner only; honours If-Match)'
+      },
+      {
+        method: 'GET',
+        path: '/api/recipes/:id/history',
+        description: 'Revisions of a recipe, newest first; every create, update and restore is kept (requires auth, owner or editor)'
+      },
+      {
+        method: 'GET',
+        path: '/api/recipes/:id/history/:rev',
+        description: 'The recipe as saved in a revision (requires auth, owner or editor)'
+      },
+      {
+        method: 'GET',
+        path: '/api/recipes/:id/history/:rev/diff',
+        description: 'Field changes and an ingredient line diff between a revision and the one before it (requires auth, owner or editor)',
+        parameters: {
+          against: 'revision number (optional, compare with this revision instead)'
+        }
+      },
+      {
+        method: 'POST',
+        path: '/api/recipes/:id/history/:rev/restore',
+        description: 'Bring back the content of a revision; saved as a new revision (requires auth, owner or editor)'
+      },
+      {
+        method: 'GET',
+        path: '/api/recipes/trash',
+        description: 'Your deleted recipes and when each will be purged (requires auth)'
+      },
+      {
+        method: 'POST',
+        path: '/api/recipes/:id/undelete',
+        description: 'Take a recipe back out of the trash (requires auth, owner only)'
+      },
+      {
+        method: 'POST',
+        path: '/api/recipes/:id/fork',
+        description: 'Copy a recipe you may see into a new one you own, keeping a forkedFrom link to the source; forks of private or unlisted recipes start private (requires auth)',
+        body: {
+          title: 'string (optional, defaults to the source title)'
+        }
+      },
+      {
+        method: 'GET',
+        path: '/api/recipes/:id/forks',
+        description: 'List the recipes forked from a recipe that you may see, newest first',
+        parameters: {
+          page: 'number (optional, default: 1)',
+          limit: 'number (optional, default: 10, max: 50)'
+        }
+      },
+      {
+        method: 'GET',
+        path: '/api/recipes/:id/fork/diff',
+        description: 'Compare a fork with its source recipe; 410 once the source is deleted (forkedFrom.sourceDeletedAt is set on the fork), 403 if it is no longer shared with you'
+      },
+      {
+        method: 'GET',
+        path: '/api/recipes/shared/:token',
+        description: 'Open an unlisted or public recipe with a share link, no account needed; 404 once the link expires or is revoked, or while the recipe is private',
+        parameters: {
+          servings: 'number (optional, rescales ingredient quantities)',
+          units: 'metric|us (optional, converts ingredient amounts and temperatures)',
+          from: 'metric|us (optional, the system the recipe is written in for temperatures like "350°"; default: what its ingredients use)'
+        }
+      },
+      {
+        method: 'GET',
+        path: '/api/recipes/:id/sharing',
+        description: 'Visibility, the users a recipe is shared with and its share links (requires auth, owner only)'
+      },
+      {
+        method: 'PUT',
+        path: '/api/recipes/:id/visibility',
+        description: 'Make a recipe private, unlisted or public (requires auth, owner only)',
+        body: '{ visibility: private|unlisted|public }'
+      },
+      {
+        method: 'POST',
+        path: '/api/recipes/:id/shares',
+        description: 'Share a recipe with a user; viewers can open it, editors can also change it (not delete it or its sharing). Sharing again changes the role (requires auth, owner only)',
+        body: '{ email, role?: viewer|editor (default: viewer) }'
+      },
+      {
+        method: 'DELETE',
+        path: '/api/recipes/:id/shares/:userId',
+        description: 'Stop sharing a recipe with a user (requires auth, owner only; users can also remove themselves)'
+      },
+      {
+        method: 'POST',
+        path: '/api/recipes/:id/share-links',
+        description: 'Create a share link for an unlisted or public recipe; the token is only returned now (requires auth, owner only)',
+        body: '{ expiresInDays?: 1-365 (default: 7) }'
+      },
+      {
+        method: 'DELETE',
+        path: '/api/recipes/:id/share-links/:linkId',
+        description: 'Revoke a share link (requires auth, owner only)'
+      },
+      {
+        method: 'DELETE',
+        path: '/api/recipes/trash/:id',
+        description: 'Delete a recipe in the trash permanently, with its reviews and history (requires auth, owner only)'
+      },
+      {
+        method: 'DELETE',
+        path: '/api/recipes/trash',
+        description: 'Empty your trash permanently (requires auth)'
       },
       {
         method: 'GET',
         path: '/api/recipes/search',
-        description: 'Search recipes',
+        description: 'Search recipes; misspelt words are corrected against the words recipes use (see didYouMean), and facet counts for difficulty, tags and totalTime cover every match',
         parameters: {
           q: 'text search query',
-          ingredient: 'search by ingredient',
+          ingredient: 'ingredient name, or a boolean query with AND, OR, NOT, parentheses and "quoted phrases" (e.g. chicken AND NOT mushroom)',
           difficulty: 'easy|medium|hard',
+          tags: 'comma-separated tags (optional; aliases and child categories match too, so "italian" finds "sicilian")',
+          units: 'metric|us (optional, converts ingredient amounts and temperatures)',
+          from: 'metric|us (optional, the system the recipe is written in for temperatures like "350°"; default: what its ingredients use)',
+          nutrition: 'caloriesMin, caloriesMax, proteinMin, fatMax, carbsMax, sugarMax, fiberMin, sodiumMax (optional, per serving)',
+          diet: 'comma-separated: vegetarian, vegan, gluten-free, dairy-free, nut-free (optional, must fit all)',
+          excludeAllergens: 'comma-separated: gluten, dairy, egg, tree-nuts, peanuts, soy, fish, shellfish, sesame (optional)',
+          minRating: 'number 0-5 (optional, minimum average stars)',
+          time: 'prepTimeMin, prepTimeMax, cookTimeMin, cookTimeMax, restTimeMin, restTimeMax, totalTimeMin, totalTimeMax (optional, minutes or ISO-8601 such as PT1H; cookingTimeMax is an alias of totalTimeMax)',
+          unknownTimes: 'include|exclude (optional, default: include; whether recipes that don\'t give the filtered time still match)',
+          sort: 'newest|rating|most-cooked|title|cookingTime|servings|updatedAt, optionally with :asc or :desc (optional, default: relevance for q, otherwise newest)',
           page: 'number (optional)',
-          limit: 'number (optional)'
+          cursor: 'string (optional, as for /api/recipes; facets come with the first page only)',
+          limit: 'number (optional, default: 10, capped at 50)',
+          fields: 'comma-separated fields to return (optional)'
         }
+      },
+      {
+        method: 'GET',
+        path: '/api/recipes/suggest',
+        description: 'Autocomplete: recipe titles, ingredients and tags with a word starting with q, most used first',
+        parameters: {
+          q: 'string (required, 1-100 chars)',
+          limit: 'number (optional, 1-20 per group, default: 5)'
+        }
+      },
+      {
+        method: 'GET',
+        path: '/api/recipes/export',
+        description: 'Stream all recipes matching the search filters as a download; pdf is a printable cookbook with one recipe per page',
+        parameters: {
+          format: 'json|csv|md|pdf (optional, default: json)',
+          filters: 'same as /api/recipes/search (q, ingredient including boolean queries, difficulty, tags, time filters and unknownTimes, servingsMin, nutrition, diet and rating filters, sort)'
+        }
+      },
+      {
+        method: 'GET',
+        path: '/api/recipes/:id/print',
+        description: 'Printable view of a single recipe',
+        parameters: {
+          format: 'html|pdf (optional, default: html)',
+          servings: 'number (optional)',
+          units: 'metric|us (optional)'
+        }
+      },
+      {
+        method: 'POST',
+        path: '/api/recipes/import',
+        description: 'Extract a recipe draft from a web page via schema.org JSON-LD or microdata; the draft is validated but not saved (requires auth)',
+        body: '{ url } or { html }'
+      },
+      {
+        method: 'POST',
+        path: '/api/recipes/match',
+        description: 'Rank recipes by how many of their ingredients you have on hand, with what is missing for each; names match loosely ("chicken thighs" covers "chicken")',
+        body: '{ ingredients?: string[], usePantry?: boolean (requires auth; items expiring within 3 days are used first), priority?: string[] (use these up first), maxMissing?: 0-20 (default 2), limit?: 1-50 (default 20), ignoreStaples?: boolean (default true, assumes salt, pepper, oil and water) }'
+      },
+      {
+        method: 'POST',
+        path: '/api/recipes/bulk',
+        description: 'Create up to 5000 recipes at once; every row is validated like POST /api/recipes and reported by row number (requires auth)',
+        parameters: {
+          dryRun: 'boolean (optional, validate only, nothing is saved)'
+        },
+        body: '{ recipes: [...] }, a text/csv body, or multipart field "file" (CSV with the export columns; ingredients separated by ";", tags by ",")'
+      },
+      {
+        method: 'PATCH',
+        path: '/api/recipes/bulk',
+        description: 'Add/remove tags or set difficulty on all of your recipes matching a filter (requires auth; admins act on all recipes)',
+        parameters: {
+          dryRun: 'boolean (optional, report what would change)'
+        },
+        body: '{ filter: { ids?, q?, ingredient?, difficulty?, tags?, prepTimeMin/Max?, cookTimeMin/Max?, restTimeMin/Max?, totalTimeMin/Max?, unknownTimes?, servingsMin? }, update: { addTags?, removeTags?, difficulty? } }'
+      },
+      {
+        method: 'DELETE',
+        path: '/api/recipes/bulk',
+        description: 'Move all of your recipes matching a filter to the trash; a non-empty filter is required (requires auth; admins act on all recipes)',
+        parameters: {
+          dryRun: 'boolean (optional, list what would be moved)'
+        },
+        body: '{ filter: { ids?, q?, ingredient?, difficulty?, tags?, prepTimeMin/Max?, cookTimeMin/Max?, restTimeMin/Max?, totalTimeMin/Max?, unknownTimes?, servingsMin? } }'
+      },
+      {
+        method: 'POST',
+        path: '/api/recipes/:id/images',
+        description: 'Upload images (multipart field "images", jpeg/png/gif); thumbnails are generated (requires auth, owner or editor)',
+        body: 'multipart: images[], caption?, step? (instruction step index), cover? (boolean)'
+      },
+      {
+        method: 'PATCH',
+        path: '/api/recipes/:id/images/:imageId',
+        description: 'Update an image caption or step, or set it as the cover (requires auth, owner or editor)',
+        body: '{ caption?, step?, cover? }'
+      },
+      {
+        method: 'DELETE',
+        path: '/api/recipes/:id/images/:imageId',
+        description: 'Delete an image and its stored files (requires auth, owner or editor)'
+      },
+      {
+        method: 'GET',
+        path: '/api/recipes/stats',
+        description: 'Recipe statistics: overview, difficulty, tags, cooking-time histogram, creation trend, ingredient frequency, tag co-occurrence, per-user breakdown',
+        parameters: {
+          from: 'date (optional, only recipes created on/after)',
+          to: 'date (optional, only recipes created on/before)',
+          interval: 'week|month (optional, default: month)',
+          limit: 'number (optional, 1-50, default: 10, size of top-N lists)'
+        }
+      },
+      {
+        method: 'GET',
+        path: '/api/collections',
+        description: 'List your collections (requires auth)'
+      },
+      {
+        method: 'POST',
+        path: '/api/collections',
+        description: 'Create a collection (requires auth)',
+        body: '{ name, description?, isPublic? }'
+      },
+      {
+        method: 'GET',
+        path: '/api/collections/:id',
+        description: 'Get a collection with its recipes in order (public collections or owner)'
+      },
+      {
+        method: 'PUT',
+        path: '/api/collections/:id',
+        description: 'Update a collection (requires auth, owner only)'
+      },
+      {
+        method: 'DELETE',
+        path: '/api/collections/:id',
+        description: 'Delete a collection; its recipes are kept (requires auth, owner only)'
+      },
+      {
+        method: 'POST',
+        path: '/api/collections/:id/recipes',
+        description: 'Add a recipe to a collection (requires auth, owner only)',
+        body: '{ recipeId, position? }'
+      },
+      {
+        method: 'PUT',
+        path: '/api/collections/:id/recipes',
+        description: 'Reorder the recipes in a collection (requires auth, owner only)',
+        body: '{ recipeIds: [...] } listing every recipe in the new order'
+      },
+      {
+        method: 'DELETE',
+        path: '/api/collections/:id/recipes/:recipeId',
+        description: 'Remove a recipe from a collection (requires auth, owner only)'
+      },
+      {
+        method: 'GET',
+        path: '/api/meal-plans',
+        description: 'Get your meal plan by day with total time per day (requires auth)',
+        parameters: {
+          start: 'date YYYY-MM-DD (required)',
+          end: 'date YYYY-MM-DD (optional, default: start + 6 days, max 62 days)'
+        }
+      },
+      {
+        method: 'POST',
+        path: '/api/meal-plans',
+        description: 'Add a recipe to a date and meal slot (requires auth)',
+        body: '{ date, slot: breakfast|lunch|dinner|snack, recipeId, servings?, notes? }'
+      },
+      {
+        method: 'POST',
+        path: '/api/meal-plans/copy-week',
+        description: 'Copy seven days of meals to another week (requires auth)',
+        body: '{ fromDate, toDate, overwrite? }'
+      },
+      {
+        method: 'DELETE',
+        path: '/api/meal-plans',
+        description: 'Clear meals in a date range (requires auth)',
+        parameters: {
+          start: 'date YYYY-MM-DD (required)',
+          end: 'date YYYY-MM-DD (optional, default: start)',
+          slot: 'comma-separated slots (optional, default: all)'
+        }
+      },
+      {
+        method: 'DELETE',
+        path: '/api/meal-plans/meals/:mealId',
+        description: 'Remove a single meal from the plan (requires auth)'
+      },
+      {
+        method: 'POST',
+        path: '/api/shopping-lists',
+        description: 'Generate a consolidated shopping list grouped by aisle (requires auth)',
+        body: '{ name?, recipes: [{ recipeId, servings? }] }'
+      },
+      {
+        method: 'GET',
+        path: '/api/shopping-lists',
+        description: 'List your shopping lists (requires auth)'
+      },
+      {
+        method: 'GET',
+        path: '/api/shopping-lists/:id',
+        description: 'Get a shopping list with items grouped by aisle (requires auth)'
+      },
+      {
+        method: 'PATCH',
+        path: '/api/shopping-lists/:id/items/:itemId',
+        description: 'Check or uncheck an item (requires auth)',
+        body: '{ checked: boolean }'
+      },
+      {
+        method: 'DELETE',
+        path: '/api/shopping-lists/:id',
+        description: 'Delete a shopping list (requires auth)'
+      },
+      {
+        method: 'GET',
+        path: '/api/pantry',
+        description: 'Get your pantry, soonest expiry first (requires auth)'
+      },
+      {
+        method: 'PUT',
+        path: '/api/pantry',
+        description: 'Replace everything in your pantry (requires auth)',
+        body: '{ items: ["2 chicken thighs", { name, quantity?, unit?, expiresAt? }] }'
+      },
+      {
+        method: 'POST',
+        path: '/api/pantry/items',
+        description: 'Add items to your pantry; items already there are merged (requires auth)',
+        body: '{ items: ["2 chicken thighs", { name, quantity?, unit?, expiresAt? }] }'
+      },
+      {
+        method: 'DELETE',
+        path: '/api/pantry/items/:itemId',
+        description: 'Remove an item from your pantry (requires auth)'
       }
     ],
     schema: {
       recipe: {
         title: 'string (required, 3-100 chars)',
-        ingredients: 'array of strings (required, min 1)',
-        instructions: 'string (required, 10-2000 chars)',
-        cookingTime: 'number (optional, min 1 minute)',
+        ingredients: 'array (required, min 1) of free-text lines ("2 1/2 cups flour, sifted") or objects { quantity, unit, name, preparation, optional }',
+        instructions: 'array (required, 1-100 steps) of lines or { text (max 2000 chars), section, duration, durationMax } (minutes or ISO-8601; read from the text when left out); a single block of text is split into steps',
+        prepTime: 'minutes or ISO-8601 duration such as PT20M (optional)',
+        cookTime: 'minutes or ISO-8601 duration (optional)',
+        restTime: 'minutes or ISO-8601 duration (optional; marinating, proving, chilling)',
+        totalTime: 'minutes or ISO-8601 duration (optional; the sum of prep, cook and rest when any is given, so only set on its own; cookingTime is accepted as an alias)',
         servings: 'number (optional, min 1)',
         difficulty: 'string (optional, enum: easy|medium|hard)',
-        tags: 'array of strings (optional)'
+        tags: 'array of strings (optional; aliases are replaced by their tag)',
+        visibility: 'string (optional, on create only, enum: private|unlisted|public, default: public)'
       }
     }
   });
@@ -201,12 +774,92 @@ app.use((req, res) => {
       'GET /',
       'GET /api/health',
       'GET /api/docs',
+      'POST /api/auth/register',
+      'POST /api/auth/login',
+      'POST /api/auth/refresh',
+      'POST /api/auth/logout',
+      'GET /api/auth/me',
       'GET /api/recipes',
       'POST /api/recipes',
       'GET /api/recipes/:id',
+      'GET /api/recipes/:id/scale',
+      'GET /api/recipes/:id/nutrition',
+      'GET /api/recipes/:id/steps',
+      'GET /api/recipes/:id/dietary',
+      'PATCH /api/recipes/:id/dietary',
+      'GET /api/recipes/:id/reviews',
+      'POST /api/recipes/:id/reviews',
+      'GET /api/recipes/:id/cooked',
+      'POST /api/recipes/:id/cooked',
+      'DELETE /api/recipes/:id/cooked/:logId',
       'PUT /api/recipes/:id',
+      'PATCH /api/recipes/:id',
       'DELETE /api/recipes/:id',
-      'GET /api/recipes/search'
+      'GET /api/recipes/:id/history',
+      'GET /api/recipes/:id/history/:rev',
+      'GET /api/recipes/:id/history/:rev/diff',
+      'POST /api/recipes/:id/history/:rev/restore',
+      'GET /api/recipes/trash',
+      'DELETE /api/recipes/trash',
+      'DELETE /api/recipes/trash/:id',
+      'POST /api/recipes/:id/undelete',
+      'POST /api/recipes/:id/fork',
+      'GET /api/recipes/:id/forks',
+      'GET /api/recipes/:id/fork/diff',
+      'GET /api/recipes/shared/:token',
+      'GET /api/recipes/:id/sharing',
+      'PUT /api/recipes/:id/visibility',
+      'POST /api/recipes/:id/shares',
+      'DELETE /api/recipes/:id/shares/:userId',
+      'POST /api/recipes/:id/share-links',
+      'DELETE /api/recipes/:id/share-links/:linkId',
+      'GET /api/recipes/search',
+      'GET /api/recipes/suggest',
+      'GET /api/recipes/stats',
+      'GET /api/recipes/export',
+      'GET /api/recipes/:id/print',
+      'POST /api/recipes/import',
+      'POST /api/recipes/match',
+      'POST /api/recipes/bulk',
+      'PATCH /api/recipes/bulk',
+      'DELETE /api/recipes/bulk',
+      'POST /api/recipes/:id/images',
+      'PATCH /api/recipes/:id/images/:imageId',
+      'DELETE /api/recipes/:id/images/:imageId',
+      'GET /api/collections',
+      'POST /api/collections',
+      'GET /api/collections/:id',
+      'PUT /api/collections/:id',
+      'DELETE /api/collections/:id',
+      'POST /api/collections/:id/recipes',
+      'PUT /api/collections/:id/recipes',
+      'DELETE /api/collections/:id/recipes/:recipeId',
+      'GET /api/meal-plans',
+      'POST /api/meal-plans',
+      'POST /api/meal-plans/copy-week',
+      'DELETE /api/meal-plans',
+      'DELETE /api/meal-plans/meals/:mealId',
+      'GET /api/shopping-lists',
+      'POST /api/shopping-lists',
+      'GET /api/shopping-lists/:id',
+      'PATCH /api/shopping-lists/:id/items/:itemId',
+      'DELETE /api/shopping-lists/:id',
+      'GET /api/pantry',
+      'PUT /api/pantry',
+      'POST /api/pantry/items',
+      'DELETE /api/pantry/items/:itemId',
+      'GET /api/reviews/moderation',
+      'PATCH /api/reviews/:id',
+      'DELETE /api/reviews/:id',
+      'POST /api/reviews/:id/flag',
+      'PATCH /api/reviews/:id/moderation',
+      'GET /api/tags',
+      'POST /api/tags',
+      'GET /api/tags/tree',
+      'POST /api/tags/merge',
+      'GET /api/tags/:name',
+      'PATCH /api/tags/:name',
+      'POST /api/tags/:name/rename'
     ]
   });
 });
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseIngredientQuery } = require('../utils/ingredientQuery');
+
+const term = (value) => ({ 'ingredients.name': new RegExp(`\\b${value}`, 'i') });
+
+test('a single ingredient matches from the start of a word', () => {
+  assert.deepEqual(parseIngredientQuery('chicken'), term('chicken'));
+});
+
+test('lower-case "and" stays part of the ingredient', () => {
+  assert.deepEqual(parseIngredientQuery('salt and pepper'), term('salt and pepper'));
+});
+
+test('NOT binds tighter than AND', () => {
+  assert.deepEqual(parseIngredientQuery('chicken AND NOT mushroom'), {
+    $and: [term('chicken'), { $nor: [term('mushroom')] }]
+  });
+});
+
+test('AND binds tighter than OR', () => {
+  assert.deepEqual(parseIngredientQuery('beef AND onion OR tofu'), {
+    $or: [{ $and: [term('beef'), term('onion')] }, term('tofu')]
+  });
+});
+
+test('groups and quoted phrases are combined with an implied AND', () => {
+  assert.deepEqual(parseIngredientQuery('(beef OR lamb) "red wine"'), {
+    $and: [{ $or: [term('beef'), term('lamb')] }, term('red wine')]
+  });
+});
+
+test('regex characters in a term are matched literally', () => {
+  const filter = parseIngredientQuery('"1.5 cups (packed)"');
+  assert.ok(filter['ingredients.name'].test('1.5 cups (packed) brown sugar'));
+  assert.ok(!filter['ingredients.name'].test('125 cups packed'));
+});
+
+test('malformed queries throw a 400 error', () => {
+  ['', 'AND', 'chicken AND', '(beef OR lamb', 'beef)', 'NOT'].forEach(query => {
+    assert.throws(() => parseIngredientQuery(query), (error) => {
+      assert.equal(error.statusCode, 400);
+      assert.match(error.message, /^Invalid ingredient query/);
+      return true;
+    }, query);
+  });
+});
+
+test('queries with too many ingredients are refused', () => {
+  const query = Array.from({ length: 21 }, (_, index) => `"item ${index}"`).join(' OR ');
+  assert.throws(() => parseIngredientQuery(query), /at most 20 ingredients/);
+});
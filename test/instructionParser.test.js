@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeInstructions, formatInstructions, detectDuration } = require('../utils/instructionParser');
+
+test('legacy text is split into numbered steps', () => {
+  assert.deepEqual(normalizeInstructions('1. Mix the batter. 2. Bake for 30 minutes.'), [
+    { text: 'Mix the batter.' },
+    { text: 'Bake for 30 minutes.', duration: 30 }
+  ]);
+});
+
+test('a heading line starts a section up to the next heading or ---', () => {
+  const steps = normalizeInstructions([
+    'For the sauce:',
+    'Simmer the tomatoes.',
+    '## To finish',
+    'Toss with the pasta.',
+    '---',
+    'Serve hot.'
+  ]);
+
+  assert.deepEqual(steps, [
+    { text: 'Simmer the tomatoes.', section: 'For the sauce' },
+    { text: 'Toss with the pasta.', section: 'To finish' },
+    { text: 'Serve hot.' }
+  ]);
+});
+
+test('colon lines that read as instructions are steps, not headings', () => {
+  assert.deepEqual(normalizeInstructions(['Mix the following:', 'Bake at 180C for 1 hour:', 'Sauce:']), [
+    { text: 'Mix the following:' },
+    { text: 'Bake at 180C for 1 hour:', duration: 60 }
+  ]);
+});
+
+test('steps given as objects keep their own section', () => {
+  assert.deepEqual(normalizeInstructions([
+    { section: 'Dough' },
+    { text: 'Knead for 10 minutes.' },
+    { text: 'Preheat the oven.', section: null },
+    { text: 'Shape the loaves.', section: 'Shaping' }
+  ]), [
+    { text: 'Knead for 10 minutes.', section: 'Dough', duration: 10 },
+    { text: 'Preheat the oven.' },
+    { text: 'Shape the loaves.', section: 'Shaping' }
+  ]);
+});
+
+test('formatting and reading back gives the same steps', () => {
+  const steps = [
+    { text: 'Boil pasta for 10 minutes.', duration: 10 },
+    { text: 'Warm the oil.', section: 'For the sauce' },
+    { text: 'Simmer for 20 minutes.', section: 'For the sauce', duration: 20 },
+    { text: 'Combine and serve.' },
+    { text: 'Toast the bread.', section: 'Step 2.5: croutons' },
+    { text: 'Mix the following:' }
+  ];
+
+  assert.deepEqual(normalizeInstructions(formatInstructions(steps)), steps);
+});
+
+test('formatInstructions ends a section before unsectioned steps', () => {
+  assert.equal(formatInstructions([
+    { text: 'Simmer.', section: 'For the sauce' },
+    { text: 'Serve.' }
+  ]), 'For the sauce:\n1. Simmer.\n---\n2. Serve.');
+});
+
+test('detectDuration reads ranges and combined units', () => {
+  assert.deepEqual(detectDuration('Simmer for 10-15 minutes'), { duration: 10, durationMax: 15 });
+  assert.deepEqual(detectDuration('Bake 1 hour 20 minutes'), { duration: 80 });
+  assert.equal(detectDuration('Season to taste'), null);
+});
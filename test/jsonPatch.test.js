@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { applyJsonPatch, applyMergePatch } = require('../utils/jsonPatch');
+
+const recipe = () => ({
+  title: 'Pancakes',
+  servings: 4,
+  tags: ['breakfast', 'sweet'],
+  ingredients: [{ name: 'flour', quantity: 200, unit: 'g' }, { name: 'milk', quantity: 300, unit: 'ml' }]
+});
+
+const rejects = (operations, statusCode = 400) => assert.throws(
+  () => applyJsonPatch(recipe(), operations),
+  (error) => error.statusCode === statusCode
+);
+
+test('add, remove, replace, move and copy', () => {
+  const patched = applyJsonPatch(recipe(), [
+    { op: 'add', path: '/tags/-', value: 'quick' },
+    { op: 'remove', path: '/tags/0' },
+    { op: 'replace', path: '/servings', value: 2 },
+    { op: 'move', from: '/ingredients/1', path: '/ingredients/0' },
+    { op: 'copy', from: '/title', path: '/subtitle' }
+  ]);
+
+  assert.deepEqual(patched.tags, ['sweet', 'quick']);
+  assert.equal(patched.servings, 2);
+  assert.deepEqual(patched.ingredients.map(ingredient => ingredient.name), ['milk', 'flour']);
+  assert.equal(patched.subtitle, 'Pancakes');
+});
+
+test('the input is left untouched', () => {
+  const original = recipe();
+  applyJsonPatch(original, [{ op: 'replace', path: '/title', value: 'Crepes' }]);
+  assert.deepEqual(original, recipe());
+});
+
+test('~1 and ~0 in a pointer stand for / and ~', () => {
+  const patched = applyJsonPatch({ 'a/b': 1, 'c~d': 2 }, [
+    { op: 'replace', path: '/a~1b', value: 3 },
+    { op: 'remove', path: '/c~0d' }
+  ]);
+  assert.deepEqual(patched, { 'a/b': 3 });
+});
+
+test('a failing test op answers 409', () => {
+  rejects([{ op: 'test', path: '/title', value: 'Waffles' }], 409);
+  assert.doesNotThrow(() => applyJsonPatch(recipe(), [{ op: 'test', path: '/servings', value: 4 }]));
+});
+
+test('test compares values structurally, whatever the key order', () => {
+  assert.doesNotThrow(() => applyJsonPatch(recipe(), [
+    { op: 'test', path: '/ingredients/0', value: { unit: 'g', quantity: 200, name: 'flour' } }
+  ]));
+  rejects([{ op: 'test', path: '/ingredients/0', value: { name: 'flour', quantity: 200 } }], 409);
+  rejects([{ op: 'test', path: '/tags', value: ['sweet', 'breakfast'] }], 409);
+  rejects([{ op: 'test', path: '/servings', value: '4' }], 409);
+});
+
+test('invalid operations answer 400', () => {
+  rejects({ op: 'add' });
+  rejects([{ path: '/title' }]);
+  rejects([{ op: 'add', path: '/title' }]);
+  rejects([{ op: 'jump', path: '/title' }]);
+  rejects([{ op: 'remove', path: '/missing' }]);
+  rejects([{ op: 'add', path: 'title', value: 1 }]);
+  rejects([{ op: 'add', path: '/tags/5', value: 'x' }]);
+  rejects([{ op: 'move', from: '/ingredients', path: '/ingredients/0' }]);
+});
+
+test('every op needs a string path, and move and copy a string from', () => {
+  rejects([{ op: 'move', from: '/title' }]);
+  rejects([{ op: 'copy', path: '/subtitle' }]);
+  rejects([{ op: 'remove', path: 3 }]);
+  rejects([{ op: 'add', value: 1 }]);
+});
+
+test('pointers cannot reach Object.prototype', () => {
+  rejects([{ op: 'add', path: '/__proto__/isAdmin', value: true }]);
+  rejects([{ op: 'add', path: '/constructor/prototype/isAdmin', value: true }]);
+  rejects([{ op: 'replace', path: '/toString', value: 'x' }]);
+  rejects([{ op: 'copy', from: '/constructor', path: '/copied' }]);
+  assert.equal({}.isAdmin, undefined);
+});
+
+test('merge patch merges objects, removes nulls and replaces arrays', () => {
+  const patched = applyMergePatch(recipe(), { title: 'Crepes', servings: null, tags: ['french'] });
+
+  assert.equal(patched.title, 'Crepes');
+  assert.ok(!('servings' in patched));
+  assert.deepEqual(patched.tags, ['french']);
+});
+
+test('merge patch refuses prototype keys', () => {
+  assert.throws(() => applyMergePatch({}, JSON.parse('{"__proto__": {"isAdmin": true}}')), { statusCode: 400 });
+  assert.equal({}.isAdmin, undefined);
+});
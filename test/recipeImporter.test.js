@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { extractRecipe } = require('../utils/recipeImporter');
+const { importRecipe } = require('../controllers/recipeController');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+// Just enough of req/res for a controller that doesn't touch the database
+const callImport = async (body, htmlFetcher) => {
+  const settings = new Map([['htmlFetcher', htmlFetcher]]);
+  const req = { body, app: { get: (key) => settings.get(key) } };
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    }
+  };
+  await importRecipe(req, res);
+  return res;
+};
+
+test('extractRecipe reads a JSON-LD recipe from an @graph', () => {
+  const { draft, format, image } = extractRecipe(fixture('json-ld-sections.html'));
+
+  assert.equal(format, 'json-ld');
+  assert.equal(image, 'https://example.com/images/spaghetti.jpg');
+  assert.equal(draft.title, 'Spaghetti with Tomato Sauce');
+  assert.equal(draft.servings, 4);
+  assert.deepEqual(draft.tags, ['pasta', 'italian', 'weeknight', 'main course']);
+  assert.deepEqual(draft.ingredients[0], { name: 'spaghetti', optional: false, quantity: 400, unit: 'g' });
+});
+
+test('extractRecipe puts the time the parts leave out into resting time', () => {
+  const { draft } = extractRecipe(fixture('json-ld-sections.html'));
+
+  assert.equal(draft.prepTime, 10);
+  assert.equal(draft.cookTime, 25);
+  assert.equal(draft.restTime, 5);
+  assert.equal(draft.totalTime, undefined);
+});
+
+test('extractRecipe keeps HowToSection steps in their section and steps after it out', () => {
+  const { draft } = extractRecipe(fixture('json-ld-sections.html'));
+
+  assert.deepEqual(draft.instructions, [
+    { text: 'Warm the oil and add the tomatoes.', section: 'For the sauce' },
+    { text: 'Simmer for 20 minutes.', section: 'For the sauce', duration: 20 },
+    { text: 'Boil pasta for 10 minutes.', duration: 10 },
+    { text: 'Toss the pasta & sauce and serve.' }
+  ]);
+});
+
+test('extractRecipe splits instructions given as one string on its line breaks', () => {
+  const { draft } = extractRecipe(fixture('json-ld-text-lines.html'));
+
+  assert.deepEqual(draft.instructions, [
+    { text: 'Preheat oven.' },
+    { text: 'Mix flour, butter & sugar.' },
+    { text: 'Bake 20 minutes.', duration: 20 }
+  ]);
+});
+
+test('extractRecipe splits a numbered single-line string into steps', () => {
+  const { draft } = extractRecipe(fixture('json-ld-numbered-text.html'));
+
+  assert.deepEqual(draft.instructions, [
+    { text: 'Preheat oven.' },
+    { text: 'Mix flour.' },
+    { text: 'Bake 20 minutes.', duration: 20 }
+  ]);
+});
+
+test('extractRecipe falls back to microdata and skips nested itemscopes', () => {
+  const { draft, format } = extractRecipe(fixture('microdata.html'));
+
+  assert.equal(format, 'microdata');
+  assert.equal(draft.title, 'Pancakes');
+  assert.equal(draft.totalTime, 20);
+  assert.equal(draft.servings, 8);
+  assert.deepEqual(draft.ingredients.map(ingredient => ingredient.name), ['flour', 'eggs', 'milk']);
+  assert.deepEqual(draft.instructions, [
+    { text: 'Whisk the flour, eggs and milk into a smooth batter.' },
+    { text: 'Fry ladlefuls for 2 minutes on each side.', duration: 2 }
+  ]);
+});
+
+test('extractRecipe returns null when the page has no recipe', () => {
+  assert.equal(extractRecipe(fixture('no-recipe.html')), null);
+});
+
+test('importRecipe fetches through the htmlFetcher set on the app', async () => {
+  const fetched = [];
+  const res = await callImport({ url: 'https://example.com/spaghetti' }, async (url) => {
+    fetched.push(url);
+    return fixture('json-ld-sections.html');
+  });
+
+  assert.deepEqual(fetched, ['https://example.com/spaghetti']);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.valid, true);
+  assert.equal(res.body.data.source.format, 'json-ld');
+  assert.equal(res.body.data.draft.title, 'Spaghetti with Tomato Sauce');
+});
+
+test('importRecipe answers 422 for a page without a recipe', async () => {
+  const res = await callImport({ url: 'https://example.com/about' }, async () => fixture('no-recipe.html'));
+
+  assert.equal(res.statusCode, 422);
+  assert.equal(res.body.success, false);
+});
+
+test('importRecipe passes on fetch errors with their status', async () => {
+  const res = await callImport({ url: 'http://127.0.0.1/' }, async () => {
+    const error = new Error('URLs on private networks cannot be imported');
+    error.statusCode = 400;
+    throw error;
+  });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.message, 'URLs on private networks cannot be imported');
+});
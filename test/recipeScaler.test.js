@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseIngredient } = require('../utils/ingredientParser');
+const { roundToKitchen, scaleIngredient, scaleRecipe } = require('../utils/recipeScaler');
+
+const scaled = (line, factor) => scaleIngredient(parseIngredient(line), factor).display;
+
+test('thirds of a cup stay thirds at x1', () => {
+  assert.equal(scaled('1/3 cup sugar', 1), '1/3 cup sugar');
+  assert.equal(scaled('2/3 cup milk', 1), '2/3 cup milk');
+  assert.equal(scaled('1 1/3 cups flour', 1), '1 1/3 cups flour');
+});
+
+test('thirds of a cup double to thirds at x2', () => {
+  assert.equal(scaled('1/3 cup sugar', 2), '2/3 cup sugar');
+  assert.equal(scaled('2/3 cup milk', 2), '1 1/3 cups milk');
+});
+
+test('spoon amounts round to eighths below one and quarters or thirds above', () => {
+  assert.equal(roundToKitchen(0.6, 'cup'), 0.625);
+  assert.equal(roundToKitchen(2.2, 'tbsp'), 2.25);
+  assert.equal(roundToKitchen(1.3, 'cup'), 1.333);
+  assert.equal(roundToKitchen(0.01, 'tsp'), 0.125);
+});
+
+test('metric and countable amounts keep their own steps', () => {
+  assert.equal(roundToKitchen(123, 'g'), 125);
+  assert.equal(roundToKitchen(42.4, 'ml'), 42);
+  assert.equal(roundToKitchen(2.3), 2.5);
+  assert.equal(roundToKitchen(0.3), 0.333);
+});
+
+test('units and counted names follow the amount', () => {
+  assert.equal(scaled('2 eggs', 0.5), '1 egg');
+  assert.equal(scaled('1 egg', 2), '2 eggs');
+  assert.equal(scaled('2 large potatoes', 0.5), '1 large potato');
+  assert.equal(scaled('2 cloves garlic', 0.5), '1 clove garlic');
+  assert.equal(scaled('1 bunch parsley', 2), '2 bunches parsley');
+  assert.equal(scaled('2 tbsp oil', 2), '4 tbsp oil');
+});
+
+test('scaleRecipe scales by the ratio of servings', () => {
+  const recipe = scaleRecipe({
+    servings: 3,
+    ingredients: [parseIngredient('1 cup rice'), parseIngredient('1 egg')]
+  }, 2);
+
+  assert.equal(recipe.scaling.factor, 0.6667);
+  assert.deepEqual(recipe.ingredients.map(ingredient => ingredient.display), ['2/3 cup rice', '2/3 egg']);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseIngredient } = require('../utils/ingredientParser');
+const {
+  convertIngredient,
+  convertTemperaturesInText,
+  convertRecipe,
+  simplify,
+  systemOf
+} = require('../utils/unitConverter');
+
+test('temperatures with a scale convert to the target system', () => {
+  assert.equal(convertTemperaturesInText('Bake at 350°F.', 'metric'), 'Bake at 180°C.');
+  assert.equal(convertTemperaturesInText('Heat to 180 °C', 'us'), 'Heat to 350°F');
+  assert.equal(convertTemperaturesInText('Roast at 200C until golden', 'us'), 'Roast at 400°F until golden');
+  assert.equal(convertTemperaturesInText('Bake at 350 degrees Fahrenheit', 'metric'), 'Bake at 180°C');
+});
+
+test('a bare degree sign is read in the system the recipe is written in', () => {
+  assert.equal(convertTemperaturesInText('Bake at 350° for 20 min', 'metric', 'us'), 'Bake at 180°C for 20 min');
+  assert.equal(convertTemperaturesInText('Bake at 180-200° until golden', 'us', 'metric'), 'Bake at 350-400°F until golden');
+  assert.equal(convertTemperaturesInText('Bake at 180° for 20 min', 'metric', 'metric'), 'Bake at 180° for 20 min');
+  assert.equal(convertTemperaturesInText('Bake at 350° for 20 min', 'metric'), 'Bake at 350° for 20 min');
+});
+
+test('text that only looks like a temperature is left alone', () => {
+  assert.equal(convertTemperaturesInText('Add 2 C flour', 'metric', 'us'), 'Add 2 C flour');
+  assert.equal(convertTemperaturesInText('Turn the pan 90 degrees', 'metric', 'us'), 'Turn the pan 90 degrees');
+});
+
+test('convertRecipe takes the source system from the ingredients unless given', () => {
+  const recipe = {
+    ingredients: [parseIngredient('2 cups flour'), parseIngredient('1 tbsp sugar'), parseIngredient('2 eggs')],
+    instructions: [{ text: 'Bake at 350° for 20 min' }]
+  };
+
+  assert.equal(systemOf(recipe.ingredients), 'us');
+  assert.equal(convertRecipe(recipe, 'metric').instructions[0].text, 'Bake at 180°C for 20 min');
+  assert.equal(convertRecipe(recipe, 'metric', { from: 'metric' }).instructions[0].text, 'Bake at 350° for 20 min');
+  assert.equal(systemOf([parseIngredient('2 eggs')]), null);
+});
+
+test('ingredients convert into the natural unit of the other system', () => {
+  assert.equal(convertIngredient(parseIngredient('2 cups milk'), 'metric').display, '475 ml milk');
+  assert.equal(convertIngredient(parseIngredient('80 ml cream'), 'us').display, '1/3 cup cream');
+  assert.equal(convertIngredient(parseIngredient('2 eggs'), 'metric').display, '2 eggs');
+  assert.deepEqual(simplify(48, 'tsp'), { quantity: 1, unit: 'cup' });
+});
@@ -0,0 +1,88 @@
+// Minimal RFC 4180 CSV helpers
+
+// Spreadsheets run text starting with these as a formula; such cells are
+// written with a leading apostrophe, which they show as plain text
+const FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PATTERN.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialise one row of values, terminated with CRLF. Text that a spreadsheet
+ * would evaluate as a formula is prefixed with an apostrophe.
+ */
+exports.toCsvRow = (values) => `${values.map(escapeCell).join(',')}\r\n`;
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings).
+ * Handles quoted cells, escaped quotes, embedded newlines and CRLF/LF endings.
+ */
+exports.parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  // Tolerate a UTF-8 BOM from spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter(r => r.length > 1 || r[0].trim() !== '');
+};
+
+// Undo the apostrophe toCsvRow puts before formula-like text
+const unescapeCell = (cell) => (cell.startsWith('\'') && FORMULA_PATTERN.test(cell.slice(1)) ? cell.slice(1) : cell);
+
+/**
+ * Parse CSV with a header row into objects keyed by header name.
+ */
+exports.parseCsvRecords = (text) => {
+  const [header, ...rows] = exports.parseCsv(text);
+  if (!header) return [];
+
+  const keys = header.map(key => key.trim());
+  return rows.map(row => keys.reduce((record, key, index) => {
+    record[key] = row[index] !== undefined ? unescapeCell(row[index]) : '';
+    return record;
+  }, {}));
+};
@@ -0,0 +1,137 @@
+exports.DIETS = ['vegetarian', 'vegan', 'gluten-free', 'dairy-free', 'nut-free'];
+exports.ALLERGENS = ['gluten', 'dairy', 'egg', 'tree-nuts', 'peanuts', 'soy', 'fish', 'shellfish', 'sesame'];
+
+// Sent with dietary flags: they come from keyword matching on ingredient names
+exports.DISCLAIMER = 'Dietary flags and allergens are guessed from ingredient names and can be wrong; ' +
+  'check the labels of what you use before relying on them for an allergy or diet.';
+
+// What an ingredient contains. meat and honey aren't allergens but decide the diets.
+const CONTENT_KEYWORDS = {
+  meat: ['chicken', 'beef', 'pork', 'lamb', 'mutton', 'veal', 'turkey', 'duck', 'goose', 'venison', 'bacon', 'ham', 'sausage', 'steak', 'mince', 'prosciutto', 'pancetta', 'chorizo', 'salami', 'pepperoni', 'lard', 'gelatin', 'gelatine', 'bone broth'],
+  fish: ['fish', 'salmon', 'tuna', 'cod', 'haddock', 'halibut', 'tilapia', 'trout', 'mackerel', 'sardine', 'anchovy', 'anchovies', 'fish sauce', 'worcestershire'],
+  shellfish: ['shrimp', 'prawn', 'crab', 'lobster', 'clam', 'mussel', 'oyster', 'scallop', 'squid', 'calamari', 'crayfish'],
+  dairy: ['milk', 'buttermilk', 'butter', 'cheese', 'cream', 'sour cream', 'creme fraiche', 'yogurt', 'yoghurt', 'ghee', 'whey', 'parmesan', 'mozzarella', 'cheddar', 'ricotta', 'feta', 'mascarpone', 'paneer', 'custard', 'pecorino', 'parmigiano', 'grana padano', 'romano', 'gruyere', 'gruyère', 'emmental', 'emmentaler', 'comte', 'comté', 'brie', 'camembert', 'gouda', 'edam', 'halloumi', 'gorgonzola', 'stilton', 'roquefort', 'manchego', 'provolone', 'fontina', 'taleggio', 'asiago', 'burrata', 'bocconcini', 'stracciatella', 'havarti', 'jarlsberg', 'monterey jack', 'colby', 'queso', 'cotija', 'labneh', 'quark', 'kefir', 'skyr', 'casein'],
+  egg: ['egg', 'egg white', 'egg yolk', 'mayonnaise', 'mayo', 'meringue', 'aioli'],
+  honey: ['honey'],
+  gluten: ['flour', 'wheat', 'bread', 'breadcrumb', 'bread crumbs', 'panko', 'pasta', 'spaghetti', 'penne', 'macaroni', 'linguine', 'fettuccine', 'lasagna', 'noodle', 'couscous', 'barley', 'rye', 'semolina', 'bulgur', 'farro', 'spelt', 'seitan', 'tortilla', 'pita', 'bagel', 'baguette', 'croissant', 'cracker', 'soy sauce', 'beer', 'oat', 'oats'],
+  'tree-nuts': ['almond', 'walnut', 'cashew', 'pecan', 'pistachio', 'hazelnut', 'macadamia', 'brazil nut', 'pine nut', 'nut'],
+  peanuts: ['peanut', 'peanut butter'],
+  soy: ['soy', 'soya', 'soy sauce', 'tofu', 'tempeh', 'edamame', 'miso', 'tamari'],
+  sesame: ['sesame', 'tahini', 'hummus', 'houmous', 'halva', 'halvah', 'gomasio', 'furikake', 'za\'atar', 'zaatar']
+};
+
+// Phrases that contain a keyword but not the ingredient it stands for
+// ("peanut butter" isn't dairy, "rice flour" isn't gluten). They are removed
+// from the name before the keywords for that content are tested.
+const SAFE_PHRASES = {
+  meat: ['vegetarian sausage', 'vegan sausage', 'meatless mince', 'veggie mince', 'plant-based mince', 'agar'],
+  fish: ['vegan fish sauce'],
+  dairy: ['peanut butter', 'almond butter', 'cashew butter', 'nut butter', 'apple butter', 'cocoa butter', 'shea butter', 'coconut milk', 'coconut cream', 'almond milk', 'soy milk', 'soya milk', 'oat milk', 'rice milk', 'cashew milk', 'vegan butter', 'vegan cheese', 'cream of tartar', 'sunflower butter', 'seed butter', 'soy butter', 'coconut butter', 'butter bean', 'butter lettuce', 'hemp milk', 'pea milk', 'hazelnut milk', 'coconut yogurt', 'soy yogurt'],
+  egg: ['vegan mayonnaise', 'vegan mayo', 'egg replacer'],
+  gluten: ['rice flour', 'almond flour', 'coconut flour', 'corn flour', 'cornflour', 'chickpea flour', 'gram flour', 'tapioca flour', 'potato flour', 'buckwheat flour', 'corn tortilla', 'rice noodle', 'rice pasta', 'glass noodle'],
+  'tree-nuts': ['nutmeg', 'coconut', 'butternut', 'doughnut', 'donut', 'water chestnut']
+};
+
+// "gluten-free pasta", "dairy free cheese": the label clears the whole ingredient
+const FREE_FROM_LABELS = {
+  meat: ['meat'],
+  dairy: ['dairy', 'lactose', 'milk'],
+  egg: ['egg'],
+  gluten: ['gluten', 'wheat'],
+  'tree-nuts': ['nut', 'tree nut'],
+  peanuts: ['peanut', 'nut'],
+  soy: ['soy']
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole words only, with an optional plural ending. Letters are matched
+// Unicode-aware so accented names ("comté") end a word like any other
+const wordPattern = (words) => new RegExp(
+  `(?<![\\p{L}\\p{N}_])(?:${words.map(escapeRegex).join('|')})(?:s|es)?(?![\\p{L}\\p{N}_])`,
+  'giu'
+);
+
+const MATCHERS = Object.entries(CONTENT_KEYWORDS).map(([content, keywords]) => ({
+  content,
+  keywords: wordPattern(keywords),
+  safe: SAFE_PHRASES[content] ? wordPattern(SAFE_PHRASES[content]) : null,
+  freeFrom: FREE_FROM_LABELS[content]
+    ? new RegExp(`\\b(?:${FREE_FROM_LABELS[content].map(escapeRegex).join('|')})[- ]free\\b`, 'i')
+    : null
+}));
+
+/**
+ * Everything an ingredient name appears to contain, e.g. "soy sauce" -> ['gluten', 'soy'].
+ */
+exports.classifyIngredient = (name) => {
+  if (!name) return [];
+  const text = name.toLowerCase();
+
+  return MATCHERS
+    .filter(({ keywords, safe, freeFrom }) => {
+      if (freeFrom && freeFrom.test(text)) return false;
+      const remaining = safe ? text.replace(safe, ' ') : text;
+      keywords.lastIndex = 0;
+      return keywords.test(remaining);
+    })
+    .map(({ content }) => content);
+};
+
+/**
+ * Derive dietary flags and allergen warnings from a recipe's ingredients.
+ * Optional ingredients count too: a warning for an ingredient you can leave
+ * out is safer than a missing one.
+ *
+ * @returns {{ diets: string[], allergens: string[], reasons: Array<{ ingredient, contains }> }}
+ */
+exports.classifyRecipe = (recipe) => {
+  const contents = new Set();
+  const reasons = [];
+
+  (recipe.ingredients || []).forEach(ingredient => {
+    const found = exports.classifyIngredient(ingredient.name);
+    if (!found.length) return;
+    found.forEach(content => contents.add(content));
+    reasons.push({ ingredient: ingredient.name, contains: found });
+  });
+
+  const has = (content) => contents.has(content);
+  const vegetarian = !has('meat') && !has('fish') && !has('shellfish');
+
+  const diets = {
+    vegetarian,
+    vegan: vegetarian && !has('dairy') && !has('egg') && !has('honey'),
+    'gluten-free': !has('gluten'),
+    'dairy-free': !has('dairy'),
+    'nut-free': !has('tree-nuts') && !has('peanuts')
+  };
+
+  return {
+    diets: exports.DIETS.filter(diet => diets[diet]),
+    allergens: exports.ALLERGENS.filter(has),
+    reasons
+  };
+};
+
+/**
+ * Apply owner overrides ({ vegan: false, soy: true }) to classifier output.
+ * For a diet, true means the recipe fits it; for an allergen, true means present.
+ */
+exports.applyOverrides = (classified, overrides = {}) => {
+  const entries = overrides instanceof Map ? Array.from(overrides.entries()) : Object.entries(overrides);
+  const diets = new Set(classified.diets);
+  const allergens = new Set(classified.allergens);
+
+  entries.forEach(([key, value]) => {
+    const target = exports.DIETS.includes(key) ? diets : exports.ALLERGENS.includes(key) ? allergens : null;
+    if (!target || typeof value !== 'boolean') return;
+    if (value) target.add(key);
+    else target.delete(key);
+  });
+
+  return {
+    diets: exports.DIETS.filter(diet => diets.has(diet)),
+    allergens: exports.ALLERGENS.filter(allergen => allergens.has(allergen))
+  };
+};
@@ -0,0 +1,44 @@
+// ISO-8601 durations as used by schema.org ("PT1H15M", "P1DT2H", "PT90M")
+const ISO_DURATION = /^P(?:(\d+(?:\.\d+)?)W)?(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i;
+
+/**
+ * Convert an ISO-8601 duration to whole minutes. Returns null when the
+ * value isn't a duration.
+ */
+exports.parseDuration = (value) => {
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().match(ISO_DURATION);
+  if (!match || value.trim().toUpperCase() === 'P' || value.trim().toUpperCase() === 'PT') return null;
+
+  const [, weeks, days, hours, minutes, seconds] = match.map(part => parseFloat(part) || 0);
+  const total = weeks * 7 * 24 * 60 + days * 24 * 60 + hours * 60 + minutes + seconds / 60;
+
+  return Math.round(total);
+};
+
+/**
+ * Format minutes as an ISO-8601 duration (75 -> "PT1H15M").
+ */
+exports.formatDuration = (minutes) => {
+  if (typeof minutes !== 'number' || minutes < 0) return null;
+
+  const hours = Math.floor(minutes / 60);
+  const rest = Math.round(minutes % 60);
+  if (!hours && !rest) return 'PT0M';
+
+  return `PT${hours ? `${hours}H` : ''}${rest ? `${rest}M` : ''}`;
+};
+
+/**
+ * Read a time given by a client: minutes as a number or numeric string, or
+ * an ISO-8601 duration ("PT1H30M"). Returns null when it's neither or negative.
+ */
+exports.toMinutes = (value) => {
+  if (typeof value === 'number') return isFinite(value) && value >= 0 ? value : null;
+  if (typeof value !== 'string' || !value.trim()) return null;
+
+  if (/^\s*P/i.test(value)) return exports.parseDuration(value);
+  const minutes = Number(value);
+  return isFinite(minutes) && minutes >= 0 ? minutes : null;
+};
@@ -0,0 +1,119 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+
+const MAX_BYTES = 5 * 1024 * 1024;
+const TIMEOUT_MS = 10000;
+const MAX_REDIRECTS = 3;
+
+const fetchError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Loopback, private, link-local and unique-local ranges
+const isPrivateAddress = (address) => {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 10 || a === 127 || a === 0 ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 100 && b >= 64 && b <= 127);
+  }
+
+  const lower = address.toLowerCase();
+  if (lower.startsWith('::ffff:')) return isPrivateAddress(lower.slice(7));
+  return lower === '::1' || lower === '::' || lower.startsWith('fc') || lower.startsWith('fd') || lower.startsWith('fe80');
+};
+
+// Refuse URLs that would make the server call into its own network. Host
+// names are checked when the request connects (see safeLookup); addresses
+// written into the URL never go through a lookup, so they're checked here
+const assertPublicUrl = (url) => {
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw fetchError('Only http and https URLs can be imported');
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    throw fetchError('URLs on private networks cannot be imported');
+  }
+};
+
+// dns.lookup for the request itself, so the address that gets checked is the
+// one the socket connects to; a second lookup could answer differently
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(fetchError(`Could not resolve ${hostname}`));
+    if (!addresses.length || addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(fetchError('URLs on private networks cannot be imported'));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const request = (url) => new Promise((resolve, reject) => {
+  const client = url.protocol === 'https:' ? https : http;
+
+  const req = client.get(url, {
+    headers: {
+      'User-Agent': 'RecipeOrganizerImporter/1.0',
+      Accept: 'text/html,application/xhtml+xml'
+    },
+    timeout: TIMEOUT_MS,
+    lookup: safeLookup
+  }, (res) => {
+    if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+      res.resume();
+      return resolve({ redirect: new URL(res.headers.location, url) });
+    }
+
+    if (res.statusCode !== 200) {
+      res.resume();
+      return reject(fetchError(`Source page responded with HTTP ${res.statusCode}`, 502));
+    }
+
+    let size = 0;
+    const chunks = [];
+    res.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BYTES) {
+        req.destroy();
+        return reject(fetchError('Source page is too large to import', 413));
+      }
+      chunks.push(chunk);
+    });
+    res.on('end', () => resolve({ html: Buffer.concat(chunks).toString('utf8') }));
+    res.on('error', reject);
+  });
+
+  req.on('timeout', () => req.destroy(fetchError('Timed out fetching source page', 504)));
+  req.on('error', (error) => reject(error.statusCode ? error : fetchError(`Could not fetch source page: ${error.message}`, 502)));
+});
+
+/**
+ * Default fetcher for the recipe importer: GET a public web page and return its HTML.
+ * Any function with the same signature (url string -> Promise<string>) can replace it.
+ */
+exports.fetchHtml = async (rawUrl) => {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch (error) {
+    throw fetchError('Invalid URL');
+  }
+
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+    assertPublicUrl(url);
+    const result = await request(url);
+    if (result.html !== undefined) return result.html;
+    url = result.redirect;
+  }
+
+  throw fetchError('Too many redirects fetching source page', 502);
+};
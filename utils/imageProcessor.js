@@ -0,0 +1,90 @@
+const Jimp = require('jimp');
+
+const THUMBNAIL_SIZE = 400;
+const THUMBNAIL_QUALITY = 80;
+// Decoding needs four bytes per pixel, so a small file declaring a huge
+// canvas could take all the memory; such images are refused before decoding
+const MAX_PIXELS = 40 * 1000 * 1000;
+
+exports.ALLOWED_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif'
+};
+
+const badImage = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// JPEG frame headers (SOF0-SOF15, except DHT, JPG and DAC) hold the size
+const isStartOfFrame = (marker) => marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+
+// Width and height as declared in a PNG, GIF or JPEG header, or null
+const declaredSize = (buffer) => {
+  if (buffer.length >= 24 && buffer.toString('latin1', 1, 4) === 'PNG' && buffer.toString('latin1', 12, 16) === 'IHDR') {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  if (buffer.length >= 10 && buffer.toString('latin1', 0, 3) === 'GIF') {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 <= buffer.length) {
+      if (buffer[offset] !== 0xff) return null;
+      const marker = buffer[offset + 1];
+      if (marker === 0xff) {
+        offset++;
+        continue;
+      }
+      if (isStartOfFrame(marker)) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Read an uploaded image and generate a JPEG thumbnail that fits in a
+ * THUMBNAIL_SIZE square. Throws a 400-style error for unreadable images and
+ * for ones over MAX_PIXELS, which are checked from the header before decoding.
+ */
+exports.processImage = async (buffer) => {
+  const size = declaredSize(buffer);
+  if (!size) throw badImage('File is not a readable image');
+  if (size.width * size.height > MAX_PIXELS) {
+    throw badImage(`Image is too large: ${size.width}x${size.height} pixels (at most ${MAX_PIXELS / 1000000} megapixels)`);
+  }
+
+  let image;
+  try {
+    image = await Jimp.read(buffer);
+  } catch (error) {
+    throw badImage('File is not a readable image');
+  }
+
+  const { width, height } = image.bitmap;
+
+  const thumbnail = image.clone();
+  if (width > THUMBNAIL_SIZE || height > THUMBNAIL_SIZE) {
+    thumbnail.scaleToFit(THUMBNAIL_SIZE, THUMBNAIL_SIZE);
+  }
+  thumbnail.quality(THUMBNAIL_QUALITY);
+
+  return {
+    width,
+    height,
+    thumbnail: {
+      buffer: await thumbnail.getBufferAsync(Jimp.MIME_JPEG),
+      contentType: Jimp.MIME_JPEG,
+      width: thumbnail.bitmap.width,
+      height: thumbnail.bitmap.height
+    }
+  };
+};
@@ -0,0 +1,126 @@
+const { normalizeName } = require('./shoppingList');
+
+// Words that describe the state of an ingredient rather than what it is
+const DESCRIPTORS = new Set([
+  'fresh', 'freshly', 'dried', 'dry', 'chopped', 'diced', 'sliced', 'minced', 'grated', 'shredded', 'crushed',
+  'ground', 'whole', 'large', 'medium', 'small', 'boneless', 'skinless', 'raw', 'cooked', 'frozen',
+  'canned', 'tinned', 'organic', 'ripe', 'extra', 'virgin', 'plain', 'unsalted', 'salted', 'baby',
+  'of', 'and', 'a', 'the', 'for', 'to', 'taste', 'some'
+]);
+
+// Words that turn an ingredient into a different product: having chicken
+// doesn't mean having chicken stock, and peanuts aren't peanut butter
+const PRODUCT_WORDS = new Set([
+  'stock', 'broth', 'powder', 'sauce', 'paste', 'juice', 'zest', 'milk', 'butter', 'oil', 'flour',
+  'extract', 'vinegar', 'syrup', 'cream', 'cheese', 'jam', 'seed', 'flake', 'essence', 'water', 'wine'
+]);
+
+// Always assumed to be in the kitchen unless the caller says otherwise. They
+// only cover an ingredient with exactly the same words: "pepper" is not
+// "red bell pepper", nor "water" "coconut water"
+exports.STAPLES = [
+  'salt', 'sea salt', 'kosher salt', 'pepper', 'black pepper', 'water', 'oil', 'olive oil', 'vegetable oil'
+];
+
+/**
+ * Split an ingredient name into its meaningful, singular words.
+ */
+exports.tokenize = (name) => normalizeName(String(name || ''))
+  .split(/[\s-]+/)
+  .map(word => normalizeName(word))
+  .filter(word => word && !DESCRIPTORS.has(word));
+
+// One typo is tolerated in longer words ("tomatoe", "parmesean")
+const closeEnough = (a, b) => {
+  if (a === b) return true;
+  if (Math.min(a.length, b.length) < 5 || Math.abs(a.length - b.length) > 1) return false;
+
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+      continue;
+    }
+    if (++edits > 1) return false;
+    if (a.length > b.length) i++;
+    else if (b.length > a.length) j++;
+    else {
+      i++;
+      j++;
+    }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+};
+
+// Every word of `inner` appears in `outer`; returns the words of outer left over
+const extraWords = (inner, outer) => {
+  const remaining = [...outer];
+  for (const word of inner) {
+    const index = remaining.findIndex(other => closeEnough(word, other));
+    if (index === -1) return null;
+    remaining.splice(index, 1);
+  }
+  return remaining;
+};
+
+/**
+ * Does an ingredient on hand satisfy a recipe ingredient? Names match when
+ * the words of one contain the other ("chicken thighs" covers "chicken"),
+ * unless the extra words make it a different product ("chicken stock").
+ */
+exports.ingredientsMatch = (haveTokens, needTokens) => {
+  if (!haveTokens.length || !needTokens.length) return false;
+
+  const extra = extraWords(needTokens, haveTokens) || extraWords(haveTokens, needTokens);
+  return extra !== null && !extra.some(word => PRODUCT_WORDS.has(word));
+};
+
+const sameWords = (a, b) => a.length === b.length && [...a].sort().join(' ') === [...b].sort().join(' ');
+
+// Staples need the exact words; anything else goes through ingredientsMatch
+const covers = (item, tokens) => (item.staple
+  ? tokens.length > 0 && sameWords(item.tokens, tokens)
+  : exports.ingredientsMatch(item.tokens, tokens));
+
+/**
+ * Compare a recipe's ingredients with what's on hand.
+ *
+ * @param {object} recipe with structured ingredients
+ * @param {Array<{ name, tokens, staple? }>} available ingredients on hand, pre-tokenized;
+ *   those flagged staple only match an ingredient with the same words
+ * @param {Array<{ name, tokens }>} priority items to use up first
+ * @returns {{ matched, missing, priorityUsed, coverage }} coverage counts required (non-optional) ingredients
+ */
+exports.matchRecipe = (recipe, available, priority = []) => {
+  const matched = [];
+  const missing = [];
+  const priorityUsed = new Set();
+  let required = 0;
+
+  (recipe.ingredients || []).forEach(ingredient => {
+    const tokens = exports.tokenize(ingredient.name);
+    const have = available.find(item => covers(item, tokens));
+
+    priority
+      .filter(item => exports.ingredientsMatch(item.tokens, tokens))
+      .forEach(item => priorityUsed.add(item.name));
+
+    if (!ingredient.optional) required++;
+
+    if (have) {
+      matched.push({ ingredient: ingredient.name, using: have.name });
+    } else if (!ingredient.optional) {
+      missing.push(ingredient.name);
+    }
+  });
+
+  return {
+    matched,
+    missing,
+    priorityUsed: Array.from(priorityUsed),
+    coverage: required ? (required - missing.length) / required : 1
+  };
+};
@@ -0,0 +1,259 @@
+const { extractQuantity, parseQuantity, formatQuantity } = require('./quantity');
+
+// Canonical unit -> spellings we accept. Matching is case-insensitive except
+// for the single-letter "T"/"t" shorthands, which are handled separately.
+const UNIT_ALIASES = {
+  tsp: ['tsp', 'tsps', 'teaspoon', 'teaspoons'],
+  tbsp: ['tbsp', 'tbsps', 'tbs', 'tbl', 'tablespoon', 'tablespoons'],
+  cup: ['cup', 'cups', 'c'],
+  'fl oz': ['fl oz', 'fl. oz', 'fl. oz.', 'fluid ounce', 'fluid ounces'],
+  pint: ['pint', 'pints', 'pt'],
+  quart: ['quart', 'quarts', 'qt'],
+  gallon: ['gallon', 'gallons', 'gal'],
+  ml: ['ml', 'milliliter', 'milliliters', 'millilitre', 'millilitres'],
+  l: ['l', 'liter', 'liters', 'litre', 'litres'],
+  mg: ['mg', 'milligram', 'milligrams'],
+  g: ['g', 'gr', 'gram', 'grams', 'gramme', 'grammes'],
+  kg: ['kg', 'kilogram', 'kilograms', 'kilo', 'kilos'],
+  oz: ['oz', 'ounce', 'ounces'],
+  lb: ['lb', 'lbs', 'pound', 'pounds'],
+  pinch: ['pinch', 'pinches'],
+  dash: ['dash', 'dashes'],
+  clove: ['clove', 'cloves'],
+  can: ['can', 'cans', 'tin', 'tins'],
+  package: ['package', 'packages', 'pkg', 'pkgs', 'packet', 'packets'],
+  slice: ['slice', 'slices'],
+  stick: ['stick', 'sticks'],
+  piece: ['piece', 'pieces'],
+  bunch: ['bunch', 'bunches'],
+  sprig: ['sprig', 'sprigs'],
+  handful: ['handful', 'handfuls'],
+  head: ['head', 'heads']
+};
+
+const ALIAS_TO_UNIT = Object.entries(UNIT_ALIASES).reduce((acc, [unit, aliases]) => {
+  aliases.forEach(alias => { acc[alias] = unit; });
+  return acc;
+}, {});
+
+// Longest aliases first so "fl oz" wins over "oz" and "cups" over "c"
+const SORTED_ALIASES = Object.keys(ALIAS_TO_UNIT).sort((a, b) => b.length - a.length);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const UNIT_PATTERN = new RegExp(
+  `^(${SORTED_ALIASES.map(escapeRegex).join('|')})(?=[\\s.,)]|$)\\.?`,
+  'i'
+);
+
+const OPTIONAL_PATTERN = /(?:^optional:?\s*|\s*\(optional\)|,?\s*optional$)/i;
+
+/**
+ * Map a unit spelling onto its canonical form ("Tablespoons" -> "tbsp").
+ * Unknown units are returned trimmed and lower-cased.
+ */
+exports.normalizeUnit = (unit) => {
+  if (!unit || typeof unit !== 'string') return undefined;
+  const trimmed = unit.trim();
+  if (!trimmed) return undefined;
+  if (trimmed === 'T') return 'tbsp';
+  if (trimmed === 't') return 'tsp';
+  const lower = trimmed.toLowerCase().replace(/\.$/, '');
+  return ALIAS_TO_UNIT[lower] || ALIAS_TO_UNIT[`${lower}.`] || lower;
+};
+
+const readUnit = (text) => {
+  // Single-letter shorthands are case-sensitive: "1 T sugar" vs "1 t salt"
+  const shorthand = text.match(/^([Tt])(?=\s)/);
+  if (shorthand) {
+    return { unit: shorthand[1] === 'T' ? 'tbsp' : 'tsp', rest: text.slice(1).trim() };
+  }
+
+  const match = text.match(UNIT_PATTERN);
+  if (!match) return null;
+
+  return {
+    unit: ALIAS_TO_UNIT[match[1].toLowerCase()],
+    rest: text.slice(match[0].length).trim()
+  };
+};
+
+/**
+ * Parse a free-text ingredient line into structured form.
+ *
+ *   "2 1/2 cups flour, sifted"
+ *   -> { quantity: 2.5, unit: 'cup', name: 'flour', preparation: 'sifted', optional: false }
+ */
+exports.parseIngredient = (line) => {
+  let text = String(line).trim().replace(/\s+/g, ' ');
+  const ingredient = { name: text, optional: false };
+
+  if (OPTIONAL_PATTERN.test(text)) {
+    ingredient.optional = true;
+    text = text.replace(OPTIONAL_PATTERN, '').trim();
+  }
+
+  const notes = [];
+
+  const quantity = extractQuantity(text);
+  if (quantity) {
+    ingredient.quantity = quantity.quantity;
+    if (quantity.quantityMax !== null && quantity.quantityMax > quantity.quantity) {
+      ingredient.quantityMax = quantity.quantityMax;
+    }
+    text = quantity.rest;
+
+    // "1 (14 oz) can tomatoes" - keep the package size as a note
+    const packageSize = text.match(/^\(([^)]*)\)\s*/);
+    if (packageSize) {
+      notes.push(packageSize[1].trim());
+      text = text.slice(packageSize[0].length);
+    }
+
+    const unit = readUnit(text);
+    if (unit && unit.rest) {
+      ingredient.unit = unit.unit;
+      text = unit.rest;
+    }
+  }
+
+  text = text.replace(/^of\s+/i, '');
+
+  // Everything after the first top-level comma is preparation ("onion, finely diced")
+  let depth = 0;
+  let splitAt = -1;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '(') depth++;
+    if (text[i] === ')') depth = Math.max(0, depth - 1);
+    if (text[i] === ',' && depth === 0) {
+      splitAt = i;
+      break;
+    }
+  }
+
+  if (splitAt !== -1) {
+    const preparation = text.slice(splitAt + 1).trim();
+    if (preparation) notes.push(preparation);
+    text = text.slice(0, splitAt).trim();
+  }
+
+  ingredient.name = text || ingredient.name;
+  if (notes.length) {
+    ingredient.preparation = notes.join(', ');
+  }
+
+  return ingredient;
+};
+
+/**
+ * Accept either a free-text line or a structured object and return a clean
+ * structured ingredient. Returns null for empty input.
+ */
+exports.normalizeIngredient = (input) => {
+  if (typeof input === 'string') {
+    return input.trim() ? exports.parseIngredient(input) : null;
+  }
+
+  if (!input || typeof input !== 'object') return null;
+
+  // An object with only a raw line, e.g. { text: '2 eggs' }
+  if (!input.name && typeof input.text === 'string') {
+    return exports.normalizeIngredient(input.text);
+  }
+
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name) return null;
+
+  const ingredient = {
+    name,
+    optional: input.optional === true || input.optional === 'true'
+  };
+
+  const quantity = parseQuantity(input.quantity);
+  if (quantity !== null) ingredient.quantity = quantity;
+
+  const quantityMax = parseQuantity(input.quantityMax);
+  if (quantity !== null && quantityMax !== null && quantityMax > quantity) {
+    ingredient.quantityMax = quantityMax;
+  }
+
+  const unit = exports.normalizeUnit(input.unit);
+  if (unit) ingredient.unit = unit;
+
+  if (typeof input.preparation === 'string' && input.preparation.trim()) {
+    ingredient.preparation = input.preparation.trim();
+  }
+
+  return ingredient;
+};
+
+exports.normalizeIngredients = (ingredients) => (ingredients || [])
+  .map(exports.normalizeIngredient)
+  .filter(Boolean);
+
+// Units written out as words take a plural; abbreviations ("tbsp", "g") don't
+const WORD_UNITS = [
+  'cup', 'pint', 'quart', 'gallon', 'pinch', 'dash', 'clove', 'can', 'package', 'slice', 'stick', 'piece',
+  'bunch', 'sprig', 'handful', 'head'
+];
+
+// Names that read the same for any amount ("2 garlic" is rare, "2 garlics" wrong)
+const UNCOUNTABLE = new Set([
+  'garlic', 'salt', 'pepper', 'water', 'rice', 'flour', 'sugar', 'butter', 'milk', 'oil', 'bread', 'cheese',
+  'parsley', 'cilantro', 'basil', 'thyme', 'rosemary', 'ginger', 'fish', 'spinach', 'lettuce', 'celery'
+]);
+
+// Naive English inflection of the last word, keeping its case
+const pluralWord = (word) => {
+  if (/[^aeiou]y$/i.test(word)) return `${word.slice(0, -1)}ies`;
+  if (/(?:s|x|z|ch|sh|[^aeiou]o)$/i.test(word)) return `${word}es`;
+  return `${word}s`;
+};
+
+const singularWord = (word) => {
+  if (/[^aeiou]ies$/i.test(word)) return `${word.slice(0, -3)}y`;
+  if (/(?:oes|ches|shes|sses|xes)$/i.test(word)) return word.slice(0, -2);
+  if (/[^su]s$/i.test(word)) return word.slice(0, -1);
+  return word;
+};
+
+const isPluralWord = (word) => singularWord(word) !== word;
+
+// "cup" -> "cups" for more than one
+const unitFor = (unit, plural) => (plural && WORD_UNITS.includes(unit) ? pluralWord(unit) : unit);
+
+// Without a unit the name is what's counted: "1 egg", "2 eggs"
+const nameFor = (name, plural) => {
+  const match = String(name).match(/^(.*?)([A-Za-z]+)$/);
+  if (!match || UNCOUNTABLE.has(match[2].toLowerCase())) return name;
+
+  const [, head, last] = match;
+  if (plural && !isPluralWord(last)) return `${head}${pluralWord(last)}`;
+  if (!plural && isPluralWord(last)) return `${head}${singularWord(last)}`;
+  return name;
+};
+
+/**
+ * Render a structured ingredient back into a single readable line, with
+ * units and counted names in the plural for more than one.
+ */
+exports.formatIngredient = (ingredient) => {
+  if (!ingredient) return '';
+  if (typeof ingredient === 'string') return ingredient;
+
+  const parts = [];
+  const hasQuantity = typeof ingredient.quantity === 'number';
+  const plural = hasQuantity && (ingredient.quantityMax || ingredient.quantity) > 1;
+  if (ingredient.quantity !== undefined && ingredient.quantity !== null) {
+    parts.push(ingredient.quantityMax
+      ? `${formatQuantity(ingredient.quantity)}-${formatQuantity(ingredient.quantityMax)}`
+      : formatQuantity(ingredient.quantity));
+  }
+  if (ingredient.unit) parts.push(unitFor(ingredient.unit, plural));
+  parts.push(hasQuantity && !ingredient.unit ? nameFor(ingredient.name, plural) : ingredient.name);
+
+  let line = parts.join(' ');
+  if (ingredient.preparation) line += `, ${ingredient.preparation}`;
+  if (ingredient.optional) line += ' (optional)';
+  return line;
+};
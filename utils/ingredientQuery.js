@@ -0,0 +1,103 @@
+// Boolean ingredient queries for search: "chicken AND NOT mushroom",
+// "(beef OR lamb) AND \"red wine\"". Operators are upper case so that
+// "salt and pepper" is still read as one ingredient; words next to each other
+// form a phrase. Every term matches ingredient names case-insensitively from
+// the start of a word.
+
+const MAX_TERMS = 20;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+const queryError = (message) => {
+  const error = new Error(`Invalid ingredient query: ${message}`);
+  error.statusCode = 400;
+  return error;
+};
+
+// -> [{ type: 'term', value }, { type: 'AND' }, { type: '(' }, ...]
+const tokenize = (text) => {
+  const tokens = [];
+  const pattern = /\s*(?:(\()|(\))|"([^"]*)"?|([^\s()"]+))/g;
+  let match;
+
+  while ((match = pattern.exec(text)) && match[0]) {
+    const [, open, close, quoted, word] = match;
+    if (open || close) {
+      tokens.push({ type: open || close });
+    } else if (quoted !== undefined) {
+      if (quoted.trim()) tokens.push({ type: 'term', value: quoted.trim(), quoted: true });
+    } else if (OPERATORS.includes(word)) {
+      tokens.push({ type: word });
+    } else {
+      // Bare words run together into one phrase
+      const last = tokens[tokens.length - 1];
+      if (last && last.type === 'term' && !last.quoted) last.value += ` ${word}`;
+      else tokens.push({ type: 'term', value: word });
+    }
+  }
+  return tokens;
+};
+
+const termFilter = (value) => ({
+  'ingredients.name': new RegExp(`\\b${escapeRegex(value)}`, 'i')
+});
+
+const combine = (operator, filters) => (filters.length === 1 ? filters[0] : { [operator]: filters });
+
+/**
+ * Parse an ingredient query into a Mongo filter on ingredients.name.
+ * Precedence is NOT, then AND (also implied between quoted terms or groups),
+ * then OR. Throws an error with statusCode 400 when the query is malformed.
+ */
+exports.parseIngredientQuery = (text) => {
+  const tokens = tokenize(String(text || ''));
+  if (!tokens.length) throw queryError('it is empty');
+  if (tokens.filter(token => token.type === 'term').length > MAX_TERMS) {
+    throw queryError(`use at most ${MAX_TERMS} ingredients`);
+  }
+
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  let parseOr;
+
+  const parseOperand = () => {
+    const token = next();
+    if (!token) throw queryError('it ends where an ingredient was expected');
+
+    if (token.type === 'NOT') return { $nor: [parseOperand()] };
+    if (token.type === 'term') return termFilter(token.value);
+    if (token.type === '(') {
+      const inner = parseOr();
+      if (!peek() || peek().type !== ')') throw queryError('a "(" is never closed');
+      next();
+      return inner;
+    }
+    throw queryError(`unexpected "${token.type}"`);
+  };
+
+  const parseAnd = () => {
+    const filters = [parseOperand()];
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') next();
+      filters.push(parseOperand());
+    }
+    return combine('$and', filters);
+  };
+
+  parseOr = () => {
+    const filters = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      next();
+      filters.push(parseAnd());
+    }
+    return combine('$or', filters);
+  };
+
+  const filter = parseOr();
+  if (position < tokens.length) throw queryError(`unexpected "${peek().type}"`);
+  return filter;
+};
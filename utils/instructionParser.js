@@ -0,0 +1,194 @@
+const { parseQuantity } = require('./quantity');
+const { toMinutes } = require('./duration');
+
+// Limits shared by the model, validateRecipe and the importer
+exports.MAX_STEPS = 100;
+exports.STEP_MAX_LENGTH = 2000;
+exports.SECTION_MAX_LENGTH = 100;
+
+// "Step 2:", "2.", "2)" or a bullet at the start of a line; "1.5 hours" is left alone
+const NUMBERING_PATTERN = /^\s*(?:step\s*\d+\s*[.):-]?\s*|\d+\s*[.):](?!\d)\s*|[-*•]\s+)/i;
+
+// "## For the sauce", or a short line ending in a colon such as "For the sauce:"
+const MARKDOWN_HEADING_PATTERN = /^#+\s*(.+?)\s*:?$/;
+const COLON_HEADING_PATTERN = /^([^.!?,;\d]+?)\s*:$/;
+const COLON_HEADING_MAX_WORDS = 6;
+
+// A colon line that starts like an instruction ("Mix the following:") is a step
+const STEP_VERBS = new Set([
+  'add', 'arrange', 'bake', 'beat', 'blend', 'boil', 'bring', 'brush', 'chill', 'chop', 'combine', 'cook',
+  'cover', 'cut', 'dice', 'drain', 'drizzle', 'fold', 'fry', 'grate', 'grill', 'heat', 'knead', 'let', 'melt',
+  'mix', 'place', 'pour', 'preheat', 'prepare', 'put', 'reduce', 'remove', 'rinse', 'roast', 'roll', 'saute',
+  'season', 'serve', 'simmer', 'slice', 'spread', 'sprinkle', 'stir', 'strain', 'take', 'toss', 'transfer',
+  'use', 'wash', 'whisk'
+]);
+
+// A line of three or more dashes ends a section; steps after it have none
+const SECTION_END_PATTERN = /^-{3,}$/;
+
+const NUMBER = '\\d+\\s+\\d+\\s*/\\s*\\d+|\\d+\\s*/\\s*\\d+|\\d+(?:[.,]\\d+)?[½¼¾⅓⅔]?|[½¼¾⅓⅔]';
+const DURATION_PATTERN = new RegExp(
+  `(${NUMBER})(?:\\s*(?:-|–|to)\\s*(${NUMBER}))?\\s*(hours?|hrs?|minutes?|mins?|seconds?|secs?)\\b`,
+  'gi'
+);
+
+const unitMinutes = (unit) => {
+  const word = unit.toLowerCase();
+  if (word.startsWith('h')) return 60;
+  if (word.startsWith('m')) return 1;
+  return 1 / 60;
+};
+
+const roundMinutes = (minutes) => Math.round(minutes * 100) / 100;
+
+/**
+ * Find the first time span mentioned in a step ("simmer for 10-15 minutes",
+ * "bake 1 hour 20 minutes") and return it in minutes, or null if there's none.
+ * @returns {{ duration: number, durationMax?: number }|null}
+ */
+exports.detectDuration = (text) => {
+  const matches = [...String(text || '').matchAll(DURATION_PATTERN)];
+  if (!matches.length) return null;
+
+  const [first, second] = matches;
+  const factor = unitMinutes(first[3]);
+  let duration = parseQuantity(first[1]) * factor;
+  let durationMax = first[2] ? parseQuantity(first[2]) * factor : null;
+
+  // "1 hour 30 minutes": a smaller unit straight after adds to the first
+  const joined = second &&
+    unitMinutes(second[3]) < factor &&
+    /^\s*(?:and\s+)?$/i.test(text.slice(first.index + first[0].length, second.index));
+  if (joined && !durationMax) {
+    duration += parseQuantity(second[1]) * unitMinutes(second[3]);
+  }
+
+  if (!(duration > 0)) return null;
+
+  const result = { duration: roundMinutes(duration) };
+  if (durationMax > duration) result.durationMax = roundMinutes(durationMax);
+  return result;
+};
+
+const headingOf = (line) => {
+  if (line.length > exports.SECTION_MAX_LENGTH) return null;
+
+  const markdown = line.match(MARKDOWN_HEADING_PATTERN);
+  if (markdown) return markdown[1].trim();
+
+  const colon = line.match(COLON_HEADING_PATTERN);
+  if (!colon) return null;
+  const words = colon[1].trim().split(/\s+/);
+  if (words.length > COLON_HEADING_MAX_WORDS || STEP_VERBS.has(words[0].toLowerCase())) return null;
+  return colon[1].trim();
+};
+
+// One step from a line of text or a { text, section, duration } object
+const normalizeStep = (input, section) => {
+  if (typeof input === 'string') {
+    const text = input.replace(NUMBERING_PATTERN, '').trim();
+    if (!text) return null;
+
+    const step = { text };
+    if (section) step.section = section;
+    return { ...step, ...exports.detectDuration(text) };
+  }
+
+  const text = typeof input.text === 'string' ? input.text.replace(NUMBERING_PATTERN, '').trim() : '';
+  if (!text) return null;
+
+  // A step that names its section (even an empty one) keeps it; only steps
+  // without one fall under the heading before them
+  const step = { text };
+  const ownSection = 'section' in input
+    ? (typeof input.section === 'string' ? input.section.trim() : '')
+    : section;
+  if (ownSection) step.section = ownSection;
+
+  // A duration the client left out is read from the text; null means no timer
+  if (input.duration === undefined) {
+    Object.assign(step, exports.detectDuration(text));
+  } else if (input.duration !== null) {
+    const duration = toMinutes(input.duration);
+    if (duration !== null) step.duration = duration;
+
+    const durationMax = input.durationMax === undefined || input.durationMax === null
+      ? null
+      : toMinutes(input.durationMax);
+    if (duration !== null && durationMax !== null && durationMax > duration) step.durationMax = durationMax;
+  }
+
+  return step;
+};
+
+// Legacy text -> lines: one step per line, or per number in "1. Mix. 2. Bake."
+const splitLines = (text) => {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines.length === 1 && /^\s*1\s*[.)]\s/.test(lines[0])) {
+    return lines[0].split(/\s+(?=\d+\s*[.)]\s)/);
+  }
+  return lines;
+};
+
+/**
+ * Turn instructions into an ordered list of steps. Accepts the legacy single
+ * string, an array of lines, or an array of { text, section, duration } steps.
+ * A heading line such as "For the sauce:" or "## For the sauce" (or
+ * { section } without text) starts a section that applies to the steps after
+ * it, up to the next heading or a "---" line. Steps given as objects with
+ * their own section key keep that section.
+ *
+ *   "For the sauce:\n1. Simmer the tomatoes for 20 minutes."
+ *   -> [{ text: 'Simmer the tomatoes for 20 minutes.', section: 'For the sauce', duration: 20 }]
+ */
+exports.normalizeInstructions = (instructions) => {
+  const items = typeof instructions === 'string' ? splitLines(instructions) : instructions || [];
+  const steps = [];
+  let section = null;
+
+  items.forEach(item => {
+    if (typeof item === 'string') {
+      if (SECTION_END_PATTERN.test(item.trim())) {
+        section = null;
+        return;
+      }
+      const heading = headingOf(item.trim());
+      if (heading) {
+        section = heading;
+        return;
+      }
+    } else if (!item || typeof item !== 'object') {
+      return;
+    } else if (!item.text && typeof item.section === 'string' && item.section.trim()) {
+      section = item.section.trim();
+      return;
+    }
+
+    const step = normalizeStep(item, section);
+    if (step) steps.push(step);
+  });
+
+  return steps;
+};
+
+// "For the sauce:" where that reads back as the same heading, "## ..." otherwise
+const formatHeading = (section) => (headingOf(`${section}:`) === section ? `${section}:` : `## ${section}`);
+
+/**
+ * Render steps as numbered plain text, with section headings on their own
+ * lines and "---" where a section ends before the last step. Reading it back
+ * with normalizeInstructions gives the same steps.
+ */
+exports.formatInstructions = (steps) => {
+  if (typeof steps === 'string') return steps;
+
+  const lines = [];
+  let section = null;
+  (steps || []).forEach((step, index) => {
+    if (step.section && step.section !== section) lines.push(formatHeading(step.section));
+    else if (!step.section && section) lines.push('---');
+    section = step.section || null;
+    lines.push(`${index + 1}. ${step.text}`);
+  });
+  return lines.join('\n');
+};
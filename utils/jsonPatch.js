@@ -0,0 +1,170 @@
+// JSON Merge Patch (RFC 7386) and JSON Patch (RFC 6902) on plain JSON values.
+// Both return a new value and leave the input untouched. Invalid patches throw
+// an error with statusCode 400; a failing JSON Patch "test" throws 409.
+
+const patchError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+// Structural equality of JSON values (RFC 6902 §4.6): key order doesn't matter
+const deepEqual = (a, b) => {
+  if (a === b) return true;
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length &&
+      a.every((value, index) => deepEqual(value, b[index]));
+  }
+  if (!isObject(a) || !isObject(b)) return false;
+
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length &&
+    keys.every(key => hasOwn(b, key) && deepEqual(a[key], b[key]));
+};
+
+// Keys that would reach Object.prototype instead of the document
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Apply a JSON Merge Patch: objects merge key by key, null removes a key and
+ * anything else (arrays included) replaces the target value.
+ */
+exports.applyMergePatch = (target, patch) => {
+  if (!isObject(patch)) return clone(patch);
+
+  const result = isObject(target) ? clone(target) : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (FORBIDDEN_KEYS.includes(key)) throw patchError(`Invalid key: ${key}`);
+    if (value === null) delete result[key];
+    else result[key] = exports.applyMergePatch(result[key], value);
+  });
+  return result;
+};
+
+// "/ingredients/0/name" -> ['ingredients', '0', 'name']
+const parsePointer = (pointer) => {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw patchError(`Invalid JSON pointer: ${pointer}`);
+  }
+  const tokens = pointer === ''
+    ? []
+    : pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (tokens.some(token => FORBIDDEN_KEYS.includes(token))) throw patchError(`Invalid JSON pointer: ${pointer}`);
+  return tokens;
+};
+
+// Resolve the container holding the last token of a path
+const locate = (doc, tokens, pointer) => {
+  let parent = doc;
+  for (const token of tokens.slice(0, -1)) {
+    const next = hasOwn(parent, token) ? parent[token] : undefined;
+    if (next === undefined || next === null || typeof next !== 'object') {
+      throw patchError(`Path not found: ${pointer}`);
+    }
+    parent = next;
+  }
+  return { parent, key: tokens[tokens.length - 1] };
+};
+
+const arrayIndex = (array, key, pointer, { allowEnd }) => {
+  if (allowEnd && key === '-') return array.length;
+  if (!/^(0|[1-9][0-9]*)$/.test(key)) throw patchError(`Invalid array index in ${pointer}`);
+
+  const index = Number(key);
+  if (index > array.length || (!allowEnd && index === array.length)) {
+    throw patchError(`Array index out of range: ${pointer}`);
+  }
+  return index;
+};
+
+const getValue = (doc, pointer) => {
+  const tokens = parsePointer(pointer);
+  if (!tokens.length) return doc;
+
+  const { parent, key } = locate(doc, tokens, pointer);
+  const value = Array.isArray(parent)
+    ? parent[arrayIndex(parent, key, pointer, { allowEnd: false })]
+    : (hasOwn(parent, key) ? parent[key] : undefined);
+  if (value === undefined) throw patchError(`Path not found: ${pointer}`);
+  return value;
+};
+
+const addValue = (doc, pointer, value) => {
+  const tokens = parsePointer(pointer);
+  if (!tokens.length) return clone(value);
+
+  const { parent, key } = locate(doc, tokens, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key, pointer, { allowEnd: true }), 0, clone(value));
+  } else {
+    parent[key] = clone(value);
+  }
+  return doc;
+};
+
+const removeValue = (doc, pointer) => {
+  const tokens = parsePointer(pointer);
+  if (!tokens.length) throw patchError('Cannot remove the whole document');
+
+  const { parent, key } = locate(doc, tokens, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key, pointer, { allowEnd: false }), 1);
+  } else {
+    if (!hasOwn(parent, key)) throw patchError(`Path not found: ${pointer}`);
+    delete parent[key];
+  }
+  return doc;
+};
+
+/**
+ * Apply a JSON Patch: a list of add/remove/replace/move/copy/test operations,
+ * all or nothing.
+ */
+exports.applyJsonPatch = (target, operations) => {
+  if (!Array.isArray(operations)) throw patchError('A JSON Patch must be an array of operations');
+
+  return operations.reduce((doc, operation, index) => {
+    if (!isObject(operation) || typeof operation.op !== 'string') {
+      throw patchError(`Operation ${index + 1} must be an object with an op`);
+    }
+    const { op, path, from, value } = operation;
+
+    if (['add', 'replace', 'test'].includes(op) && !('value' in operation)) {
+      throw patchError(`Operation ${index + 1} (${op}) needs a value`);
+    }
+    if (typeof path !== 'string') throw patchError(`Operation ${index + 1} (${op}) needs a path`);
+    if (['move', 'copy'].includes(op) && typeof from !== 'string') {
+      throw patchError(`Operation ${index + 1} (${op}) needs a from`);
+    }
+
+    switch (op) {
+      case 'add':
+        return addValue(doc, path, value);
+      case 'remove':
+        return removeValue(doc, path);
+      case 'replace':
+        getValue(doc, path);
+        return addValue(removeValue(doc, path), path, value);
+      case 'move': {
+        if (path.startsWith(`${from}/`)) throw patchError(`Cannot move ${from} into itself`);
+        const moved = getValue(doc, from);
+        return addValue(removeValue(doc, from), path, moved);
+      }
+      case 'copy':
+        return addValue(doc, path, getValue(doc, from));
+      case 'test':
+        if (!deepEqual(getValue(doc, path), value)) {
+          throw patchError(`Test failed at ${path}`, 409);
+        }
+        return doc;
+      default:
+        throw patchError(`Unknown operation "${op}" in operation ${index + 1}`);
+    }
+  }, clone(target));
+};
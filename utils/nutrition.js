@@ -0,0 +1,136 @@
+const nutrientData = require('../data/nutrients.json');
+const { convert, dimensionOf } = require('./unitConverter');
+const { formatIngredient } = require('./ingredientParser');
+
+// Nutrient key -> unit, in display order
+exports.NUTRIENTS = nutrientData.nutrients;
+const NUTRIENT_KEYS = Object.keys(exports.NUTRIENTS);
+
+// Rough weights for the tiny amounts, whatever the ingredient
+const TINY_UNIT_GRAMS = {
+  pinch: 0.35,
+  dash: 0.6
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole words with an optional plural ending; the longest matching name wins
+// so "peanut butter" isn't butter and "chicken stock" isn't chicken
+const FOOD_MATCHERS = nutrientData.foods.flatMap(food =>
+  [food.name, ...(food.aliases || [])].map(alias => ({
+    food,
+    length: alias.length,
+    pattern: new RegExp(`\\b${escapeRegex(alias)}(?:s|es)?\\b`, 'i')
+  }))
+);
+
+/**
+ * Find the nutrient database entry for an ingredient name, or null.
+ */
+exports.matchFood = (name) => {
+  if (!name) return null;
+
+  let best = null;
+  FOOD_MATCHERS.forEach(matcher => {
+    if (matcher.pattern.test(name) && (!best || matcher.length > best.length)) {
+      best = matcher;
+    }
+  });
+  return best ? best.food : null;
+};
+
+/**
+ * Estimate the weight in grams of an ingredient amount, or null when the
+ * unit can't be turned into a weight for this food.
+ */
+exports.toGrams = (quantity, unit, food) => {
+  const dimension = dimensionOf(unit);
+
+  if (dimension === 'weight') return convert(quantity, unit, 'g');
+  // Volumes need a density; liquids without one are close enough to water
+  if (dimension === 'volume') return convert(quantity, unit, 'ml') * (food.density || 1);
+
+  const units = food.units || {};
+  if (!unit) return units.each ? quantity * units.each : null;
+  if (units[unit]) return quantity * units[unit];
+  if (TINY_UNIT_GRAMS[unit]) return quantity * TINY_UNIT_GRAMS[unit];
+  return null;
+};
+
+const emptyNutrients = () => NUTRIENT_KEYS.reduce((acc, key) => {
+  acc[key] = 0;
+  return acc;
+}, {});
+
+/**
+ * Round nutrient values for display: whole kcal and mg, one decimal for grams.
+ */
+exports.roundNutrients = (values) => NUTRIENT_KEYS.reduce((acc, key) => {
+  const value = values[key] || 0;
+  acc[key] = exports.NUTRIENTS[key] === 'g' ? Math.round(value * 10) / 10 : Math.round(value);
+  return acc;
+}, {});
+
+/**
+ * Multiply every nutrient value by a factor (e.g. per-serving -> N servings).
+ */
+exports.scaleNutrients = (values, factor) => exports.roundNutrients(
+  NUTRIENT_KEYS.reduce((acc, key) => {
+    acc[key] = (values[key] || 0) * factor;
+    return acc;
+  }, {})
+);
+
+/**
+ * Work out the nutrition of a recipe from its structured ingredients.
+ *
+ * Ingredients that can't be matched to a food, or whose amount can't be
+ * weighed ("salt to taste", "1 bunch" of something without a bunch weight),
+ * are left out of the totals and reported in `ingredients` so the caller can
+ * judge coverage. Optional ingredients are never counted.
+ *
+ * @returns {{ total, perServing, servings, matchedIngredients, totalIngredients, ingredients }}
+ */
+exports.calculateNutrition = (recipe) => {
+  const total = emptyNutrients();
+  const ingredients = (recipe.ingredients || []).map(ingredient => {
+    const result = { ingredient: formatIngredient(ingredient), food: null, grams: null };
+
+    if (ingredient.optional) return { ...result, status: 'optional' };
+
+    const food = exports.matchFood(ingredient.name);
+    if (!food) return { ...result, status: 'unmatched' };
+    result.food = food.name;
+
+    if (typeof ingredient.quantity !== 'number') {
+      // Nothing measurable: "salt to taste", "oil for frying"
+      return { ...result, status: 'no-quantity' };
+    }
+
+    // Use the middle of a range like "2-3 cloves"
+    const quantity = typeof ingredient.quantityMax === 'number'
+      ? (ingredient.quantity + ingredient.quantityMax) / 2
+      : ingredient.quantity;
+
+    const grams = exports.toGrams(quantity, ingredient.unit, food);
+    if (grams === null) return { ...result, status: 'unknown-unit' };
+
+    NUTRIENT_KEYS.forEach(key => {
+      total[key] += (food.per100g[key] || 0) * grams / 100;
+    });
+
+    return { ...result, grams: Math.round(grams), status: 'matched' };
+  });
+
+  // Recipes without servings are treated as a single serving
+  const servings = recipe.servings || 1;
+
+  return {
+    total: exports.roundNutrients(total),
+    perServing: exports.scaleNutrients(total, 1 / servings),
+    servings,
+    matchedIngredients: ingredients.filter(item => item.status === 'matched').length,
+    totalIngredients: ingredients.length,
+    ingredients
+  };
+};
@@ -0,0 +1,168 @@
+// Page and cursor pagination plus sparse fieldsets for recipe lists.
+//
+// Page mode (?page=&limit=) counts the matches on every request. Cursor mode
+// (?cursor=, empty for the first page) doesn't: each page returns an opaque
+// nextCursor that picks up after the last recipe, so infinite scroll stays
+// correct while recipes are added. Invalid cursors throw an error with
+// statusCode 400.
+
+exports.DEFAULT_PAGE_SIZE = 10;
+exports.MAX_PAGE_SIZE = 50;
+
+// Fields a client can ask for with ?fields=; _id is always included
+exports.LIST_FIELDS = [
+  'title', 'ingredients', 'instructions', 'prepTime', 'cookTime', 'restTime', 'totalTime', 'servings',
+  'difficulty', 'tags', 'images', 'owner', 'nutrition', 'dietary', 'averageRating', 'ratingCount',
+  'timesCooked', 'forkedFrom', 'createdAt', 'updatedAt'
+];
+
+const cursorError = () => {
+  const error = new Error('Invalid or expired cursor; start again without one');
+  error.statusCode = 400;
+  return error;
+};
+
+// Larger limits are capped rather than refused so older clients keep working
+exports.pageSize = (limit) => Math.min(parseInt(limit) || exports.DEFAULT_PAGE_SIZE, exports.MAX_PAGE_SIZE);
+
+// "title,tags" -> ['title', 'tags'], or null for every field
+exports.parseFields = (fields) => (fields
+  ? [...new Set(fields.split(',').map(field => field.trim()).filter(Boolean))]
+  : null);
+
+const encode = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+const decode = (cursor) => {
+  try {
+    const data = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (data && typeof data === 'object') return data;
+  } catch (error) {
+    // fall through
+  }
+  throw cursorError();
+};
+
+// Cursors only make sense with the sort they were made for
+const signatureOf = (sort) => Object.entries(sort)
+  .map(([field, direction]) => `${field}:${typeof direction === 'object' ? 'score' : direction}`)
+  .join(',');
+
+const ranksByRelevance = (sort) => Object.values(sort).some(direction => typeof direction === 'object');
+
+const valueAt = (doc, path) => {
+  const value = path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), doc);
+  return value === undefined ? null : value;
+};
+
+// Mongo sorts missing and null values before everything else
+const isAfter = (field, value, direction) => {
+  if (direction === 1) return { [field]: value === null ? { $ne: null } : { $gt: value } };
+  return value === null ? null : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+// Recipes that come after `values` in the sort: greater on the first field,
+// or equal on it and greater on the next, and so on down to _id
+const afterValues = (sort, values) => {
+  const fields = Object.entries(sort);
+  const branches = fields
+    .map(([field, direction], index) => {
+      const after = isAfter(field, values[index], direction);
+      if (!after) return null;
+      const equal = fields.slice(0, index).map(([previous], i) => ({ [previous]: values[i] }));
+      return equal.length ? { $and: [...equal, after] } : after;
+    })
+    .filter(Boolean);
+  return { $or: branches };
+};
+
+/**
+ * Run one page of a recipe list.
+ *
+ * @param {Model} Model
+ * @param {object} filter
+ * @param {object} options sort (ending in _id unless it ranks by text score),
+ *   select, limit, and either page or cursor (undefined for page mode)
+ * @returns {Promise<{ docs, pagination }>}
+ */
+exports.findPage = async (Model, filter, { sort, select, limit, page = 1, cursor }) => {
+  const find = (conditions) => {
+    const query = Model.find(conditions).sort(sort);
+    return select ? query.select(select) : query;
+  };
+
+  if (cursor === undefined) {
+    const [docs, total] = await Promise.all([
+      find(filter).skip((page - 1) * limit).limit(limit),
+      Model.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      docs,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        limit,
+        total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    };
+  }
+
+  const signature = signatureOf(sort);
+  const position = cursor ? decode(cursor) : null;
+  if (position && position.sort !== signature) throw cursorError();
+
+  // Text scores can't be filtered on, so relevance-ranked cursors hold an offset
+  let docs;
+  if (ranksByRelevance(sort)) {
+    const offset = position ? position.offset : 0;
+    if (!Number.isInteger(offset) || offset < 0) throw cursorError();
+    docs = await find(filter).skip(offset).limit(limit + 1);
+  } else {
+    const fields = Object.keys(sort);
+    if (position && (!Array.isArray(position.values) || position.values.length !== fields.length)) {
+      throw cursorError();
+    }
+    const conditions = position
+      ? { ...filter, $and: [...(filter.$and || []), afterValues(sort, position.values)] }
+      : filter;
+    docs = await find(conditions).limit(limit + 1);
+  }
+
+  const hasNext = docs.length > limit;
+  if (hasNext) docs = docs.slice(0, limit);
+
+  let nextCursor = null;
+  if (hasNext && ranksByRelevance(sort)) {
+    nextCursor = encode({ sort: signature, offset: (position ? position.offset : 0) + limit });
+  } else if (hasNext) {
+    const last = docs[docs.length - 1];
+    nextCursor = encode({ sort: signature, values: Object.keys(sort).map(field => valueAt(last, field)) });
+  }
+
+  return {
+    docs,
+    pagination: { limit, hasNext, nextCursor }
+  };
+};
+
+/**
+ * The fields to load for a sparse fieldset: the requested ones plus those
+ * the sort needs to build the next cursor. Null loads everything.
+ */
+exports.selectFor = (fields, sort) => (fields
+  ? [...new Set([...fields, ...Object.keys(sort).filter(field => field !== 'score')])].join(' ')
+  : null);
+
+// Trim a recipe (after any conversion) to the requested fields
+exports.pickFields = (recipe, fields) => {
+  if (!fields) return recipe;
+
+  const data = typeof recipe.toJSON === 'function' ? recipe.toJSON() : recipe;
+  return ['_id', ...fields].reduce((picked, field) => {
+    if (data[field] !== undefined) picked[field] = data[field];
+    return picked;
+  }, {});
+};
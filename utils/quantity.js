@@ -0,0 +1,151 @@
+// Helpers for reading and writing kitchen quantities ("2 1/2", "½", "0.75")
+
+const UNICODE_FRACTIONS = {
+  '¼': 1 / 4,
+  '½': 1 / 2,
+  '¾': 3 / 4,
+  '⅓': 1 / 3,
+  '⅔': 2 / 3,
+  '⅕': 1 / 5,
+  '⅖': 2 / 5,
+  '⅗': 3 / 5,
+  '⅘': 4 / 5,
+  '⅙': 1 / 6,
+  '⅚': 5 / 6,
+  '⅛': 1 / 8,
+  '⅜': 3 / 8,
+  '⅝': 5 / 8,
+  '⅞': 7 / 8
+};
+
+const UNICODE_FRACTION_CHARS = Object.keys(UNICODE_FRACTIONS).join('');
+
+// Matches a leading quantity: "2", "2.5", "1/2", "2 1/2", "½", "2½", "1-2", "1 to 2"
+const NUMBER = `(?:\\d+(?:[.,]\\d+)?(?:\\s*[${UNICODE_FRACTION_CHARS}])?|[${UNICODE_FRACTION_CHARS}])`;
+const FRACTION = '\\d+\\s*/\\s*\\d+';
+const SINGLE = `(?:\\d+\\s+${FRACTION}|${FRACTION}|${NUMBER})`;
+const QUANTITY_PATTERN = new RegExp(`^(${SINGLE})(?:\\s*(?:-|–|to)\\s*(${SINGLE}))?`, 'i');
+
+// Fractions we're happy to show a cook, in eighths and thirds
+const DISPLAY_FRACTIONS = [
+  [0, ''],
+  [1 / 8, '1/8'],
+  [1 / 4, '1/4'],
+  [1 / 3, '1/3'],
+  [3 / 8, '3/8'],
+  [1 / 2, '1/2'],
+  [5 / 8, '5/8'],
+  [2 / 3, '2/3'],
+  [3 / 4, '3/4'],
+  [7 / 8, '7/8'],
+  [1, '']
+];
+
+const onDenominator = (fraction, denominators) => fraction === 0 || fraction === 1 ||
+  denominators.some(denominator => Math.abs(fraction * denominator - Math.round(fraction * denominator)) < 1e-9);
+
+/**
+ * Round a positive number to a whole plus the nearest DISPLAY_FRACTIONS
+ * entry whose denominator is one of `denominators`, so thirds survive in
+ * cups and spoons: roundToFraction(0.65, [3, 4, 8]) -> 0.667.
+ */
+exports.roundToFraction = (value, denominators) => {
+  const whole = Math.floor(value);
+  const remainder = value - whole;
+
+  const [closest] = DISPLAY_FRACTIONS
+    .filter(([fraction]) => onDenominator(fraction, denominators))
+    .reduce((best, candidate) => (Math.abs(candidate[0] - remainder) < Math.abs(best[0] - remainder) ? candidate : best));
+
+  return Number((whole + closest).toFixed(3));
+};
+
+/**
+ * Parse a single quantity token such as "2 1/2", "3/4", "1.5" or "1½".
+ * Returns null when the text isn't a number.
+ */
+const parseSingle = (text) => {
+  const value = text.trim().replace(',', '.');
+
+  const mixed = value.match(/^(\d+)\s+(\d+)\s*\/\s*(\d+)$/);
+  if (mixed) {
+    return parseInt(mixed[1]) + parseInt(mixed[2]) / parseInt(mixed[3]);
+  }
+
+  const fraction = value.match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (fraction) {
+    const denominator = parseInt(fraction[2]);
+    return denominator === 0 ? null : parseInt(fraction[1]) / denominator;
+  }
+
+  const unicode = value.match(new RegExp(`^(\\d*(?:\\.\\d+)?)\\s*([${UNICODE_FRACTION_CHARS}])$`));
+  if (unicode) {
+    return (unicode[1] ? parseFloat(unicode[1]) : 0) + UNICODE_FRACTIONS[unicode[2]];
+  }
+
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+};
+
+/**
+ * Read a quantity from the start of a string.
+ * @returns {{ quantity: number, quantityMax: number|null, rest: string }|null}
+ */
+exports.extractQuantity = (text) => {
+  const match = text.trim().match(QUANTITY_PATTERN);
+  if (!match) return null;
+
+  const quantity = parseSingle(match[1]);
+  if (quantity === null) return null;
+
+  const quantityMax = match[2] ? parseSingle(match[2]) : null;
+
+  return {
+    quantity,
+    quantityMax,
+    rest: text.trim().slice(match[0].length).trim()
+  };
+};
+
+/**
+ * Parse a quantity given as a number or string. Returns null if unparseable.
+ */
+exports.parseQuantity = (value) => {
+  if (typeof value === 'number') {
+    return isFinite(value) ? value : null;
+  }
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+  const extracted = exports.extractQuantity(value);
+  return extracted && !extracted.rest ? extracted.quantity : null;
+};
+
+/**
+ * Format a number the way a recipe would print it: 2.5 -> "2 1/2", 0.333 -> "1/3".
+ * Values that don't sit close to a common fraction fall back to one decimal.
+ */
+exports.formatQuantity = (value) => {
+  if (value === null || value === undefined || isNaN(value)) return '';
+
+  let whole = Math.floor(value);
+  const remainder = value - whole;
+
+  let closest = DISPLAY_FRACTIONS[0];
+  for (const candidate of DISPLAY_FRACTIONS) {
+    if (Math.abs(candidate[0] - remainder) < Math.abs(closest[0] - remainder)) {
+      closest = candidate;
+    }
+  }
+
+  if (Math.abs(closest[0] - remainder) > 0.02) {
+    return String(Math.round(value * 10) / 10);
+  }
+
+  if (closest[0] === 1) {
+    whole += 1;
+  }
+
+  if (!closest[1]) return String(whole);
+  return whole > 0 ? `${whole} ${closest[1]}` : closest[1];
+};
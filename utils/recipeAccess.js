@@ -0,0 +1,63 @@
+// Who may see and change a recipe.
+//
+// Public recipes are listed and open to everyone. Unlisted ones stay out of
+// lists, search and stats and open only with a share link. Private ones open
+// for nobody else. On top of that the owner can share a recipe with
+// specific users as a viewer or an editor; shared recipes show up in those
+// users' lists too. Admins can see everything.
+
+exports.VISIBILITIES = ['private', 'unlisted', 'public'];
+exports.SHARE_ROLES = ['viewer', 'editor'];
+
+// Days a share link works unless another lifetime is asked for, and the longest allowed
+exports.SHARE_LINK_TTL_DAYS = 7;
+exports.SHARE_LINK_MAX_DAYS = 365;
+
+// Recipes saved before visibility existed have none and stay public. A new
+// object each time, since query casting and hooks change filters in place
+exports.publicRecipes = () => ({ visibility: { $in: ['public', null] } });
+
+/**
+ * The condition for recipes a user (or an anonymous visitor) may open and
+ * see listed; empty for admins.
+ */
+exports.visibleTo = (user) => {
+  if (!user) return exports.publicRecipes();
+  if (user.role === 'admin') return {};
+
+  return {
+    $or: [
+      exports.publicRecipes(),
+      { owner: user._id },
+      { 'sharedWith.user': user._id }
+    ]
+  };
+};
+
+/**
+ * Narrow a recipe query to what the user may see. The condition goes into
+ * $and so it can't clash with an $or already in the query.
+ */
+exports.withVisibility = (query, user) => {
+  const visible = exports.visibleTo(user);
+  if (!Object.keys(visible).length) return query;
+  return { ...query, $and: [...(query.$and || []), visible] };
+};
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+/**
+ * The user's part in a recipe: 'owner' (admins count as owners), 'editor',
+ * 'viewer', or null. Needs the recipe's owner and sharedWith.
+ */
+exports.roleOf = (recipe, user) => {
+  if (!recipe || !user) return null;
+  if (user.role === 'admin') return 'owner';
+  if (recipe.owner && idOf(recipe.owner).toString() === user._id.toString()) return 'owner';
+
+  const share = (recipe.sharedWith || []).find(entry => idOf(entry.user).toString() === user._id.toString());
+  return share ? share.role : null;
+};
+
+// Owners and editors can change a recipe's content
+exports.canEdit = (recipe, user) => ['owner', 'editor'].includes(exports.roleOf(recipe, user));
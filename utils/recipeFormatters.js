@@ -0,0 +1,170 @@
+const { formatIngredient } = require('./ingredientParser');
+const { formatInstructions } = require('./instructionParser');
+
+// Columns for CSV export; ingredients, steps and tags are flattened into one cell each
+exports.CSV_COLUMNS = [
+  'title', 'ingredients', 'instructions', 'prepTime', 'cookTime', 'restTime', 'totalTime',
+  'servings', 'difficulty', 'tags', 'createdAt'
+];
+
+const ingredientLines = (recipe) => (recipe.ingredients || []).map(formatIngredient);
+
+exports.toCsvValues = (recipe) => [
+  recipe.title,
+  ingredientLines(recipe).join('; '),
+  formatInstructions(recipe.instructions),
+  recipe.prepTime,
+  recipe.cookTime,
+  recipe.restTime,
+  recipe.totalTime,
+  recipe.servings,
+  recipe.difficulty,
+  (recipe.tags || []).join(', '),
+  recipe.createdAt
+];
+
+// 20 -> "20 min", 270 -> "4 h 30 min"
+const formatMinutes = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return [hours && `${hours} h`, rest && `${rest} min`].filter(Boolean).join(' ') || '0 min';
+};
+
+// Only the parts a recipe gives; the total alone when it has no parts
+const timeLine = (recipe) => [
+  ['Prep', recipe.prepTime],
+  ['Cook', recipe.cookTime],
+  ['Rest', recipe.restTime],
+  ['Total', recipe.totalTime]
+]
+  .filter(([, minutes]) => typeof minutes === 'number')
+  .map(([label, minutes]) => `${label} ${formatMinutes(minutes)}`)
+  .join(', ');
+
+const metaLine = (recipe) => [
+  timeLine(recipe),
+  recipe.servings && `Serves ${recipe.servings}`,
+  recipe.difficulty && `Difficulty: ${recipe.difficulty}`
+].filter(Boolean).join(' · ');
+
+/**
+ * Render a recipe as a Markdown section.
+ */
+exports.toMarkdown = (recipe) => {
+  const lines = [`# ${recipe.title}`, ''];
+
+  const meta = metaLine(recipe);
+  if (meta) lines.push(`*${meta}*`, '');
+  if (recipe.tags && recipe.tags.length) lines.push(`Tags: ${recipe.tags.join(', ')}`, '');
+
+  lines.push('## Ingredients', '');
+  ingredientLines(recipe).forEach(line => lines.push(`- ${line}`));
+
+  lines.push('', '## Instructions', '');
+  let section = null;
+  let number = 0;
+  (recipe.instructions || []).forEach(step => {
+    if (step.section && step.section !== section) {
+      if (lines[lines.length - 1] !== '') lines.push('');
+      lines.push(`### ${step.section}`, '');
+    }
+    section = step.section || null;
+    lines.push(`${++number}. ${step.text}`);
+  });
+
+  lines.push('');
+  return lines.join('\n');
+};
+
+const escapeHtml = (text) => String(text === undefined || text === null ? '' : text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Steps grouped under their section headings; numbering runs on across sections
+const instructionsHtml = (steps = []) => {
+  const groups = [];
+  steps.forEach((step, index) => {
+    const last = groups[groups.length - 1];
+    if (last && last.section === (step.section || null)) last.steps.push(step);
+    else groups.push({ section: step.section || null, start: index + 1, steps: [step] });
+  });
+
+  return groups.map(group => [
+    group.section ? `<h3>${escapeHtml(group.section)}</h3>` : '',
+    `<ol class="instructions" start="${group.start}">`,
+    ...group.steps.map(step => `  <li>${escapeHtml(step.text)}</li>`),
+    '</ol>'
+  ].filter(Boolean).join('\n')).join('\n');
+};
+
+/**
+ * Render a standalone, printer-friendly HTML page for one recipe.
+ */
+exports.toPrintHtml = (recipe) => {
+  const cover = (recipe.images || []).find(image =>
+    recipe.coverImage && image._id && image._id.toString() === recipe.coverImage.toString()
+  );
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(recipe.title)}</title>
+<style>
+  body { font-family: Georgia, serif; max-width: 42rem; margin: 2rem auto; padding: 0 1rem; color: #222; }
+  h1 { margin-bottom: 0.25rem; }
+  .meta { color: #555; font-style: italic; }
+  .cover { max-width: 100%; margin: 1rem 0; }
+  .instructions li { margin-bottom: 0.5rem; line-height: 1.5; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(recipe.title)}</h1>
+<p class="meta">${escapeHtml(metaLine(recipe))}</p>
+${cover ? `<img class="cover" src="${escapeHtml(cover.url)}" alt="">` : ''}
+<h2>Ingredients</h2>
+<ul>
+${ingredientLines(recipe).map(line => `  <li>${escapeHtml(line)}</li>`).join('\n')}
+</ul>
+<h2>Instructions</h2>
+${instructionsHtml(recipe.instructions)}
+${recipe.tags && recipe.tags.length ? `<p class="meta">Tags: ${escapeHtml(recipe.tags.join(', '))}</p>` : ''}
+</body>
+</html>
+`;
+};
+
+/**
+ * Draw one recipe onto the current page of a PDFKit document.
+ */
+exports.renderPdfRecipe = (doc, recipe) => {
+  doc.font('Helvetica-Bold').fontSize(22).text(recipe.title);
+
+  const meta = metaLine(recipe);
+  if (meta) {
+    doc.moveDown(0.3).font('Helvetica-Oblique').fontSize(11).fillColor('#555').text(meta).fillColor('#000');
+  }
+
+  doc.moveDown().font('Helvetica-Bold').fontSize(14).text('Ingredients');
+  doc.moveDown(0.3).font('Helvetica').fontSize(11);
+  ingredientLines(recipe).forEach(line => doc.text(`•  ${line}`, { indent: 10 }));
+
+  doc.moveDown().font('Helvetica-Bold').fontSize(14).text('Instructions');
+  let section = null;
+  (recipe.instructions || []).forEach((step, index) => {
+    if (step.section && step.section !== section) {
+      doc.moveDown(0.5).font('Helvetica-Bold').fontSize(12).text(step.section);
+    }
+    section = step.section || null;
+    doc.moveDown(0.3).font('Helvetica').fontSize(11).text(`${index + 1}. ${step.text}`, { lineGap: 3 });
+  });
+
+  if (recipe.tags && recipe.tags.length) {
+    doc.moveDown().font('Helvetica-Oblique').fontSize(9).fillColor('#555')
+      .text(`Tags: ${recipe.tags.join(', ')}`).fillColor('#000');
+  }
+};
@@ -0,0 +1,146 @@
+const RecipeRevision = require('../models/recipeRevision');
+const { formatIngredient } = require('./ingredientParser');
+
+// The recipe content kept in each revision; computed fields, images and
+// ratings are left out because they follow from these or change on their own
+exports.TRACKED_FIELDS = [
+  'title', 'ingredients', 'instructions', 'prepTime', 'cookTime', 'restTime', 'totalTime', 'servings', 'difficulty', 'tags'
+];
+
+/**
+ * Copy the tracked fields of a recipe (document or plain object) into a plain
+ * object. Fields that aren't set are left out.
+ */
+exports.snapshotOf = (recipe) => {
+  const data = typeof recipe.toObject === 'function' ? recipe.toObject() : recipe;
+
+  return exports.TRACKED_FIELDS.reduce((snapshot, field) => {
+    if (data[field] !== undefined && data[field] !== null) {
+      snapshot[field] = JSON.parse(JSON.stringify(data[field]));
+    }
+    return snapshot;
+  }, {});
+};
+
+const sameValue = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+/**
+ * Names of the tracked fields that differ between two snapshots.
+ */
+exports.changedFields = (before, after) =>
+  exports.TRACKED_FIELDS.filter(field => !sameValue(before[field], after[field]));
+
+/**
+ * Line diff of two ingredient lists via the longest common subsequence, in
+ * list order with each removed line just before what replaced it.
+ * @returns {Array<{ change: 'unchanged'|'added'|'removed', line }>}
+ */
+exports.diffIngredients = (before = [], after = []) => {
+  const oldLines = before.map(formatIngredient);
+  const newLines = after.map(formatIngredient);
+
+  // lengths[i][j]: LCS length of oldLines[i..] and newLines[j..]
+  const lengths = Array.from({ length: oldLines.length + 1 }, () => new Array(newLines.length + 1).fill(0));
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      lengths[i][j] = oldLines[i] === newLines[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length || j < newLines.length) {
+    if (i < oldLines.length && j < newLines.length && oldLines[i] === newLines[j]) {
+      lines.push({ change: 'unchanged', line: newLines[j] });
+      i++;
+      j++;
+    } else if (i < oldLines.length && (j === newLines.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      lines.push({ change: 'removed', line: oldLines[i] });
+      i++;
+    } else {
+      lines.push({ change: 'added', line: newLines[j] });
+      j++;
+    }
+  }
+
+  return lines;
+};
+
+/**
+ * Field-level changes between two snapshots, with ingredients as a line diff.
+ */
+exports.diffSnapshots = (before, after) => {
+  const changed = exports.changedFields(before, after);
+  const ingredients = exports.diffIngredients(before.ingredients, after.ingredients);
+
+  return {
+    changedFields: changed,
+    fields: changed
+      .filter(field => field !== 'ingredients')
+      .map(field => ({
+        field,
+        before: before[field] === undefined ? null : before[field],
+        after: after[field] === undefined ? null : after[field]
+      })),
+    ingredients: {
+      added: ingredients.filter(line => line.change === 'added').length,
+      removed: ingredients.filter(line => line.change === 'removed').length,
+      lines: ingredients
+    }
+  };
+};
+
+/**
+ * Store new revisions for a batch of recipes. Each entry holds the recipe as
+ * saved and, for edits, the snapshot taken before the change; entries where
+ * no tracked field changed are skipped. A recipe without any history first
+ * gets its previous state stored as an "original" revision.
+ *
+ * @param {Array<{ recipe, previous?: object }>} entries
+ * @param {{ user?, action: string, restoredFrom?: number }} options
+ * @returns {Promise<Array>} the revisions written
+ */
+exports.recordRevisions = async (entries, { user, action, restoredFrom }) => {
+  const pending = entries
+    .map(({ recipe, previous }) => ({ recipe, previous, snapshot: exports.snapshotOf(recipe) }))
+    .filter(({ previous, snapshot }) => !previous || exports.changedFields(previous, snapshot).length > 0);
+  if (!pending.length) return [];
+
+  const latest = await RecipeRevision.aggregate([
+    { $match: { recipe: { $in: pending.map(({ recipe }) => recipe._id) } } },
+    { $group: { _id: '$recipe', rev: { $max: '$rev' } } }
+  ]);
+  const latestRev = new Map(latest.map(({ _id, rev }) => [_id.toString(), rev]));
+
+  const revisions = [];
+  pending.forEach(({ recipe, previous, snapshot }) => {
+    let rev = latestRev.get(recipe._id.toString()) || 0;
+
+    if (!rev && previous) {
+      revisions.push({
+        recipe: recipe._id,
+        rev: ++rev,
+        action: 'original',
+        snapshot: previous,
+        changedFields: [],
+        editedBy: recipe.owner,
+        createdAt: recipe.createdAt
+      });
+    }
+
+    revisions.push({
+      recipe: recipe._id,
+      rev: ++rev,
+      action,
+      snapshot,
+      changedFields: previous ? exports.changedFields(previous, snapshot) : [],
+      restoredFrom,
+      editedBy: user ? user._id : recipe.owner
+    });
+  });
+
+  return RecipeRevision.insertMany(revisions);
+};
@@ -0,0 +1,217 @@
+const cheerio = require('cheerio');
+const { parseDuration } = require('./duration');
+const { normalizeIngredients } = require('./ingredientParser');
+const { normalizeInstructions, MAX_STEPS, STEP_MAX_LENGTH, SECTION_MAX_LENGTH } = require('./instructionParser');
+
+const TITLE_MAX = 100;
+
+const isRecipeType = (type) => {
+  const types = Array.isArray(type) ? type : [type];
+  return types.some(t => typeof t === 'string' && /(^|[/:])Recipe$/.test(t));
+};
+
+// Strip tags and decode entities that commonly leak into JSON-LD strings
+const cleanText = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return cheerio.load(`<body>${text}</body>`)('body').text().replace(/\s+/g, ' ').trim();
+};
+
+// Like cleanText, but keeps line breaks (and <br> or block ends in the
+// markup) as separate lines
+const cleanLines = (value) => {
+  if (value === undefined || value === null) return [];
+  return String(value)
+    .replace(/<br\s*\/?>|<\/(?:p|li|div)>/gi, '\n')
+    .split(/\r?\n/)
+    .map(cleanText)
+    .filter(Boolean);
+};
+
+const toArray = (value) => {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+// Walk a JSON-LD value (objects, arrays, @graph) looking for a Recipe node
+const findRecipeNode = (node) => {
+  if (!node || typeof node !== 'object') return null;
+
+  if (Array.isArray(node)) {
+    for (const item of node) {
+      const found = findRecipeNode(item);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  if (isRecipeType(node['@type'])) return node;
+  if (node['@graph']) return findRecipeNode(node['@graph']);
+  if (node.mainEntity) return findRecipeNode(node.mainEntity);
+  return null;
+};
+
+const extractJsonLd = ($) => {
+  let recipe = null;
+
+  $('script[type="application/ld+json"]').each((i, el) => {
+    if (recipe) return;
+    try {
+      const data = JSON.parse($(el).contents().text().trim());
+      recipe = findRecipeNode(data);
+    } catch (error) {
+      // Not valid JSON; keep looking in the other blocks
+    }
+  });
+
+  return recipe;
+};
+
+const extractMicrodata = ($) => {
+  const scope = $('[itemscope][itemtype*="schema.org/Recipe"]').first();
+  if (!scope.length) return null;
+
+  // Only properties belonging to this item, not to nested itemscopes (e.g. nutrition)
+  const props = (name) => scope.find(`[itemprop~="${name}"]`).filter((i, el) =>
+    $(el).parent().closest('[itemscope]').is(scope)
+  );
+
+  const value = (el) => {
+    const $el = $(el);
+    return $el.attr('content') || $el.attr('datetime') || $el.text();
+  };
+
+  const values = (name) => props(name).map((i, el) => value(el)).get();
+  const single = (name) => values(name)[0];
+
+  return {
+    name: single('name'),
+    recipeIngredient: values('recipeIngredient').length ? values('recipeIngredient') : values('ingredients'),
+    recipeInstructions: props('recipeInstructions').map((i, el) => {
+      // Step lists are often <ol itemprop="recipeInstructions"><li>...</li></ol>
+      const items = $(el).find('li');
+      return items.length ? items.map((j, li) => $(li).text()).get() : value(el);
+    }).get(),
+    totalTime: single('totalTime'),
+    cookTime: single('cookTime'),
+    prepTime: single('prepTime'),
+    recipeYield: single('recipeYield'),
+    keywords: single('keywords'),
+    recipeCategory: values('recipeCategory'),
+    recipeCuisine: values('recipeCuisine'),
+    image: single('image')
+  };
+};
+
+// HowToStep / HowToSection / plain strings -> steps. Steps get the section
+// they're listed in (null outside one); plain strings outside any section
+// stay lines of text, so headings written as text still start a section
+const flattenInstructions = (value, section) => toArray(value).flatMap(item => {
+  if (typeof item === 'string') {
+    const lines = cleanLines(item);
+    return section === undefined ? lines : lines.map(text => ({ text, section }));
+  }
+  if (!item || typeof item !== 'object') return [];
+
+  if (toArray(item['@type']).includes('HowToSection')) {
+    return flattenInstructions(item.itemListElement, cleanText(item.name).slice(0, SECTION_MAX_LENGTH) || section || null);
+  }
+  if (item.itemListElement) return flattenInstructions(item.itemListElement, section);
+
+  const text = cleanText(item.text || item.name);
+  return text ? [{ text, section: section || null }] : [];
+});
+
+const parseYield = (value) => {
+  for (const item of toArray(value)) {
+    const match = String(item).match(/\d+/);
+    if (match && parseInt(match[0]) > 0) return parseInt(match[0]);
+  }
+  return undefined;
+};
+
+const parseTags = (node) => {
+  const raw = [
+    ...toArray(node.keywords).flatMap(k => String(k).split(',')),
+    ...toArray(node.recipeCategory),
+    ...toArray(node.recipeCuisine)
+  ];
+
+  return [...new Set(raw
+    .map(tag => cleanText(tag).toLowerCase())
+    .filter(tag => tag && tag.length <= 50))];
+};
+
+const parseImage = (image) => {
+  const first = toArray(image)[0];
+  if (!first) return undefined;
+  return typeof first === 'string' ? first : first.url || undefined;
+};
+
+/**
+ * Map a schema.org Recipe (JSON-LD or microdata-shaped) onto our recipe fields.
+ */
+exports.mapSchemaRecipe = (node) => {
+  // Plain text is read as one block, like legacy instructions, so a single
+  // line such as "1. Preheat. 2. Mix." is still split into steps
+  const flattened = flattenInstructions(node.recipeInstructions);
+  const text = flattened.every(item => typeof item === 'string');
+  const instructions = normalizeInstructions(text ? flattened.join('\n') : flattened)
+    .slice(0, MAX_STEPS)
+    .map(step => (step.text.length > STEP_MAX_LENGTH
+      ? { ...step, text: `${step.text.slice(0, STEP_MAX_LENGTH - 1)}…` }
+      : step));
+
+  const times = {
+    prepTime: parseDuration(node.prepTime) ?? undefined,
+    cookTime: parseDuration(node.cookTime) ?? undefined
+  };
+  const totalTime = parseDuration(node.totalTime) ?? undefined;
+  const known = Object.keys(times).filter(field => times[field] !== undefined);
+  const parts = known.reduce((sum, field) => sum + times[field], 0);
+
+  // totalTime is derived from the parts on save, so whatever the source's
+  // total has on top of them goes into a part: resting time when prep and
+  // cook are both given, otherwise the one that's missing
+  if (known.length === 2 && totalTime > parts) {
+    times.restTime = totalTime - parts;
+  } else if (known.length === 1 && totalTime > parts) {
+    times[known[0] === 'prepTime' ? 'cookTime' : 'prepTime'] = totalTime - parts;
+  } else if (!known.length) {
+    times.totalTime = totalTime;
+  }
+
+  const draft = {
+    title: cleanText(node.name).slice(0, TITLE_MAX),
+    ingredients: normalizeIngredients(toArray(node.recipeIngredient || node.ingredients).map(cleanText)),
+    instructions,
+    ...times,
+    servings: parseYield(node.recipeYield),
+    tags: parseTags(node)
+  };
+
+  // Leave out fields the source didn't provide so defaults apply
+  Object.keys(draft).forEach(key => draft[key] === undefined && delete draft[key]);
+
+  return draft;
+};
+
+/**
+ * Extract a recipe draft from an HTML page.
+ * @returns {{ draft: object, format: 'json-ld'|'microdata', image?: string }|null}
+ */
+exports.extractRecipe = (html) => {
+  const $ = cheerio.load(html);
+
+  const jsonLd = extractJsonLd($);
+  if (jsonLd) {
+    return { draft: exports.mapSchemaRecipe(jsonLd), format: 'json-ld', image: parseImage(jsonLd.image) };
+  }
+
+  const microdata = extractMicrodata($);
+  if (microdata) {
+    return { draft: exports.mapSchemaRecipe(microdata), format: 'microdata', image: parseImage(microdata.image) };
+  }
+
+  return null;
+};
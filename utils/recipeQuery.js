@@ -0,0 +1,156 @@
+const { toMinutes } = require('./duration');
+const { parseIngredientQuery } = require('./ingredientQuery');
+const Tag = require('../models/tag');
+
+// Per-serving nutrition filters: query param -> [nutrient, operator]
+exports.NUTRITION_FILTERS = {
+  caloriesMin: ['calories', '$gte'],
+  caloriesMax: ['calories', '$lte'],
+  proteinMin: ['protein', '$gte'],
+  fatMax: ['fat', '$lte'],
+  carbsMax: ['carbs', '$lte'],
+  sugarMax: ['sugar', '$lte'],
+  fiberMin: ['fiber', '$gte'],
+  sodiumMax: ['sodium', '$lte']
+};
+
+// Time filters in minutes (or ISO-8601 durations): query param -> [field, operator].
+// cookingTimeMax is the old name for totalTimeMax
+exports.TIME_FILTERS = {
+  prepTimeMin: ['prepTime', '$gte'],
+  prepTimeMax: ['prepTime', '$lte'],
+  cookTimeMin: ['cookTime', '$gte'],
+  cookTimeMax: ['cookTime', '$lte'],
+  restTimeMin: ['restTime', '$gte'],
+  restTimeMax: ['restTime', '$lte'],
+  totalTimeMin: ['totalTime', '$gte'],
+  totalTimeMax: ['totalTime', '$lte'],
+  cookingTimeMax: ['totalTime', '$lte']
+};
+
+// ?sort= options for recipe lists, in their natural direction; text searches
+// rank by relevance unless one is given. cookingTime sorts on totalTime
+exports.SORTS = {
+  newest: { createdAt: -1 },
+  rating: { averageRating: -1, ratingCount: -1, createdAt: -1 },
+  'most-cooked': { timesCooked: -1, createdAt: -1 },
+  title: { title: 1 },
+  cookingTime: { totalTime: 1 },
+  servings: { servings: 1 },
+  updatedAt: { updatedAt: -1 }
+};
+
+/**
+ * Resolve ?sort=, optionally with a direction ("title:desc", "rating:asc"),
+ * to a Mongo sort ending in _id so the order is total. A direction that
+ * differs from the natural one reverses every field. Returns null for an
+ * unknown sort.
+ */
+exports.sortFor = (param) => {
+  const [name, order] = String(param).split(':');
+  const natural = Object.prototype.hasOwnProperty.call(exports.SORTS, name) ? exports.SORTS[name] : null;
+  if (!natural || (order !== undefined && !['asc', 'desc'].includes(order))) return null;
+
+  const first = Object.values(natural)[0];
+  const flip = order !== undefined && (order === 'asc' ? 1 : -1) !== first ? -1 : 1;
+  const sort = {};
+  Object.entries(natural).forEach(([field, direction]) => {
+    sort[field] = direction * flip;
+  });
+  sort._id = first * flip;
+  return sort;
+};
+
+/**
+ * Build the Mongo filter and sort shared by search, export and bulk
+ * operations from search parameters (query strings or a JSON filter).
+ */
+exports.buildSearchQuery = (params) => {
+  const { q, ingredient, difficulty, tags, servingsMin, diet, excludeAllergens } = params;
+  let query = {};
+  let sortOptions = { createdAt: -1 };
+
+  // Text search across title, ingredients, and instructions
+  if (q) {
+    query.$text = { $search: q };
+    sortOptions = { score: { $meta: 'textScore' }, createdAt: -1 };
+  }
+
+  if (params.sort && exports.sortFor(params.sort)) {
+    sortOptions = exports.sortFor(params.sort);
+  }
+
+  // Search by ingredient: a name, or a boolean query such as "chicken AND NOT mushroom"
+  if (ingredient) {
+    query.$and = [...(query.$and || []), parseIngredientQuery(ingredient)];
+  }
+
+  // Filter by difficulty
+  if (difficulty && ['easy', 'medium', 'hard'].includes(difficulty)) {
+    query.difficulty = difficulty;
+  }
+
+  // Filter by tags (comma-separated string or an array)
+  if (tags) {
+    const tagArray = (Array.isArray(tags) ? tags : tags.split(',')).map(tag => tag.trim().toLowerCase());
+    query.tags = { $in: tagArray };
+  }
+
+  // Filter by prep, cook, rest and total time. Recipes that don't say how
+  // long a part takes still match unless unknownTimes=exclude
+  const timeRanges = {};
+  Object.entries(exports.TIME_FILTERS).forEach(([param, [field, operator]]) => {
+    const minutes = toMinutes(params[param]);
+    if (minutes === null) return;
+    timeRanges[field] = { ...timeRanges[field], [operator]: minutes };
+  });
+  Object.entries(timeRanges).forEach(([field, range]) => {
+    if (params.unknownTimes === 'exclude') {
+      query[field] = range;
+    } else {
+      query.$and = [...(query.$and || []), { $or: [{ [field]: range }, { [field]: null }] }];
+    }
+  });
+
+  // Filter by minimum servings
+  if (servingsMin && !isNaN(servingsMin)) {
+    query.servings = { $gte: parseInt(servingsMin) };
+  }
+
+  // Recipes must fit every requested diet
+  if (diet) {
+    query['dietary.diets'] = { $all: diet.split(',').map(item => item.trim()) };
+  }
+
+  // ...and contain none of the excluded allergens
+  if (excludeAllergens) {
+    query['dietary.allergens'] = { $nin: excludeAllergens.split(',').map(item => item.trim()) };
+  }
+
+  // Filter by average star rating
+  if (params.minRating && !isNaN(params.minRating)) {
+    query.averageRating = { $gte: parseFloat(params.minRating) };
+  }
+
+  // Filter by nutrition per serving
+  Object.entries(exports.NUTRITION_FILTERS).forEach(([param, [nutrient, operator]]) => {
+    const value = params[param];
+    if (value === undefined || value === '' || isNaN(value)) return;
+
+    const path = `nutrition.perServing.${nutrient}`;
+    query[path] = { ...query[path], [operator]: parseFloat(value) };
+  });
+
+  return { query, sortOptions };
+};
+
+/**
+ * The same parameters with tags widened to what they cover: a tag given by
+ * an alias, every category below it, and the aliases of those.
+ */
+exports.expandSearchTags = async (params) => {
+  if (!params.tags) return params;
+
+  const tags = Array.isArray(params.tags) ? params.tags : params.tags.split(',');
+  return { ...params, tags: await Tag.expand(tags) };
+};
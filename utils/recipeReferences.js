@@ -0,0 +1,32 @@
+const Collection = require('../models/collection');
+const MealPlan = require('../models/mealPlan');
+const Review = require('../models/review');
+const CookLog = require('../models/cookLog');
+const RecipeRevision = require('../models/recipeRevision');
+const { removeImageFiles } = require('./storage');
+
+/**
+ * Clean up after permanently deleted recipes: drop them from every collection
+ * and meal plan that referenced them, delete their reviews, cook logs and
+ * revisions and remove their stored image files.
+ * @param {Array<{ _id, images }>} recipes already deleted from the database
+ */
+exports.removeRecipeReferences = async (recipes) => {
+  if (!recipes.length) return;
+
+  const ids = recipes.map(recipe => recipe._id);
+
+  await Collection.updateMany(
+    { recipes: { $in: ids } },
+    { $pull: { recipes: { $in: ids } } }
+  );
+  await MealPlan.updateMany(
+    { 'meals.recipe': { $in: ids } },
+    { $pull: { meals: { recipe: { $in: ids } } } }
+  );
+  await Review.deleteMany({ recipe: { $in: ids } });
+  await CookLog.deleteMany({ recipe: { $in: ids } });
+  await RecipeRevision.deleteMany({ recipe: { $in: ids } });
+
+  await removeImageFiles(recipes.flatMap(recipe => recipe.images || []));
+};
@@ -0,0 +1,98 @@
+const { formatIngredient } = require('./ingredientParser');
+const { roundToFraction } = require('./quantity');
+
+// Units measured with spoons and cups, where eighths and thirds are the practical limit
+const SPOON_UNITS = ['tsp', 'tbsp', 'cup', 'fl oz', 'pint', 'quart', 'gallon'];
+// Fine-grained metric units, rounded to whole (or 5s for larger amounts)
+const SMALL_METRIC_UNITS = ['g', 'ml', 'mg'];
+// Coarse metric units, rounded to two decimals
+const LARGE_METRIC_UNITS = ['kg', 'l'];
+
+const roundTo = (value, step) => Math.round(value / step) * step;
+
+/**
+ * Round a scaled quantity to something you can actually measure: eighths
+ * and thirds for spoons and cups (quarters and thirds above one), whole
+ * grams/millilitres, halves for countable items like eggs. Amounts that are
+ * already a third stay one.
+ */
+exports.roundToKitchen = (quantity, unit) => {
+  if (!quantity || quantity <= 0) return quantity;
+
+  // Never round a non-zero amount away entirely
+  if (SPOON_UNITS.includes(unit)) {
+    return quantity < 1 ? Math.max(1 / 8, roundToFraction(quantity, [3, 8])) : roundToFraction(quantity, [3, 4]);
+  }
+  if (unit === 'oz' || unit === 'lb') {
+    return Math.max(1 / 4, roundToFraction(quantity, [3, 4]));
+  }
+
+  let step;
+  if (SMALL_METRIC_UNITS.includes(unit)) {
+    step = quantity >= 100 ? 5 : 1;
+  } else if (LARGE_METRIC_UNITS.includes(unit)) {
+    step = 0.05;
+  } else if (quantity < 1) {
+    // Countable things: eggs, cloves, cans
+    return Math.max(1 / 4, roundToFraction(quantity, [3, 4]));
+  } else {
+    step = quantity < 5 ? 1 / 2 : 1;
+  }
+
+  return Math.max(step, Number(roundTo(quantity, step).toFixed(3)));
+};
+
+/**
+ * Scale an ingredient's quantity (and range upper bound) by a factor.
+ */
+exports.scaleIngredient = (ingredient, factor) => {
+  const scaled = { ...ingredient };
+
+  if (typeof ingredient.quantity === 'number') {
+    scaled.quantity = exports.roundToKitchen(ingredient.quantity * factor, ingredient.unit);
+  }
+  if (typeof ingredient.quantityMax === 'number') {
+    scaled.quantityMax = exports.roundToKitchen(ingredient.quantityMax * factor, ingredient.unit);
+  }
+
+  scaled.display = formatIngredient(scaled);
+  return scaled;
+};
+
+/**
+ * Return a plain copy of the recipe rescaled to the target servings.
+ * Throws a 400-style error when the recipe has no servings to scale from.
+ */
+exports.scaleRecipe = (recipe, targetServings) => {
+  const data = typeof recipe.toObject === 'function' ? recipe.toObject() : { ...recipe };
+
+  if (!data.servings) {
+    const error = new Error('Recipe has no servings set, so it cannot be scaled');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const factor = targetServings / data.servings;
+
+  // Per-serving nutrition is unchanged; the recipe total follows the servings
+  let { nutrition } = data;
+  if (nutrition && nutrition.total) {
+    const total = Object.entries(nutrition.total).reduce((acc, [key, value]) => {
+      acc[key] = typeof value === 'number' ? Math.round(value * factor * 10) / 10 : value;
+      return acc;
+    }, {});
+    nutrition = { ...nutrition, total };
+  }
+
+  return {
+    ...data,
+    servings: targetServings,
+    ingredients: (data.ingredients || []).map(ingredient => exports.scaleIngredient(ingredient, factor)),
+    ...(nutrition ? { nutrition } : {}),
+    scaling: {
+      originalServings: data.servings,
+      servings: targetServings,
+      factor: Number(factor.toFixed(4))
+    }
+  };
+};
@@ -0,0 +1,93 @@
+const { normalizeName } = require('./shoppingList');
+
+// Words too common or too short to help find a recipe
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'of', 'with', 'in', 'on', 'for', 'to', 'or']);
+
+// Lower-case, singular words of a piece of text ("Roasted Tomatoes" -> ['roasted', 'tomato'])
+const wordsOf = (text) => String(text || '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .map(word => normalizeName(word))
+  .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+
+exports.wordsOf = wordsOf;
+
+/**
+ * The words a recipe can be found by: its title, ingredient names and tags.
+ * Kept on the recipe so search can correct typos against real words.
+ */
+exports.searchTermsOf = (recipe) => [...new Set([
+  ...wordsOf(recipe.title),
+  ...(recipe.ingredients || []).flatMap(ingredient => wordsOf(ingredient.name)),
+  ...(recipe.tags || []).flatMap(wordsOf)
+])];
+
+// Typos allowed for a word of this length
+const allowedEdits = (word) => {
+  if (word.length < 4) return 0;
+  return word.length < 8 ? 1 : 2;
+};
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swaps of
+ * neighbouring letters ("chikcen") as one edit each. Stops early and returns
+ * max + 1 once the words are further apart than max.
+ */
+exports.editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let before = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (before && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], before[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    before = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Replace words of a search that no recipe uses with the closest word that
+ * recipes do use, preferring the most common one on a tie.
+ *
+ * @param {string} text the search as typed
+ * @param {Map<string, number>} vocabulary search term -> number of recipes using it
+ * @returns {{ corrections: Array<{ from, to }>, suggestion: string|null }}
+ *   suggestion is the search with the corrections applied, when there are any
+ */
+exports.correctSearch = (text, vocabulary) => {
+  const words = wordsOf(text);
+  const corrections = [];
+
+  words.forEach(word => {
+    const max = allowedEdits(word);
+    if (vocabulary.has(word) || !max) return;
+
+    let best = null;
+    vocabulary.forEach((count, term) => {
+      if (term[0] !== word[0] && term[1] !== word[1]) return;
+      const distance = exports.editDistance(word, term, max);
+      if (distance > max) return;
+      if (!best || distance < best.distance || (distance === best.distance && count > best.count)) {
+        best = { term, distance, count };
+      }
+    });
+    if (best) corrections.push({ from: word, to: best.term });
+  });
+
+  const replaced = new Map(corrections.map(({ from, to }) => [from, to]));
+  return {
+    corrections,
+    suggestion: corrections.length ? words.map(word => replaced.get(word) || word).join(' ') : null
+  };
+};
@@ -0,0 +1,139 @@
+const { convert, simplify, dimensionOf } = require('./unitConverter');
+const { formatIngredient } = require('./ingredientParser');
+
+// Aisle categories. The longest matching keyword wins, so "peanut butter"
+// lands in pantry rather than dairy and "bell pepper" in produce.
+const AISLE_KEYWORDS = [
+  ['produce', ['onion', 'garlic', 'tomato', 'potato', 'carrot', 'celery', 'bell pepper', 'red pepper', 'green pepper', 'chili pepper', 'jalapeno', 'lettuce', 'spinach', 'kale', 'cabbage', 'broccoli', 'cauliflower', 'zucchini', 'courgette', 'mushroom', 'lemon', 'lime', 'orange', 'apple', 'banana', 'berry', 'berries', 'avocado', 'cucumber', 'ginger', 'basil', 'parsley', 'cilantro', 'coriander', 'mint', 'rosemary', 'scallion', 'shallot', 'leek', 'herb', 'squash', 'pumpkin', 'corn', 'pea', 'bean sprout']],
+  ['meat & seafood', ['chicken', 'beef', 'pork', 'lamb', 'turkey', 'bacon', 'sausage', 'ham', 'mince', 'steak', 'fish', 'salmon', 'tuna', 'cod', 'shrimp', 'prawn', 'crab', 'anchovy', 'anchovies']],
+  ['dairy & eggs', ['milk', 'buttermilk', 'butter', 'cheese', 'cream', 'sour cream', 'yogurt', 'yoghurt', 'egg', 'parmesan', 'mozzarella', 'cheddar', 'ricotta', 'feta']],
+  ['bakery', ['bread', 'bun', 'roll', 'tortilla', 'pita', 'bagel', 'baguette', 'croissant']],
+  ['frozen', ['frozen', 'ice cream']],
+  ['beverages', ['wine', 'beer', 'juice', 'coffee', 'tea', 'soda']],
+  ['spices & seasonings', ['salt', 'pepper', 'black pepper', 'cumin', 'paprika', 'oregano', 'thyme', 'cinnamon', 'nutmeg', 'chili powder', 'chili flakes', 'curry powder', 'turmeric', 'bay leaf', 'bay leaves', 'vanilla', 'seasoning']],
+  ['pantry', ['flour', 'sugar', 'rice', 'pasta', 'noodle', 'oil', 'vinegar', 'sauce', 'honey', 'syrup', 'bean', 'lentil', 'chickpea', 'oat', 'nut', 'almond', 'walnut', 'peanut', 'peanut butter', 'baking powder', 'baking soda', 'yeast', 'cocoa', 'chocolate', 'paste', 'mustard', 'ketchup', 'mayonnaise', 'stock', 'broth', 'chicken stock', 'chicken broth', 'beef stock', 'beef broth', 'vegetable stock', 'coconut milk']]
+];
+
+exports.CATEGORIES = [...AISLE_KEYWORDS.map(([category]) => category), 'other'];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole words only, with an optional plural ending
+const KEYWORD_MATCHERS = AISLE_KEYWORDS.flatMap(([category, keywords]) =>
+  keywords.map(keyword => ({
+    category,
+    length: keyword.length,
+    pattern: new RegExp(`\\b${escapeRegex(keyword)}(?:s|es)?\\b`, 'i')
+  }))
+);
+
+/**
+ * Guess which aisle an ingredient lives in from its name.
+ */
+exports.categorize = (name) => {
+  let best = null;
+  KEYWORD_MATCHERS.forEach(matcher => {
+    if (matcher.pattern.test(name) && (!best || matcher.length > best.length)) {
+      best = matcher;
+    }
+  });
+  return best ? best.category : 'other';
+};
+
+/**
+ * Reduce an ingredient name to a key used for merging duplicates:
+ * lower-cased, single spaces, naive singular ("tomatoes" -> "tomato").
+ */
+exports.normalizeName = (name) => {
+  const words = name.toLowerCase().replace(/[^a-z0-9\s-]/g, '').trim().split(/\s+/);
+  const last = words.pop() || '';
+
+  let singular = last;
+  if (/[^aeiou]ies$/.test(last)) singular = last.replace(/ies$/, 'y');
+  else if (/(oes|ches|shes|sses|xes)$/.test(last)) singular = last.replace(/es$/, '');
+  else if (/[^s]s$/.test(last)) singular = last.slice(0, -1);
+
+  return [...words, singular].join(' ');
+};
+
+// Group key for amounts that can be added together
+const unitGroup = (unit) => dimensionOf(unit) || unit || 'count';
+
+/**
+ * Merge the ingredients of several recipes into one shopping list.
+ *
+ * @param {Array<{ recipe: object, servings?: number }>} entries
+ * @returns {Array<object>} items sorted by category then name
+ */
+exports.buildShoppingList = (entries) => {
+  const merged = new Map();
+
+  entries.forEach(({ recipe, servings }) => {
+    const factor = servings && recipe.servings ? servings / recipe.servings : 1;
+
+    (recipe.ingredients || []).forEach(ingredient => {
+      const nameKey = exports.normalizeName(ingredient.name);
+      const key = `${nameKey}|${unitGroup(ingredient.unit)}`;
+      const hasQuantity = typeof ingredient.quantity === 'number';
+
+      if (!merged.has(key)) {
+        merged.set(key, {
+          nameKey,
+          name: ingredient.name,
+          unit: ingredient.unit,
+          quantity: hasQuantity ? 0 : null,
+          category: exports.categorize(ingredient.name),
+          optional: true,
+          recipes: []
+        });
+      }
+
+      const item = merged.get(key);
+
+      if (hasQuantity) {
+        // Convert into the unit already on the item ("1 cup" + "4 tbsp")
+        const amount = ingredient.quantity * factor;
+        const converted = item.unit && ingredient.unit !== item.unit
+          ? convert(amount, ingredient.unit, item.unit)
+          : amount;
+        item.quantity = (item.quantity || 0) + (converted === null ? amount : converted);
+      }
+
+      // The item is only optional if every recipe that needs it says so
+      item.optional = item.optional && Boolean(ingredient.optional);
+
+      const recipeId = recipe._id && recipe._id.toString();
+      if (recipeId && !item.recipes.includes(recipeId)) {
+        item.recipes.push(recipeId);
+      }
+    });
+  });
+
+  // "salt" with no amount adds nothing to "1 tsp salt", so fold it in
+  const items = Array.from(merged.values());
+  const quantified = items.filter(item => item.quantity !== null);
+  const folded = items.filter(item => {
+    if (item.quantity !== null) return true;
+    const target = quantified.find(other => other.nameKey === item.nameKey);
+    if (!target) return true;
+    item.recipes.forEach(id => {
+      if (!target.recipes.includes(id)) target.recipes.push(id);
+    });
+    target.optional = target.optional && item.optional;
+    return false;
+  });
+
+  return folded
+    .map(({ nameKey, ...item }) => {
+      if (item.quantity === null) {
+        delete item.quantity;
+        return item;
+      }
+      return { ...item, ...simplify(item.quantity, item.unit) };
+    })
+    .map(item => ({ ...item, display: formatIngredient(item) }))
+    .sort((a, b) => {
+      const byCategory = exports.CATEGORIES.indexOf(a.category) - exports.CATEGORIES.indexOf(b.category);
+      return byCategory || a.name.localeCompare(b.name);
+    });
+};
@@ -0,0 +1,47 @@
+const storageConfig = require('../../config/storage');
+const createLocalStorage = require('./localStorage');
+const createS3Storage = require('./s3Storage');
+
+// Backends share one shape: { name, save(key, buffer, contentType), remove(key), getUrl(key) }
+const drivers = {
+  local: () => createLocalStorage(storageConfig.local),
+  s3: () => createS3Storage(storageConfig.s3)
+};
+
+let storage;
+
+/**
+ * The configured storage backend, created on first use.
+ */
+exports.getStorage = () => {
+  if (!storage) {
+    const driver = drivers[storageConfig.driver];
+    if (!driver) {
+      throw new Error(`Unknown STORAGE_DRIVER "${storageConfig.driver}"`);
+    }
+    storage = driver();
+  }
+  return storage;
+};
+
+/**
+ * Swap in a different backend (custom drivers, or a stand-in during tests).
+ */
+exports.setStorage = (backend) => {
+  storage = backend;
+};
+
+/**
+ * Delete the stored files behind a list of recipe images.
+ * Failures are logged rather than thrown so cleanup never blocks a request.
+ */
+exports.removeImageFiles = async (images) => {
+  const keys = (images || []).flatMap(image => [image.key, image.thumbnailKey]).filter(Boolean);
+  const results = await Promise.allSettled(keys.map(key => exports.getStorage().remove(key)));
+
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      console.error(`Failed to remove stored file ${keys[index]}:`, result.reason);
+    }
+  });
+};
@@ -0,0 +1,45 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Store files on local disk; they are served by express.static at publicPath.
+ */
+const createLocalStorage = ({ dir, publicPath }) => {
+  const root = path.resolve(dir);
+
+  // Keys are generated server-side, but never let one escape the upload directory
+  const resolveKey = (key) => {
+    const target = path.resolve(root, key);
+    if (!target.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return target;
+  };
+
+  return {
+    name: 'local',
+    root,
+
+    async save(key, buffer) {
+      const target = resolveKey(key);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, buffer);
+      return { key, url: this.getUrl(key) };
+    },
+
+    async remove(key) {
+      try {
+        await fs.unlink(resolveKey(key));
+      } catch (error) {
+        // Already gone is as good as deleted
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    getUrl(key) {
+      return `${publicPath}/${key}`;
+    }
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,57 @@
+/**
+ * Store files in an S3-compatible bucket (AWS S3, MinIO, etc.).
+ * The SDK is only loaded when this backend is selected.
+ */
+const createS3Storage = (options) => {
+  const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+  if (!options.bucket) {
+    throw new Error('S3_BUCKET must be set to use the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region: options.region,
+    endpoint: options.endpoint,
+    forcePathStyle: options.forcePathStyle,
+    ...(options.accessKeyId && {
+      credentials: {
+        accessKeyId: options.accessKeyId,
+        secretAccessKey: options.secretAccessKey
+      }
+    })
+  });
+
+  const baseUrl = (options.publicUrl
+    || (options.endpoint
+      ? `${options.endpoint}/${options.bucket}`
+      : `https://${options.bucket}.s3.${options.region}.amazonaws.com`)
+  ).replace(/\/$/, '');
+
+  return {
+    name: 's3',
+    client,
+
+    async save(key, buffer, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: options.bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType
+      }));
+      return { key, url: this.getUrl(key) };
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({
+        Bucket: options.bucket,
+        Key: key
+      }));
+    },
+
+    getUrl(key) {
+      return `${baseUrl}/${key}`;
+    }
+  };
+};
+
+module.exports = createS3Storage;
@@ -0,0 +1,68 @@
+// Lookups over the tag definitions: aliases, parents and children. Tags on
+// recipes stay plain strings; a definition (models/tag.js) adds aliases that
+// resolve to it and a parent category ("sicilian" under "italian" under
+// "cuisine").
+
+/**
+ * Tag names are compared lower-case with single spaces.
+ */
+exports.normalizeTag = (name) => String(name).trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Index tag definitions ({ _id, name, aliases, parent }) for lookups.
+ */
+exports.buildTaxonomy = (tags) => {
+  const byId = new Map(tags.map(tag => [String(tag._id), tag]));
+  const byName = new Map(tags.map(tag => [tag.name, tag]));
+  const aliasOf = new Map();
+  const children = new Map();
+
+  tags.forEach(tag => {
+    (tag.aliases || []).forEach(alias => aliasOf.set(alias, tag.name));
+    if (tag.parent) {
+      const key = String(tag.parent);
+      children.set(key, [...(children.get(key) || []), tag]);
+    }
+  });
+
+  const parentOf = (tag) => (tag && tag.parent ? byId.get(String(tag.parent)) || null : null);
+  const childrenOf = (tag) => children.get(String(tag._id)) || [];
+
+  return {
+    tags,
+    // The name an alias stands for; other names are returned as they are
+    canonical: (name) => aliasOf.get(name) || name,
+    get: (name) => byName.get(name) || null,
+    aliasOf: (name) => aliasOf.get(name) || null,
+    parentOf,
+    childrenOf,
+
+    // From the top-level category down to the tag's parent
+    ancestorsOf: (tag) => {
+      const ancestors = [];
+      const seen = new Set([String(tag._id)]);
+      let parent = parentOf(tag);
+      while (parent && !seen.has(String(parent._id))) {
+        seen.add(String(parent._id));
+        ancestors.unshift(parent);
+        parent = parentOf(parent);
+      }
+      return ancestors;
+    },
+
+    // Children, grandchildren and so on
+    descendantsOf: (tag) => {
+      const descendants = [];
+      const seen = new Set([String(tag._id)]);
+      const queue = [...childrenOf(tag)];
+      while (queue.length) {
+        const next = queue.shift();
+        if (seen.has(String(next._id))) continue;
+        seen.add(String(next._id));
+        descendants.push(next);
+        queue.push(...childrenOf(next));
+      }
+      return descendants;
+    }
+  };
+};
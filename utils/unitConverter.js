@@ -0,0 +1,189 @@
+const { formatIngredient } = require('./ingredientParser');
+const { roundToKitchen } = require('./recipeScaler');
+
+// Base amounts: millilitres for volume, grams for weight
+const VOLUME = {
+  tsp: 4.92892,
+  tbsp: 14.7868,
+  'fl oz': 29.5735,
+  cup: 236.588,
+  pint: 473.176,
+  quart: 946.353,
+  gallon: 3785.41,
+  ml: 1,
+  l: 1000
+};
+
+const WEIGHT = {
+  mg: 0.001,
+  g: 1,
+  kg: 1000,
+  oz: 28.3495,
+  lb: 453.592
+};
+
+const METRIC_UNITS = ['ml', 'l', 'mg', 'g', 'kg'];
+
+exports.SYSTEMS = ['metric', 'us'];
+
+const dimensionOf = (unit) => {
+  if (VOLUME[unit]) return 'volume';
+  if (WEIGHT[unit]) return 'weight';
+  return null;
+};
+
+// Pick the unit a cook in the target system would naturally reach for
+const pickUnit = (baseAmount, dimension, system) => {
+  if (system === 'metric') {
+    if (dimension === 'volume') return baseAmount >= 1000 ? 'l' : 'ml';
+    return baseAmount >= 1000 ? 'kg' : 'g';
+  }
+
+  if (dimension === 'volume') {
+    if (baseAmount < VOLUME.tbsp) return 'tsp';
+    if (baseAmount < VOLUME.cup / 4) return 'tbsp';
+    if (baseAmount < VOLUME.gallon) return 'cup';
+    return 'gallon';
+  }
+  return baseAmount < WEIGHT.lb ? 'oz' : 'lb';
+};
+
+/**
+ * Convert an amount between two units of the same dimension.
+ * Returns null when the units aren't convertible.
+ */
+exports.convert = (amount, fromUnit, toUnit) => {
+  const dimension = dimensionOf(fromUnit);
+  if (!dimension || dimension !== dimensionOf(toUnit)) return null;
+
+  const table = dimension === 'volume' ? VOLUME : WEIGHT;
+  return (amount * table[fromUnit]) / table[toUnit];
+};
+
+/**
+ * Express an amount in the most natural unit of its own system
+ * (e.g. 48 tsp -> 1 cup, 1500 g -> 1.5 kg). Unknown units are returned unchanged.
+ */
+exports.simplify = (amount, unit) => {
+  const dimension = dimensionOf(unit);
+  if (!dimension) return { quantity: amount, unit };
+
+  const table = dimension === 'volume' ? VOLUME : WEIGHT;
+  const system = METRIC_UNITS.includes(unit) ? 'metric' : 'us';
+  const baseAmount = amount * table[unit];
+  const target = pickUnit(baseAmount, dimension, system);
+
+  return {
+    quantity: roundToKitchen(baseAmount / table[target], target),
+    unit: target
+  };
+};
+
+exports.dimensionOf = dimensionOf;
+
+/**
+ * The measurement system most of the ingredients are written in, or null
+ * when none has a convertible unit.
+ */
+exports.systemOf = (ingredients) => {
+  const measured = (ingredients || []).filter(ingredient => dimensionOf(ingredient.unit));
+  if (!measured.length) return null;
+
+  const metric = measured.filter(ingredient => METRIC_UNITS.includes(ingredient.unit)).length;
+  return metric * 2 >= measured.length ? 'metric' : 'us';
+};
+
+/**
+ * Convert a structured ingredient into the given measurement system.
+ * Ingredients without a convertible unit (eggs, cloves, pinches) are returned as-is.
+ */
+exports.convertIngredient = (ingredient, system) => {
+  const dimension = dimensionOf(ingredient.unit);
+  const isMetric = METRIC_UNITS.includes(ingredient.unit);
+
+  if (!dimension || typeof ingredient.quantity !== 'number' || isMetric === (system === 'metric')) {
+    return { ...ingredient, display: formatIngredient(ingredient) };
+  }
+
+  const table = dimension === 'volume' ? VOLUME : WEIGHT;
+  const baseAmount = ingredient.quantity * table[ingredient.unit];
+  const unit = pickUnit(baseAmount, dimension, system);
+
+  const converted = {
+    ...ingredient,
+    quantity: roundToKitchen(baseAmount / table[unit], unit),
+    unit
+  };
+
+  if (typeof ingredient.quantityMax === 'number') {
+    converted.quantityMax = roundToKitchen(ingredient.quantityMax * table[ingredient.unit] / table[unit], unit);
+  }
+
+  converted.display = formatIngredient(converted);
+  return converted;
+};
+
+const roundTemperature = (value, scale) => {
+  // Ovens dial in 10°C / 25°F steps; lower temperatures keep finer detail
+  if (scale === 'C') return value > 100 ? Math.round(value / 10) * 10 : Math.round(value);
+  return value > 200 ? Math.round(value / 25) * 25 : Math.round(value);
+};
+
+// "350°F", "350 degrees F", "180-200 °C", "200C", "350°". Bare letters need two
+// or more digits so "2 C flour" (cups) is left alone; a degree sign without a
+// scale is in the scale of the recipe's own system ("turn 90 degrees" isn't
+// a temperature).
+const SCALE = '(F|C|Fahrenheit|Celsius|Centigrade)\\b';
+const TEMPERATURE_PATTERN = new RegExp(
+  `(-?\\d{1,3})(?:\\s*(?:-|–|to)\\s*(-?\\d{1,3}))?\\s*(?:[°º](?:\\s*${SCALE})?|degrees?\\s*${SCALE}|(?<=\\d{2})(F|C)\\b)`,
+  'gi'
+);
+
+/**
+ * Rewrite temperatures in free text ("bake at 350°F") into the target system.
+ * `from` is the system the text is written in; without it, temperatures with
+ * a degree sign but no scale ("350°") are left alone.
+ */
+exports.convertTemperaturesInText = (text, system, from) => {
+  if (!text || typeof text !== 'string') return text;
+
+  const targetScale = system === 'metric' ? 'C' : 'F';
+  const sourceScale = from ? (from === 'metric' ? 'C' : 'F') : null;
+
+  return text.replace(TEMPERATURE_PATTERN, (match, from, to, signScale, wordScale, bareScale) => {
+    const scaleName = signScale || wordScale || bareScale;
+    if (!scaleName && !sourceScale) return match;
+
+    const scale = scaleName ? (scaleName[0].toUpperCase() === 'F' ? 'F' : 'C') : sourceScale;
+    if (scale === targetScale) return match;
+
+    const convertOne = (value) => {
+      const number = parseInt(value);
+      const converted = scale === 'F' ? (number - 32) * 5 / 9 : number * 9 / 5 + 32;
+      return roundTemperature(converted, targetScale);
+    };
+
+    const range = to ? `${convertOne(from)}-${convertOne(to)}` : convertOne(from);
+    return `${range}°${targetScale}`;
+  });
+};
+
+/**
+ * Return a plain copy of the recipe with ingredients and instruction
+ * temperatures converted to the requested measurement system. `from` is the
+ * system the recipe is written in, by default the one its ingredients use.
+ */
+exports.convertRecipe = (recipe, system, { from } = {}) => {
+  const data = typeof recipe.toObject === 'function' ? recipe.toObject() : { ...recipe };
+  const source = from || exports.systemOf(data.ingredients);
+
+  return {
+    ...data,
+    ingredients: (data.ingredients || []).map(ingredient => exports.convertIngredient(ingredient, system)),
+    instructions: (data.instructions || []).map(step => ({
+      ...step,
+      text: exports.convertTemperaturesInText(step.text, system, source)
+    })),
+    units: system
+  };
+};